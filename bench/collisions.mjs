@@ -0,0 +1,193 @@
+// Collision benchmark - Compares the spatial hash broadphase Game uses
+// against the brute force loop it replaced, on a generated room with growing
+// numbers of enemies and projectiles. Both must find the same contacts.
+//
+//   npm run bench
+
+import SpatialHash, { testCollision } from '../client/js/utils/spatial-hash.js';
+import { generateLayout, WALL_HEIGHT, PILLAR_HEIGHT, COVER_HEIGHT } from '../client/js/shared/layouts.mjs';
+import { createRandom } from '../client/js/shared/random.mjs';
+
+const STEPS = 600; // Ten seconds at the fixed step
+const WARMUP_STEPS = 60;
+const SCENARIOS = [
+    { enemies: 8, projectiles: 10 },
+    { enemies: 30, projectiles: 60 },
+    { enemies: 60, projectiles: 200 },
+    { enemies: 120, projectiles: 400 }
+];
+
+// Just enough of THREE.Vector3 for the brute force narrowphase
+class Vector3 {
+    constructor(x = 0, y = 0, z = 0) {
+        this.x = x;
+        this.y = y;
+        this.z = z;
+    }
+
+    distanceTo(v) {
+        return Math.hypot(this.x - v.x, this.y - v.y, this.z - v.z);
+    }
+}
+
+// The room's walls, pillars and cover as box colliders, like Game.createRoom()
+function createRoomColliders(layout) {
+    const colliders = [];
+    const box = (x, z, width, depth, height) => colliders.push({
+        type: 'box',
+        min: new Vector3(x - width / 2, 0, z - depth / 2),
+        max: new Vector3(x + width / 2, height, z + depth / 2),
+        active: true,
+        group: 'environment'
+    });
+
+    for (const wall of layout.walls) box(wall.x, wall.z, wall.width, wall.depth, WALL_HEIGHT);
+    for (const pillar of layout.pillars) box(pillar.x, pillar.z, pillar.radius * 2, pillar.radius * 2, PILLAR_HEIGHT);
+    for (const cover of layout.cover) box(cover.x, cover.z, cover.width, cover.depth, COVER_HEIGHT);
+
+    return colliders;
+}
+
+// Spheres wandering the room's bounds, counting the contacts they get
+function createMovers(layout, random, count, group, radius, speed) {
+    const { minX, maxX, minZ, maxZ } = layout.bounds;
+    const movers = [];
+
+    for (let i = 0; i < count; i++) {
+        const angle = random() * Math.PI * 2;
+        movers.push({
+            type: 'sphere',
+            position: new Vector3(minX + random() * (maxX - minX), 1, minZ + random() * (maxZ - minZ)),
+            velocity: { x: Math.cos(angle) * speed, z: Math.sin(angle) * speed },
+            radius,
+            active: true,
+            group,
+            contacts: 0,
+            onCollision() {
+                this.contacts++;
+            }
+        });
+    }
+
+    return movers;
+}
+
+function moveAll(movers, bounds, delta) {
+    for (const mover of movers) {
+        const position = mover.position;
+        position.x += mover.velocity.x * delta;
+        position.z += mover.velocity.z * delta;
+
+        // Bounce off the edges of the room
+        if (position.x < bounds.minX || position.x > bounds.maxX) mover.velocity.x *= -1;
+        if (position.z < bounds.minZ || position.z > bounds.maxZ) mover.velocity.z *= -1;
+    }
+}
+
+// Game.checkCollisions() and testCollision() before the broadphase
+function bruteForceTest(a, b) {
+    if (a.type === 'sphere' && b.type === 'sphere') {
+        return a.position.distanceTo(b.position) < (a.radius + b.radius);
+    }
+
+    if (a.type === 'box' && b.type === 'box') {
+        return (
+            a.min.x <= b.max.x && a.max.x >= b.min.x &&
+            a.min.y <= b.max.y && a.max.y >= b.min.y &&
+            a.min.z <= b.max.z && a.max.z >= b.min.z
+        );
+    }
+
+    const sphere = a.type === 'sphere' ? a : b;
+    const box = a.type === 'box' ? a : b;
+    const closestPoint = new Vector3(
+        Math.max(box.min.x, Math.min(sphere.position.x, box.max.x)),
+        Math.max(box.min.y, Math.min(sphere.position.y, box.max.y)),
+        Math.max(box.min.z, Math.min(sphere.position.z, box.max.z))
+    );
+    return closestPoint.distanceTo(sphere.position) < sphere.radius;
+}
+
+function bruteForce(colliders) {
+    for (let i = 0; i < colliders.length; i++) {
+        const colliderA = colliders[i];
+        if (!colliderA.active) continue;
+
+        for (let j = i + 1; j < colliders.length; j++) {
+            const colliderB = colliders[j];
+            if (!colliderB.active) continue;
+            if (colliderA.group && colliderB.group && colliderA.group === colliderB.group) continue;
+
+            if (bruteForceTest(colliderA, colliderB)) {
+                if (colliderA.onCollision) colliderA.onCollision(colliderB);
+                if (colliderB.onCollision) colliderB.onCollision(colliderA);
+            }
+        }
+    }
+}
+
+// Game.checkCollisions() with the spatial hash
+function createSpatialHash(statics) {
+    const broadphase = new SpatialHash();
+    for (const collider of statics) broadphase.addStatic(collider);
+
+    const onPair = (colliderA, colliderB) => {
+        if (!colliderA.active || !colliderB.active) return;
+        if (colliderA.group && colliderB.group && colliderA.group === colliderB.group) return;
+
+        if (testCollision(colliderA, colliderB)) {
+            if (colliderA.onCollision) colliderA.onCollision(colliderB);
+            if (colliderB.onCollision) colliderB.onCollision(colliderA);
+        }
+    };
+
+    return colliders => {
+        broadphase.clearDynamic();
+        for (const collider of colliders) {
+            if (collider.active && !broadphase.isStatic(collider)) broadphase.insert(collider);
+        }
+        broadphase.forEachPair(onPair);
+    };
+}
+
+// Run one approach over the same scenario, returns ms per step and contacts
+function run(layout, scenario, checkCollisions) {
+    const random = createRandom(scenario.enemies * 1000 + scenario.projectiles);
+    const statics = createRoomColliders(layout);
+    const movers = [
+        ...createMovers(layout, random, 4, 'player', 0.75, 5),
+        ...createMovers(layout, random, scenario.enemies, 'enemy', 0.75, 3),
+        ...createMovers(layout, random, scenario.projectiles, null, 0.3, 15)
+    ];
+    const colliders = [...statics, ...movers];
+    const check = checkCollisions(statics);
+
+    let elapsed = 0;
+    for (let step = 0; step < WARMUP_STEPS + STEPS; step++) {
+        moveAll(movers, layout.bounds, 1 / 60);
+
+        const start = process.hrtime.bigint();
+        check(colliders);
+        if (step >= WARMUP_STEPS) elapsed += Number(process.hrtime.bigint() - start);
+    }
+
+    const contacts = movers.reduce((sum, mover) => sum + mover.contacts, 0);
+    return { ms: elapsed / 1e6 / STEPS, contacts, colliders: colliders.length };
+}
+
+const layout = generateLayout(12345);
+console.log(`Room: ${layout.shape}, ${layout.walls.length} walls, ${layout.pillars.length} pillars, ${layout.cover.length} cover`);
+console.log(`${STEPS} steps after ${WARMUP_STEPS} warmup steps\n`);
+
+for (const scenario of SCENARIOS) {
+    const brute = run(layout, scenario, () => bruteForce);
+    const hashed = run(layout, scenario, createSpatialHash);
+    const match = brute.contacts === hashed.contacts ? 'same contacts' : `CONTACTS DIFFER (${brute.contacts} vs ${hashed.contacts})`;
+
+    console.log(
+        `${String(brute.colliders).padStart(4)} colliders: ` +
+        `brute force ${brute.ms.toFixed(3)} ms/step, ` +
+        `spatial hash ${hashed.ms.toFixed(3)} ms/step, ` +
+        `${(brute.ms / hashed.ms).toFixed(1)}x, ${match}`
+    );
+}
@@ -0,0 +1,58 @@
+import * as THREE from 'three';
+
+const DURATION = 3; // Seconds from dying to the game over screen
+const RISE_HEIGHT = 6; // Above the body once pulled back
+const PULL_BACK = 4; // Horizontal distance from the body once pulled back
+const ORBIT_ANGLE = Math.PI / 2; // How far the camera circles the body
+
+// DeathCamera - Takes the camera off a dead player's head and pulls it up
+// and back while circling the body, so there's a moment to see what
+// happened before the game over screen. Driven by the game, see
+// Game.handlePlayerDeath().
+export default class DeathCamera {
+    /**
+     * @param {THREE.Camera} camera - Camera, usually attached to the player
+     * @param {THREE.Scene} scene - Scene the camera moves into
+     * @param {THREE.Vector3} target - Where the body lies
+     */
+    constructor(camera, scene, target) {
+        this.camera = camera;
+        this.target = new THREE.Vector3(target.x, 0, target.z);
+        this.elapsed = 0;
+
+        // Keep the current view while leaving the player's head
+        scene.attach(camera);
+        this.start = camera.position.clone();
+
+        // Pull back behind where the player was looking
+        const facing = camera.getWorldDirection(new THREE.Vector3());
+        this.startAngle = Math.atan2(-facing.x, -facing.z);
+        this.startLook = this.start.clone().add(facing);
+        this.look = new THREE.Vector3();
+    }
+
+    get done() {
+        return this.elapsed >= DURATION;
+    }
+
+    update(delta) {
+        this.elapsed = Math.min(DURATION, this.elapsed + delta);
+
+        // Ease out, fast at first then settling
+        const t = this.elapsed / DURATION;
+        const progress = 1 - (1 - t) * (1 - t);
+
+        const angle = this.startAngle + ORBIT_ANGLE * progress;
+        const distance = PULL_BACK * progress;
+
+        this.camera.position.set(
+            THREE.MathUtils.lerp(this.start.x, this.target.x + Math.sin(angle) * distance, progress),
+            THREE.MathUtils.lerp(this.start.y, this.target.y + RISE_HEIGHT, progress),
+            THREE.MathUtils.lerp(this.start.z, this.target.z + Math.cos(angle) * distance, progress)
+        );
+
+        // Turn from where the player was looking to the body
+        this.look.lerpVectors(this.startLook, this.target, progress);
+        this.camera.lookAt(this.look);
+    }
+}
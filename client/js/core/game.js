@@ -1,5 +1,34 @@
 import * as THREE from 'three';
 import Boss from '../entities/boss.js';
+import Enemy from '../entities/enemy.js';
+import Projectile from '../entities/projectile.js';
+import LootPickup from '../world/loot.js';
+import Telegraph from '../world/telegraph.js';
+import Pool from '../utils/pool.js';
+import ResourceTracker from '../utils/resource-tracker.js';
+import SpatialHash, { testCollision } from '../utils/spatial-hash.js';
+import DeathCamera from './death-camera.js';
+import { rollLoot } from '../shared/loot.mjs';
+import { getKillExperience, gainExperience } from '../shared/progression.mjs';
+import { getClassStats } from '../shared/classes.mjs';
+import { getProjectileType, getProjectileOrigin } from '../shared/projectiles.mjs';
+import { getAbility, getVolleyDirections } from '../shared/abilities.mjs';
+import { REVIVE_RANGE } from '../shared/revive.mjs';
+import { getMove, getSummonWave } from '../shared/bosses.mjs';
+import { createWave, WAVE_INTERVAL } from '../shared/enemies.mjs';
+import { generateLayout, keepInLayout, WALL_HEIGHT, PILLAR_HEIGHT, COVER_HEIGHT } from '../shared/layouts.mjs';
+import { createRandom, deriveSeed } from '../shared/random.mjs';
+
+// Wait this long (ms) before asking the server for the same pickup again
+const LOOT_REQUEST_RETRY = 1000;
+
+// The simulation always advances in steps of this many seconds, however
+// fast frames are rendered
+const FIXED_STEP = 1 / 60;
+
+// Most time simulated in one frame, so coming back to the tab or a long
+// hitch doesn't run hundreds of steps at once
+const MAX_FRAME_TIME = 0.25;
 
 // Main Game class - core engine for the game
 export default class Game {
@@ -7,15 +36,22 @@ export default class Game {
         this.scene = null;
         this.camera = null;
         this.renderer = null;
-        this.clock = new THREE.Clock();
+        this.clock = new THREE.Clock(false);
+        this.accumulator = 0; // Frame time not yet simulated, less than one step after a frame
+        this.stepCount = 0;
+        this.interpolation = new Map(); // Render blending per object, see interpolatePositions()
         this.entities = [];
         this.running = false;
         this.debug = false;
         this.isMobile = false;
+        this.isMultiplayer = false;
         
         // Room management
+        this.runSeed = null; // From the server at gameStarted, or picked for a solo run
         this.currentRoom = null;
         this.roomsCleared = 0;
+        this.waveTimer = 0; // Seconds until the next wave of a solo combat room
+        this.deathCamera = null; // Plays between dying in solo and the game over screen
         
         // Player references
         this.player = null;
@@ -24,10 +60,33 @@ export default class Game {
         // Boss reference
         this.currentBoss = null;
         
+        // Adds in the current room by id, and how many were spawned
+        this.enemies = {};
+        this.enemyCount = 0;
+        
+        // Loot pickups in the current room, by id
+        this.loot = {};
+        
+        // Projectiles in flight by id, and a pool of spare ones per type
+        this.projectiles = {};
+        this.projectilePools = {};
+        this.projectileCount = 0;
+        
+        // Boss move telegraphs on the ground, by id
+        this.telegraphs = {};
+        
+        // Set by main.js in multiplayer so hits can be reported to the server
+        this.multiplayerClient = null;
+        
         // Callbacks
         this.onRoomComplete = null;
         this.onGameOver = null;
         this.onBossDefeated = null;
+        this.onBossDamaged = null;
+        this.onLootCollected = null;
+        this.onPlayerLevelUp = null;
+        this.onAbilityUsed = null;
+        this.onWaveSpawned = null;
     }
     
     init(scene, camera, renderer, isMobile) {
@@ -48,44 +107,76 @@ export default class Game {
         // Simple collision system for now
         this.colliders = [];
         
-        // We'll use simple sphere/box collisions for performance 
+        // Sphere/box colliders, only tested against others nearby. The room's
+        // colliders are static, see addWallCollider().
+        this.broadphase = new SpatialHash();
+        this.onColliderPair = (a, b) => this.resolveColliderPair(a, b);
+        
         console.log('Physics system initialized');
     }
     
     start() {
         this.running = true;
+        this.accumulator = 0;
         this.clock.start();
         console.log('Game started');
-        
-        // Main game loop
-        this.update();
     }
     
+    // Time stops with the simulation, resuming doesn't make up for the pause
     pause() {
+        if (!this.running) return;
+        
         this.running = false;
+        this.clock.stop();
         console.log('Game paused');
     }
     
     resume() {
         if (!this.running) {
             this.running = true;
-            this.update();
+            this.accumulator = 0;
+            this.clock.start();
             console.log('Game resumed');
         }
     }
     
     stop() {
         this.running = false;
+        this.clock.stop();
+        this.clearProjectiles();
+        this.clearTelegraphs();
         this.entities = [];
         this.colliders = [];
+        this.broadphase.clearStatic();
+        this.interpolation.clear();
         console.log('Game stopped');
     }
     
+    /**
+     * Advance the simulation by the time since the last frame, called by
+     * main.js once per rendered frame. The simulation runs in fixed steps,
+     * and what's left over blends positions between the last two steps
+     * until restorePositions() after the render.
+     */
     update() {
         if (!this.running) return;
         
-        // Get delta time
-        const delta = this.clock.getDelta();
+        this.accumulator += Math.min(this.clock.getDelta(), MAX_FRAME_TIME);
+        
+        this.snapMovedObjects();
+        
+        while (this.accumulator >= FIXED_STEP && this.running) {
+            this.savePreviousPositions();
+            this.step(FIXED_STEP);
+            this.accumulator -= FIXED_STEP;
+        }
+        
+        this.interpolatePositions(Math.min(this.accumulator / FIXED_STEP, 1));
+    }
+    
+    // One fixed step of the simulation
+    step(delta) {
+        this.stepCount++;
         
         // Update all entities
         for (const entity of this.entities) {
@@ -97,73 +188,515 @@ export default class Game {
         // Check for collisions
         this.checkCollisions();
         
-        // Call next frame if still running
-        if (this.running) {
-            requestAnimationFrame(() => this.update());
+        this.updateWaves(delta);
+        
+        // Return spent projectiles to their pools, outside the entity loop
+        this.removeExpiredProjectiles();
+        this.removeExpiredTelegraphs();
+        
+        // Game over once the death camera has had its moment
+        if (this.deathCamera) {
+            this.deathCamera.update(delta);
+            
+            if (this.deathCamera.done) {
+                this.deathCamera = null;
+                this.triggerGameOver();
+            }
         }
     }
     
-    checkCollisions() {
-        // Very basic collision detection - can be optimized later with spatial partitioning
-        for (let i = 0; i < this.colliders.length; i++) {
-            const colliderA = this.colliders[i];
+    // The object an entity moves, players move their yaw object
+    getMovedObject(entity) {
+        return entity.yawObject || entity.mesh;
+    }
+    
+    // Put everything back where the last step left it once the frame is
+    // rendered, so input, attacks and network updates between frames see
+    // the simulation's positions rather than the blended ones
+    restorePositions() {
+        for (const [object, state] of this.interpolation) {
+            object.position.copy(state.current);
+        }
+    }
+    
+    // Objects moved outside the simulation since the last frame (new room,
+    // server corrections) jump there instead of blending
+    snapMovedObjects() {
+        for (const [object, state] of this.interpolation) {
+            if (!object.position.equals(state.current)) {
+                state.previous.copy(object.position);
+                state.current.copy(object.position);
+            }
+        }
+    }
+    
+    savePreviousPositions() {
+        for (const entity of this.entities) {
+            const object = this.getMovedObject(entity);
+            if (!object) continue;
             
-            // Skip if not active
-            if (!colliderA.active) continue;
+            let state = this.interpolation.get(object);
+            if (!state) {
+                state = {
+                    previous: new THREE.Vector3(),
+                    current: new THREE.Vector3(),
+                    step: 0
+                };
+                this.interpolation.set(object, state);
+            }
             
-            for (let j = i + 1; j < this.colliders.length; j++) {
-                const colliderB = this.colliders[j];
-                
-                // Skip if not active
-                if (!colliderB.active) continue;
-                
-                // Skip if they're in the same group (e.g., player and player projectiles)
-                if (colliderA.group && colliderB.group && colliderA.group === colliderB.group) continue;
+            state.previous.copy(object.position);
+            state.step = this.stepCount + 1;
+        }
+    }
+    
+    // Render each object alpha of the way from its previous step to its last
+    interpolatePositions(alpha) {
+        for (const [object, state] of this.interpolation) {
+            // Not in the game for the last step
+            if (state.step !== this.stepCount) {
+                this.interpolation.delete(object);
+                continue;
+            }
+            
+            state.current.copy(object.position);
+            object.position.lerpVectors(state.previous, state.current, alpha);
+        }
+    }
+    
+    checkCollisions() {
+        const broadphase = this.broadphase;
+        
+        // Moving colliders are hashed again every step, the room's stay put
+        broadphase.clearDynamic();
+        for (let i = 0; i < this.colliders.length; i++) {
+            const collider = this.colliders[i];
+            if (collider.active && !broadphase.isStatic(collider)) {
+                broadphase.insert(collider);
+            }
+        }
+        
+        broadphase.forEachPair(this.onColliderPair);
+    }
+    
+    resolveColliderPair(colliderA, colliderB) {
+        // Either may have been switched off by an earlier collision this step
+        if (!colliderA.active || !colliderB.active) return;
+        
+        // Skip if they're in the same group (e.g., player and player projectiles)
+        if (colliderA.group && colliderB.group && colliderA.group === colliderB.group) return;
+        
+        if (testCollision(colliderA, colliderB)) {
+            if (colliderA.onCollision) colliderA.onCollision(colliderB);
+            if (colliderB.onCollision) colliderB.onCollision(colliderA);
+        }
+    }
+    
+    // Melee hit resolution - sweep the attack arc against boss and enemy colliders
+    resolvePlayerAttack(player, attackData) {
+        // Ranged classes shoot instead, the projectile resolves its own hits
+        if (attackData.projectile) {
+            this.firePlayerProjectile(player, attackData);
+            return null;
+        }
+        
+        const target = this.findMeleeTarget(attackData);
+        
+        if (this.isMultiplayer) {
+            // Server validates the hit and broadcasts the new health
+            if (this.multiplayerClient) {
+                let targetType = null;
+                if (target) {
+                    targetType = target === this.currentBoss ? 'boss' : 'enemy';
+                }
                 
-                // Check collision based on type
-                if (this.testCollision(colliderA, colliderB)) {
-                    // Handle collision
-                    if (colliderA.onCollision) colliderA.onCollision(colliderB);
-                    if (colliderB.onCollision) colliderB.onCollision(colliderA);
+                this.multiplayerClient.sendPlayerAttack({
+                    targetType,
+                    targetId: target ? target.id : null,
+                    hit: target !== null,
+                    damage: attackData.damage,
+                    position: {
+                        x: attackData.position.x,
+                        y: attackData.position.y,
+                        z: attackData.position.z
+                    },
+                    direction: {
+                        x: attackData.direction.x,
+                        y: attackData.direction.y,
+                        z: attackData.direction.z
+                    }
+                });
+            }
+        } else if (target) {
+            this.applyPlayerHit(player, target, attackData.damage);
+        }
+        
+        return target;
+    }
+    
+    // Direct damage to a boss or enemy in single player
+    applyPlayerHit(player, target, damage) {
+        if (target.health <= 0) return;
+        
+        target.takeDamage(damage);
+        player.stats.damageDealt += damage;
+        
+        if (target.health <= 0) {
+            if (target !== this.currentBoss) {
+                player.stats.kills++;
+            }
+            
+            this.awardExperience(player, target === this.currentBoss ? 'boss' : 'enemy', target);
+        }
+        
+        if (target === this.currentBoss && this.onBossDamaged) {
+            this.onBossDamaged(target);
+        }
+    }
+    
+    firePlayerProjectile(player, attackData) {
+        const direction = attackData.direction.clone().normalize();
+        const projectileId = `${player.id}-shot-${this.projectileCount++}`;
+        
+        // Shown right away, in multiplayer the server's copy decides the hits
+        this.spawnProjectile({
+            id: projectileId,
+            type: attackData.projectile,
+            ownerId: player.id,
+            ownerGroup: 'player',
+            position: getProjectileOrigin(attackData.position, direction),
+            direction: direction,
+            damage: attackData.damage,
+            serverControlled: this.isMultiplayer
+        });
+        
+        if (this.isMultiplayer && this.multiplayerClient) {
+            this.multiplayerClient.sendPlayerAttack({
+                targetType: null,
+                targetId: null,
+                hit: false,
+                damage: attackData.damage,
+                projectile: attackData.projectile,
+                projectileId: projectileId,
+                position: {
+                    x: attackData.position.x,
+                    y: attackData.position.y,
+                    z: attackData.position.z
+                },
+                direction: {
+                    x: direction.x,
+                    y: direction.y,
+                    z: direction.z
                 }
+            });
+        }
+    }
+    
+    /**
+     * Launch a projectile from its type's pool
+     * @param {Object} shot - { id, type, ownerId, ownerGroup, position, direction, damage, serverControlled }
+     */
+    spawnProjectile(shot) {
+        // The shooter already shows its own shot when the server echoes it
+        if (this.projectiles[shot.id]) return this.projectiles[shot.id];
+        
+        const typeId = getProjectileType(shot.type).id;
+        if (!this.projectilePools[typeId]) {
+            this.projectilePools[typeId] = new Pool(() => new Projectile(typeId, this));
+        }
+        
+        const projectile = this.projectilePools[typeId].acquire().fire(shot);
+        this.addEntity(projectile);
+        this.projectiles[projectile.id] = projectile;
+        
+        return projectile;
+    }
+    
+    removeProjectile(projectileId) {
+        const projectile = this.projectiles[projectileId];
+        if (!projectile) return;
+        
+        projectile.expire();
+        this.removeEntity(projectile);
+        delete this.projectiles[projectileId];
+        
+        this.projectilePools[projectile.type.id].release(projectile);
+    }
+    
+    removeExpiredProjectiles() {
+        for (const projectileId in this.projectiles) {
+            if (this.projectiles[projectileId].expired) {
+                this.removeProjectile(projectileId);
             }
         }
     }
     
-    testCollision(a, b) {
-        // Sphere-Sphere collision
-        if (a.type === 'sphere' && b.type === 'sphere') {
-            const distance = a.position.distanceTo(b.position);
-            return distance < (a.radius + b.radius);
+    clearProjectiles() {
+        for (const projectileId in this.projectiles) {
+            this.removeProjectile(projectileId);
         }
+    }
+    
+    /**
+     * Show where a boss move will land while it winds up
+     * @param {Object} telegraphData - { id, bossId, moveId, areas, duration }
+     */
+    spawnTelegraph(telegraphData) {
+        if (this.telegraphs[telegraphData.id]) return this.telegraphs[telegraphData.id];
         
-        // Box-Box collision (AABB)
-        if (a.type === 'box' && b.type === 'box') {
-            return (
-                a.min.x <= b.max.x && a.max.x >= b.min.x &&
-                a.min.y <= b.max.y && a.max.y >= b.min.y &&
-                a.min.z <= b.max.z && a.max.z >= b.min.z
-            );
+        const boss = this.currentBoss;
+        const move = boss && boss.id === telegraphData.bossId
+            ? getMove(boss.moveSet, telegraphData.moveId)
+            : null;
+        
+        const telegraph = new Telegraph(telegraphData, move ? move.color : 0xff0000);
+        this.addEntity(telegraph);
+        this.telegraphs[telegraph.id] = telegraph;
+        
+        return telegraph;
+    }
+    
+    removeTelegraph(telegraphId) {
+        const telegraph = this.telegraphs[telegraphId];
+        if (!telegraph) return;
+        
+        this.removeEntity(telegraph);
+        telegraph.remove();
+        delete this.telegraphs[telegraphId];
+    }
+    
+    removeExpiredTelegraphs() {
+        for (const telegraphId in this.telegraphs) {
+            if (this.telegraphs[telegraphId].expired) {
+                this.removeTelegraph(telegraphId);
+            }
+        }
+    }
+    
+    // All of a boss's telegraphs, or every one when no boss is given
+    clearTelegraphs(bossId) {
+        for (const telegraphId in this.telegraphs) {
+            if (bossId === undefined || this.telegraphs[telegraphId].bossId === bossId) {
+                this.removeTelegraph(telegraphId);
+            }
+        }
+    }
+    
+    // A projectile touched something it can hit, only called in single player
+    handleProjectileHit(projectile, target) {
+        if (projectile.ownerGroup === 'player') {
+            const shooter = this.player && this.player.id === projectile.ownerId
+                ? this.player
+                : this.otherPlayers[projectile.ownerId];
+            
+            if (shooter) {
+                this.applyPlayerHit(shooter, target, projectile.damage);
+            }
+            return;
         }
         
-        // Sphere-Box collision
-        if ((a.type === 'sphere' && b.type === 'box') || (a.type === 'box' && b.type === 'sphere')) {
-            const sphere = a.type === 'sphere' ? a : b;
-            const box = a.type === 'box' ? a : b;
+        if (target.stats.health <= 0) return;
+        
+        target.takeDamage(projectile.damage);
+        
+        if (this.updatePlayerHealth) {
+            this.updatePlayerHealth(target.stats.health);
+        }
+    }
+    
+    // Closest boss or enemy inside the attack arc, or null
+    findMeleeTarget(attackData) {
+        const targets = this.findTargetsInArc(attackData);
+        return targets.length > 0 ? targets[0] : null;
+    }
+    
+    // Bosses and enemies inside an arc, closest first
+    findTargetsInArc(attackData) {
+        const forward = new THREE.Vector3(attackData.direction.x, 0, attackData.direction.z);
+        if (forward.lengthSq() === 0) return [];
+        forward.normalize();
+        
+        const toTarget = new THREE.Vector3();
+        const targets = [];
+        
+        for (const collider of this.colliders) {
+            if (!collider.active) continue;
+            if (collider.group !== 'boss' && collider.group !== 'enemy') continue;
             
-            // Find the closest point on the box to the sphere
-            const closestPoint = new THREE.Vector3(
-                Math.max(box.min.x, Math.min(sphere.position.x, box.max.x)),
-                Math.max(box.min.y, Math.min(sphere.position.y, box.max.y)),
-                Math.max(box.min.z, Math.min(sphere.position.z, box.max.z))
-            );
+            // Compare on the ground plane, attack height doesn't matter for melee
+            toTarget.subVectors(collider.position, attackData.position);
+            toTarget.y = 0;
+            const distance = toTarget.length();
+            
+            // Out of reach even at the edge of the target
+            if (distance - collider.radius > attackData.range) continue;
             
-            // Check if the closest point is within the sphere
-            const distance = closestPoint.distanceTo(sphere.position);
-            return distance < sphere.radius;
+            // Widen the arc by the target's angular size so big bosses are easier to hit
+            if (distance > collider.radius) {
+                const angularRadius = Math.asin(collider.radius / distance);
+                if (forward.angleTo(toTarget) > attackData.arc + angularRadius) continue;
+            }
+            
+            targets.push({ entity: collider.entity, distance });
+        }
+        
+        return targets
+            .sort((a, b) => a.distance - b.distance)
+            .map(target => target.entity);
+    }
+    
+    // Apply an ability in single player, or predict it and ask the server in multiplayer
+    resolveAbility(player, abilityData) {
+        const ability = getAbility(abilityData.abilityId);
+        if (!ability) return;
+        
+        // Movement is predicted, the server grants the same boost to our inputs
+        if (ability.kind === 'dash') {
+            player.applyEffect('speedBoost', ability.speedMultiplier, ability.duration);
+        }
+        
+        if (this.isMultiplayer) {
+            if (this.multiplayerClient) {
+                this.multiplayerClient.useAbility({
+                    abilityId: ability.id,
+                    position: {
+                        x: abilityData.position.x,
+                        y: abilityData.position.y,
+                        z: abilityData.position.z
+                    },
+                    direction: {
+                        x: abilityData.direction.x,
+                        y: abilityData.direction.y,
+                        z: abilityData.direction.z
+                    }
+                });
+            }
+            return;
+        }
+        
+        const affected = [player.id];
+        
+        switch (ability.kind) {
+            case 'strike':
+                for (const target of this.findTargetsInArc({ ...abilityData, range: ability.range, arc: ability.arc })) {
+                    this.applyPlayerHit(player, target, abilityData.damage);
+                }
+                break;
+            case 'volley':
+                this.fireVolley(player, ability, abilityData);
+                break;
+            case 'heal':
+                player.heal(ability.amount);
+                break;
+            case 'shield':
+                player.applyEffect('shield', ability.reduction, ability.duration);
+                break;
+            case 'taunt':
+                if (this.currentBoss) {
+                    this.currentBoss.taunt(player, ability.duration);
+                }
+                break;
+        }
+        
+        this.showAbilityEffect(player, ability);
+        
+        if (this.onAbilityUsed) {
+            this.onAbilityUsed(player, ability, affected);
+        }
+    }
+    
+    // Closest downed teammate close enough to revive, or null
+    findDownedTeammate(player) {
+        let closest = null;
+        let closestDistance = REVIVE_RANGE;
+        
+        for (const other of Object.values(this.otherPlayers)) {
+            if (!other.downed) continue;
+            
+            const dx = other.yawObject.position.x - player.yawObject.position.x;
+            const dz = other.yawObject.position.z - player.yawObject.position.z;
+            const distance = Math.sqrt(dx * dx + dz * dz);
+            if (distance <= closestDistance) {
+                closest = other;
+                closestDistance = distance;
+            }
+        }
+        
+        return closest;
+    }
+    
+    // Holding interact next to a downed teammate revives them. The server
+    // runs the revive and cancels it if we walk off or let go.
+    resolveInteract(player, held) {
+        if (!this.isMultiplayer || !this.multiplayerClient) return;
+        
+        if (!held) {
+            if (player.revivingId) {
+                this.multiplayerClient.stopRevive();
+                player.revivingId = null;
+            }
+            return;
+        }
+        
+        if (player.stats.health <= 0) return;
+        
+        const target = this.findDownedTeammate(player);
+        if (target) {
+            this.multiplayerClient.startRevive(target.id);
+            player.revivingId = target.id;
+        }
+    }
+    
+    fireVolley(player, ability, abilityData) {
+        const aim = abilityData.direction.clone().normalize();
+        
+        for (const direction of getVolleyDirections(aim, ability)) {
+            this.spawnProjectile({
+                id: `${player.id}-shot-${this.projectileCount++}`,
+                type: ability.projectile,
+                ownerId: player.id,
+                ownerGroup: 'player',
+                position: getProjectileOrigin(abilityData.position, direction),
+                direction: direction,
+                damage: abilityData.damage
+            });
         }
+    }
+    
+    // Expanding ring in the ability's colour at the caster's feet
+    showAbilityEffect(player, ability) {
+        const position = player.yawObject.position;
+        const material = new THREE.MeshBasicMaterial({
+            color: ability.color,
+            transparent: true,
+            opacity: 0.7,
+            side: THREE.DoubleSide
+        });
+        const ring = new THREE.Mesh(new THREE.RingGeometry(0.6, 0.8, 32), material);
+        ring.position.set(position.x, 0.1, position.z);
+        ring.rotation.x = -Math.PI / 2;
+        this.scene.add(ring);
+        
+        const maxScale = ability.radius || ability.range || 2;
+        const startTime = performance.now();
+        const duration = 500; // ms
+        
+        const animate = () => {
+            const progress = Math.min(1.0, (performance.now() - startTime) / duration);
+            
+            if (progress < 1.0) {
+                const scale = 1 + progress * maxScale;
+                ring.scale.set(scale, scale, 1);
+                material.opacity = 0.7 * (1.0 - progress);
+                requestAnimationFrame(animate);
+            } else {
+                this.scene.remove(ring);
+                ring.geometry.dispose();
+                material.dispose();
+            }
+        };
         
-        return false;
+        animate();
     }
     
     addEntity(entity) {
@@ -174,8 +707,9 @@ export default class Game {
             this.colliders.push(entity.collider);
         }
         
-        // If entity has a mesh, add it to scene
-        if (entity.mesh) {
+        // If entity has a mesh, add it to scene unless it's already part of
+        // a hierarchy (players keep theirs under yawObject/pitchObject)
+        if (entity.mesh && !entity.mesh.parent) {
             this.scene.add(entity.mesh);
         }
         
@@ -207,6 +741,10 @@ export default class Game {
     loadRoom(roomData) {
         console.log('Loading room:', roomData);
         
+        // Shots still flying in the previous room go back to their pools
+        this.clearProjectiles();
+        this.clearTelegraphs();
+        
         // Clear existing room entities except player
         this.entities = this.entities.filter(entity => {
             const isPlayer = entity === this.player || Object.values(this.otherPlayers).includes(entity);
@@ -223,13 +761,27 @@ export default class Game {
             return collider.entity === this.player || 
                 Object.values(this.otherPlayers).some(p => p.collider === collider);
         });
+        this.broadphase.clearStatic();
+        
+        // Pickups left behind in the previous room
+        for (const pickup of Object.values(this.loot)) {
+            pickup.remove();
+        }
+        this.loot = {};
+        
+        // Adds of the previous room went with the entities above
+        this.enemies = {};
+        this.enemyCount = 0;
+        this.waveTimer = 0;
+        
+        this.unloadRoom();
         
         // Create new room
         this.currentRoom = this.createRoom(roomData);
         
         // Reset player position
         if (this.player) {
-            this.player.resetPosition();
+            this.player.resetPosition(roomData.layout.playerSpawn);
         }
         
         // Spawn boss if it's provided
@@ -237,106 +789,163 @@ export default class Game {
             this.spawnBoss(roomData.boss);
         }
         
+        // Adds that were summoned before we got here
+        if (roomData.enemies) {
+            this.spawnEnemies(roomData.enemies);
+        }
+        
+        // Loot that was dropped before we got here
+        if (roomData.loot) {
+            this.spawnLoot(roomData.loot);
+        }
+        
         return this.currentRoom;
     }
     
     createRoom(roomData) {
-        // Basic room structure - can be enhanced later
+        // Rooms from the server bring their layout, so every client builds
+        // the same walls and colliders
+        if (!roomData.layout) {
+            roomData.layout = generateLayout(roomData.seed || 0, { isBossRoom: roomData.boss != null });
+        }
+        const layout = roomData.layout;
+        
         const room = {
             data: roomData,
             entities: [],
-            cleared: false
+            cleared: false,
+            resources: new ResourceTracker(this.scene) // Everything the room puts in the scene, see unloadRoom()
         };
         
-        // Create floor
-        const floorSize = 20;
-        const floorGeometry = new THREE.PlaneGeometry(floorSize, floorSize);
+        // Create floors
         const floorMaterial = new THREE.MeshStandardMaterial({ 
             color: 0x333333, 
             roughness: 0.8 
         });
-        const floor = new THREE.Mesh(floorGeometry, floorMaterial);
-        floor.rotation.x = -Math.PI / 2;
-        floor.receiveShadow = !this.isMobile;
-        this.scene.add(floor);
+        
+        for (const area of layout.floors) {
+            const floor = new THREE.Mesh(
+                new THREE.PlaneGeometry(area.maxX - area.minX, area.maxZ - area.minZ),
+                floorMaterial
+            );
+            floor.rotation.x = -Math.PI / 2;
+            floor.position.set((area.minX + area.maxX) / 2, 0, (area.minZ + area.maxZ) / 2);
+            floor.receiveShadow = !this.isMobile;
+            room.resources.add(floor);
+        }
         
         // Create walls
-        const wallHeight = 5;
         const wallMaterial = new THREE.MeshStandardMaterial({ 
             color: this.getRoomColor(roomData.difficulty),
             roughness: 0.7 
         });
         
-        // North wall
-        const northWall = new THREE.Mesh(
-            new THREE.BoxGeometry(floorSize, wallHeight, 0.5),
-            wallMaterial
-        );
-        northWall.position.set(0, wallHeight/2, -floorSize/2);
-        northWall.castShadow = !this.isMobile;
-        this.scene.add(northWall);
-        
-        // South wall
-        const southWall = new THREE.Mesh(
-            new THREE.BoxGeometry(floorSize, wallHeight, 0.5),
-            wallMaterial
-        );
-        southWall.position.set(0, wallHeight/2, floorSize/2);
-        southWall.castShadow = !this.isMobile;
-        this.scene.add(southWall);
-        
-        // East wall
-        const eastWall = new THREE.Mesh(
-            new THREE.BoxGeometry(0.5, wallHeight, floorSize),
-            wallMaterial
-        );
-        eastWall.position.set(floorSize/2, wallHeight/2, 0);
-        eastWall.castShadow = !this.isMobile;
-        this.scene.add(eastWall);
-        
-        // West wall
-        const westWall = new THREE.Mesh(
-            new THREE.BoxGeometry(0.5, wallHeight, floorSize),
-            wallMaterial
-        );
-        westWall.position.set(-floorSize/2, wallHeight/2, 0);
-        westWall.castShadow = !this.isMobile;
-        this.scene.add(westWall);
-        
-        // Create collision boxes for walls
-        this.addWallCollider(northWall, 'north');
-        this.addWallCollider(southWall, 'south');
-        this.addWallCollider(eastWall, 'east');
-        this.addWallCollider(westWall, 'west');
+        for (const wallData of layout.walls) {
+            const wall = new THREE.Mesh(
+                new THREE.BoxGeometry(wallData.width, WALL_HEIGHT, wallData.depth),
+                wallMaterial
+            );
+            wall.position.set(wallData.x, WALL_HEIGHT / 2, wallData.z);
+            wall.castShadow = !this.isMobile;
+            room.resources.add(wall);
+            this.addWallCollider(wall);
+        }
         
-        // Add room decorations based on room type/difficulty
-        this.addRoomDecorations(roomData);
+        // Pillars and cover
+        const pillarMaterial = new THREE.MeshStandardMaterial({ 
+            color: roomData.boss != null ? 0x550000 : 0x555555, 
+            roughness: 0.7 
+        });
+        
+        for (const pillarData of layout.pillars) {
+            const pillar = new THREE.Mesh(
+                new THREE.CylinderGeometry(pillarData.radius, pillarData.radius, PILLAR_HEIGHT, 8),
+                pillarMaterial
+            );
+            pillar.position.set(pillarData.x, PILLAR_HEIGHT / 2, pillarData.z);
+            pillar.castShadow = !this.isMobile;
+            room.resources.add(pillar);
+            this.addWallCollider(pillar);
+        }
         
-        // Store meshes for later cleanup
-        room.meshes = [floor, northWall, southWall, eastWall, westWall];
+        const coverMaterial = new THREE.MeshStandardMaterial({ 
+            color: 0x444444, 
+            roughness: 0.9 
+        });
+        
+        for (const coverData of layout.cover) {
+            const block = new THREE.Mesh(
+                new THREE.BoxGeometry(coverData.width, COVER_HEIGHT, coverData.depth),
+                coverMaterial
+            );
+            block.position.set(coverData.x, COVER_HEIGHT / 2, coverData.z);
+            block.castShadow = !this.isMobile;
+            block.receiveShadow = !this.isMobile;
+            room.resources.add(block);
+            this.addWallCollider(block);
+        }
+        
+        // Add room decorations based on room type/difficulty
+        this.addRoomDecorations(roomData, room.resources);
         
         return room;
     }
     
-    addWallCollider(wallMesh, direction) {
-        const size = new THREE.Vector3();
-        const bbox = new THREE.Box3().setFromObject(wallMesh);
-        bbox.getSize(size);
+    // Take the current room's meshes and lights out of the scene and free them
+    unloadRoom() {
+        if (!this.currentRoom) return;
+        
+        this.currentRoom.resources.dispose();
+        this.currentRoom = null;
+    }
+    
+    // Box collider around a piece of the room, entities are pushed out of it.
+    // The room doesn't move, so it's hashed once into the broadphase.
+    addWallCollider(mesh) {
+        const bbox = new THREE.Box3().setFromObject(mesh);
         
         const collider = {
             type: 'box',
-            entity: wallMesh,
+            entity: mesh,
             min: bbox.min,
             max: bbox.max,
             active: true,
-            group: 'environment',
-            direction: direction
+            group: 'environment'
         };
         
         this.colliders.push(collider);
+        this.broadphase.addStatic(collider);
         return collider;
     }
     
+    // Layout of the current room, for AI bounds and projectiles
+    getRoomLayout() {
+        return this.currentRoom ? this.currentRoom.data.layout : null;
+    }
+    
+    // Keep a position inside the current room, see keepInLayout()
+    keepInRoom(position, radius) {
+        const layout = this.getRoomLayout();
+        return layout ? keepInLayout(layout, position, radius) : position;
+    }
+    
+    // Seeded random stream of the current room, the same on every client
+    getRoomRandom(name) {
+        return createRandom(deriveSeed(this.currentRoom.data.seed, name));
+    }
+    
+    // Random point on the floor of a layout, at least margin from its edges
+    getRandomFloorPoint(layout, margin, random) {
+        const area = layout.floors[Math.floor(random() * layout.floors.length)];
+        const width = Math.max(0, area.maxX - area.minX - margin * 2);
+        const depth = Math.max(0, area.maxZ - area.minZ - margin * 2);
+        
+        return {
+            x: area.minX + (area.maxX - area.minX - width) / 2 + random() * width,
+            z: area.minZ + (area.maxZ - area.minZ - depth) / 2 + random() * depth
+        };
+    }
+    
     getRoomColor(difficulty) {
         // Different colors based on room difficulty
         const colors = [
@@ -351,20 +960,22 @@ export default class Game {
         return colors[index];
     }
     
-    addRoomDecorations(roomData) {
+    addRoomDecorations(roomData, resources) {
         // Base decoration on room type and difficulty
         const isBossRoom = roomData.boss != null;
         
         if (isBossRoom) {
             // Add boss room decorations
-            this.addBossRoomDecorations(roomData);
+            this.addBossRoomDecorations(roomData, resources);
         } else {
             // Add standard room decorations for non-boss room
-            this.addStandardRoomDecorations(roomData);
+            this.addStandardRoomDecorations(roomData, resources);
         }
     }
     
-    addBossRoomDecorations(roomData) {
+    addBossRoomDecorations(roomData, resources) {
+        const layout = roomData.layout;
+        
         // Add a central platform for the boss
         const platformGeometry = new THREE.CylinderGeometry(5, 5, 0.5, 16);
         const platformMaterial = new THREE.MeshStandardMaterial({ 
@@ -372,58 +983,29 @@ export default class Game {
             roughness: 0.6 
         });
         const platform = new THREE.Mesh(platformGeometry, platformMaterial);
-        platform.position.set(0, 0.25, 0);
+        platform.position.set(layout.bossSpawn.x, 0.25, layout.bossSpawn.z);
         platform.receiveShadow = !this.isMobile;
-        this.scene.add(platform);
+        resources.add(platform);
         
-        // Add some pillars around the room
-        const pillarGeometry = new THREE.CylinderGeometry(0.5, 0.5, 4, 8);
-        const pillarMaterial = new THREE.MeshStandardMaterial({ 
-            color: 0x550000, 
-            roughness: 0.7 
-        });
-        
-        const pillarPositions = [
-            [-8, 2, -8],
-            [8, 2, -8],
-            [-8, 2, 8],
-            [8, 2, 8]
-        ];
-        
-        for (const pos of pillarPositions) {
-            const pillar = new THREE.Mesh(pillarGeometry, pillarMaterial);
-            pillar.position.set(...pos);
-            pillar.castShadow = !this.isMobile;
-            this.scene.add(pillar);
-            
-            // Add collider
-            const bbox = new THREE.Box3().setFromObject(pillar);
-            const collider = {
-                type: 'box',
-                entity: pillar,
-                min: bbox.min,
-                max: bbox.max,
-                active: true,
-                group: 'environment'
-            };
-            this.colliders.push(collider);
-        }
-        
-        // Add some atmospheric lights
+        // Add some atmospheric lights on the pillars
         const lightColor = 0xff2200;
         const intensity = 1;
         const distance = 10;
         
-        for (const pos of pillarPositions) {
+        for (const pillar of layout.pillars) {
             const light = new THREE.PointLight(lightColor, intensity, distance);
-            light.position.set(pos[0], 3, pos[2]);
-            this.scene.add(light);
+            light.position.set(pillar.x, 3, pillar.z);
+            resources.add(light);
         }
     }
     
-    addStandardRoomDecorations(roomData) {
+    addStandardRoomDecorations(roomData, resources) {
         // Add some random debris and props to non-boss rooms
         // In the future, this could be a lobby or preparation room
+        const layout = roomData.layout;
+        
+        // Seeded so every client puts the same colliders in the same places
+        const random = createRandom(deriveSeed(roomData.seed, 'props'));
         
         const debrisGeometry = new THREE.BoxGeometry(0.5, 0.5, 0.5);
         const debrisMaterial = new THREE.MeshStandardMaterial({ 
@@ -431,68 +1013,44 @@ export default class Game {
             roughness: 0.9 
         });
         
-        const numDebris = 5 + Math.floor(Math.random() * 10);
+        const numDebris = 5 + Math.floor(random() * 10);
         
         for (let i = 0; i < numDebris; i++) {
             const debris = new THREE.Mesh(debrisGeometry, debrisMaterial);
-            debris.position.set(
-                (Math.random() - 0.5) * 18,
-                0.25,
-                (Math.random() - 0.5) * 18
-            );
+            const point = this.getRandomFloorPoint(layout, 1, random);
+            debris.position.set(point.x, 0.25, point.z);
             debris.rotation.set(
-                Math.random() * Math.PI,
-                Math.random() * Math.PI,
-                Math.random() * Math.PI
+                random() * Math.PI,
+                random() * Math.PI,
+                random() * Math.PI
             );
             debris.scale.set(
-                1 + Math.random(),
-                1 + Math.random(),
-                1 + Math.random()
+                1 + random(),
+                1 + random(),
+                1 + random()
             );
             debris.castShadow = !this.isMobile;
-            this.scene.add(debris);
+            resources.add(debris);
             
             // Add small collider
-            const bbox = new THREE.Box3().setFromObject(debris);
-            const collider = {
-                type: 'box',
-                entity: debris,
-                min: bbox.min,
-                max: bbox.max,
-                active: true,
-                group: 'environment'
-            };
-            this.colliders.push(collider);
+            this.addWallCollider(debris);
         }
         
         // Maybe add a table or some props
-        if (Math.random() > 0.5) {
+        if (random() > 0.5) {
             const tableGeometry = new THREE.BoxGeometry(2, 1, 1);
             const tableMaterial = new THREE.MeshStandardMaterial({ 
                 color: 0x442200, 
                 roughness: 0.8 
             });
             const table = new THREE.Mesh(tableGeometry, tableMaterial);
-            table.position.set(
-                (Math.random() - 0.5) * 15,
-                0.5,
-                (Math.random() - 0.5) * 15
-            );
+            const point = this.getRandomFloorPoint(layout, 2, random);
+            table.position.set(point.x, 0.5, point.z);
             table.castShadow = !this.isMobile;
-            this.scene.add(table);
+            resources.add(table);
             
             // Add collider
-            const bbox = new THREE.Box3().setFromObject(table);
-            const collider = {
-                type: 'box',
-                entity: table,
-                min: bbox.min,
-                max: bbox.max,
-                active: true,
-                group: 'environment'
-            };
-            this.colliders.push(collider);
+            this.addWallCollider(table);
         }
     }
     
@@ -500,6 +1058,10 @@ export default class Game {
         // Create a boss instance
         const boss = new Boss(bossData.id, bossData.type || 0, this);
         
+        // In multiplayer the server simulates the boss, we only render it
+        boss.serverControlled = this.isMultiplayer;
+        boss.random = this.getRoomRandom('boss');
+        
         // Set position if provided
         if (bossData.position) {
             boss.mesh.position.set(
@@ -515,8 +1077,8 @@ export default class Game {
             boss.maxHealth = bossData.maxHealth || bossData.health;
         }
         
-        // Add to scene and game
-        this.scene.add(boss.mesh);
+        // Add to scene and game, the mesh goes with the room
+        this.currentRoom.resources.add(boss.mesh);
         this.addEntity(boss);
         
         // Store reference to current boss
@@ -535,6 +1097,94 @@ export default class Game {
         // Clear boss reference
         this.currentBoss = null;
         
+        // Notify custom callback if provided
+        if (this.onBossDefeated) {
+            this.onBossDefeated(boss);
+        }
+        
+        this.checkRoomCleared();
+    }
+    
+    /**
+     * Add enemies to the current room
+     * @param {Array} enemyList - Enemy data, see createEnemy() in shared/enemies
+     * @returns {Array} The enemies spawned, skipping ones already in the room
+     */
+    spawnEnemies(enemyList) {
+        const enemies = [];
+        
+        for (const enemyData of enemyList) {
+            if (this.enemies[enemyData.id] || enemyData.health <= 0) continue;
+            
+            const enemy = new Enemy(enemyData.id, enemyData.type, this);
+            
+            // In multiplayer the server simulates adds, we only render them
+            enemy.serverControlled = this.isMultiplayer;
+            enemy.health = enemyData.health;
+            enemy.maxHealth = enemyData.maxHealth || enemyData.health;
+            enemy.mesh.position.set(enemyData.position.x, enemyData.position.y, enemyData.position.z);
+            enemy.updateCollider();
+            enemy.onEnemyDefeated = () => this.checkRoomCleared();
+            
+            this.addEntity(enemy);
+            this.enemies[enemy.id] = enemy;
+            
+            // Freed with the room, dead adds only leave the scene
+            if (this.currentRoom) {
+                this.currentRoom.resources.track(enemy.mesh);
+            }
+            enemies.push(enemy);
+        }
+        
+        this.enemyCount += enemies.length;
+        
+        return enemies;
+    }
+    
+    // Call in a boss's adds for the phase it just entered, only called in single player
+    summonAdds(boss) {
+        const wave = getSummonWave(boss.moveSet, boss.phase);
+        if (wave.length === 0 || !this.currentRoom) return [];
+        
+        return this.spawnEnemies(createWave(wave, this.currentRoom.data.id, this.enemyCount, this.getRoomLayout().spawnPoints));
+    }
+    
+    // Next wave of a solo combat room once the last one is dead, the server spawns them in multiplayer
+    updateWaves(delta) {
+        if (this.isMultiplayer || !this.currentRoom || this.currentRoom.cleared) return;
+        
+        const roomData = this.currentRoom.data;
+        if (!roomData.waves || roomData.wavesSpawned >= roomData.waves.length) return;
+        if (this.getLivingEnemies().length > 0) return;
+        
+        this.waveTimer -= delta;
+        if (this.waveTimer > 0) return;
+        
+        const wave = roomData.waves[roomData.wavesSpawned];
+        roomData.wavesSpawned++;
+        this.waveTimer = WAVE_INTERVAL;
+        
+        const enemies = this.spawnEnemies(createWave(wave, roomData.id, this.enemyCount, roomData.layout.spawnPoints));
+        
+        if (this.onWaveSpawned) {
+            this.onWaveSpawned(roomData.wavesSpawned, roomData.waves.length, enemies);
+        }
+    }
+    
+    getLivingEnemies() {
+        return Object.values(this.enemies).filter(enemy => enemy.health > 0);
+    }
+    
+    // The room is done once the boss, its adds and every wave are dead
+    checkRoomCleared() {
+        if (!this.currentRoom || this.currentRoom.cleared) return;
+        if (this.currentBoss || this.getLivingEnemies().length > 0) return;
+        
+        const roomData = this.currentRoom.data;
+        if (roomData.waves && roomData.wavesSpawned < roomData.waves.length) return;
+        
+        this.currentRoom.cleared = true;
+        
         // Increment room counter
         this.roomsCleared++;
         
@@ -542,10 +1192,113 @@ export default class Game {
         if (this.onRoomComplete) {
             this.onRoomComplete(this.roomsCleared);
         }
+    }
+    
+    // XP for a kill in solo play, the server awards it to the whole party in multiplayer
+    awardExperience(player, source, target) {
+        if (this.isMultiplayer || !this.currentRoom) return;
         
-        // Notify custom callback if provided
-        if (this.onBossDefeated) {
-            this.onBossDefeated(boss);
+        const amount = getKillExperience(source, {
+            difficulty: this.currentRoom.data.difficulty,
+            type: target.type
+        });
+        
+        const progress = {
+            level: player.stats.level,
+            xp: player.stats.xp,
+            maxHealth: player.stats.maxHealth,
+            health: player.stats.health
+        };
+        
+        if (!gainExperience(progress, amount)) {
+            player.stats.xp = progress.xp;
+            return;
+        }
+        
+        const classStats = getClassStats(player.classId, progress.level);
+        player.applyLevelUp({
+            ...progress,
+            attackDamage: classStats.attackDamage,
+            attackSpeed: classStats.attackSpeed
+        });
+        
+        if (this.onPlayerLevelUp) {
+            this.onPlayerLevelUp(player);
+        }
+    }
+    
+    // Roll drops for a boss or enemy that died in solo play, the server rolls them in multiplayer
+    dropLoot(source, sourceType) {
+        if (this.isMultiplayer || !this.currentRoom || !source.mesh) return [];
+        
+        const roomData = this.currentRoom.data;
+        const loot = rollLoot({
+            seed: roomData.seed,
+            sourceId: source.id,
+            source: sourceType,
+            difficulty: roomData.difficulty,
+            bossType: source.type,
+            position: source.mesh.position,
+            layout: roomData.layout
+        });
+        
+        return this.spawnLoot(loot);
+    }
+    
+    spawnLoot(lootItems) {
+        const pickups = [];
+        
+        for (const lootData of lootItems) {
+            if (this.loot[lootData.id]) continue;
+            
+            const pickup = new LootPickup(lootData, this);
+            this.addEntity(pickup);
+            this.loot[pickup.id] = pickup;
+            pickups.push(pickup);
+        }
+        
+        return pickups;
+    }
+    
+    removeLoot(lootId) {
+        const pickup = this.loot[lootId];
+        if (!pickup) return null;
+        
+        this.removeEntity(pickup);
+        pickup.remove();
+        delete this.loot[lootId];
+        
+        return pickup;
+    }
+    
+    // A player walked into a pickup
+    collectLoot(player, pickup) {
+        if (!this.loot[pickup.id] || player.stats.health <= 0) return;
+        
+        if (this.isMultiplayer) {
+            // Server applies the effect and tells everyone to remove the pickup
+            const now = performance.now();
+            if (now - pickup.requestedAt < LOOT_REQUEST_RETRY) return;
+            pickup.requestedAt = now;
+            
+            if (this.multiplayerClient) {
+                this.multiplayerClient.sendLootCollected(pickup.id);
+            }
+            return;
+        }
+        
+        // Same effects as the server's collectLoot handler
+        if (pickup.type === 'health') {
+            player.heal(pickup.value);
+        } else if (pickup.type === 'maxHealth') {
+            player.stats.maxHealth += pickup.value;
+            player.stats.health += pickup.value;
+        }
+        
+        this.removeLoot(pickup.id);
+        
+        if (this.onLootCollected) {
+            this.onLootCollected(player, pickup);
         }
     }
     
@@ -561,14 +1314,46 @@ export default class Game {
         console.log("Player health updated:", health);
     }
     
+    // Solo death: watch the body for a moment, then game over. The server
+    // decides when the game is over in multiplayer.
+    handlePlayerDeath(player) {
+        if (this.isMultiplayer || player !== this.player || this.deathCamera) return;
+        
+        this.deathCamera = new DeathCamera(this.camera, this.scene, player.yawObject.position);
+    }
+    
     triggerGameOver() {
         this.running = false;
         
+        // Same shape as the server's gameOver event
         if (this.onGameOver) {
             this.onGameOver({
                 roomsCleared: this.roomsCleared,
-                playerStats: this.player ? this.player.stats : null
+                playerStats: this.player ? { [this.player.id]: this.player.stats } : {}
             });
         }
     }
+    
+    // Forget everything about the last run so a new one starts from scratch.
+    // The scene itself is cleared by main.js, see teardownGame().
+    reset() {
+        this.stop();
+        
+        for (const pickup of Object.values(this.loot)) {
+            pickup.remove();
+        }
+        this.loot = {};
+        
+        this.unloadRoom();
+        
+        this.player = null;
+        this.otherPlayers = {};
+        this.currentBoss = null;
+        this.enemies = {};
+        this.enemyCount = 0;
+        this.waveTimer = 0;
+        this.roomsCleared = 0;
+        this.runSeed = null;
+        this.deathCamera = null;
+    }
 } 
\ No newline at end of file
@@ -0,0 +1,182 @@
+// Desktop input handling - WASD movement, pointer-locked mouse look, click to
+// attack, Q/E/R/T for the ability bar and F to interact
+
+// Keys mapped to Player.moveState flags
+const MOVE_KEYS = {
+    KeyW: 'forward',
+    ArrowUp: 'forward',
+    KeyS: 'backward',
+    ArrowDown: 'backward',
+    KeyA: 'left',
+    ArrowLeft: 'left',
+    KeyD: 'right',
+    ArrowRight: 'right'
+};
+
+// Keys for the ability bar slots, in slot order
+export const ABILITY_KEYS = ['KeyQ', 'KeyE', 'KeyR', 'KeyT'];
+
+// Held to revive downed teammates
+export const INTERACT_KEY = 'KeyF';
+
+// Keep pitch just short of straight up/down, same as the mobile look controls
+const PITCH_LIMIT = Math.PI / 2 - 0.1;
+
+export default class DesktopControls {
+    constructor(domElement, options = {}) {
+        this.domElement = domElement;
+        this.player = null;
+        this.isLocked = false;
+        this.sensitivity = options.sensitivity || 0.002;
+
+        // Bound handlers so they can be removed again
+        this.onKeyDown = this.onKeyDown.bind(this);
+        this.onKeyUp = this.onKeyUp.bind(this);
+        this.onMouseDown = this.onMouseDown.bind(this);
+        this.onMouseMove = this.onMouseMove.bind(this);
+        this.onPointerLockChange = this.onPointerLockChange.bind(this);
+        this.onBlur = this.onBlur.bind(this);
+    }
+
+    /**
+     * Start driving a player from keyboard and mouse
+     * @param {Player} player - Local player to control
+     */
+    attach(player) {
+        this.detach();
+        this.player = player;
+
+        document.addEventListener('keydown', this.onKeyDown);
+        document.addEventListener('keyup', this.onKeyUp);
+        document.addEventListener('mousemove', this.onMouseMove);
+        document.addEventListener('pointerlockchange', this.onPointerLockChange);
+        this.domElement.addEventListener('mousedown', this.onMouseDown);
+        window.addEventListener('blur', this.onBlur);
+
+        return this;
+    }
+
+    /**
+     * Stop controlling the current player and release the pointer
+     */
+    detach() {
+        if (!this.player) return;
+
+        document.removeEventListener('keydown', this.onKeyDown);
+        document.removeEventListener('keyup', this.onKeyUp);
+        document.removeEventListener('mousemove', this.onMouseMove);
+        document.removeEventListener('pointerlockchange', this.onPointerLockChange);
+        this.domElement.removeEventListener('mousedown', this.onMouseDown);
+        window.removeEventListener('blur', this.onBlur);
+
+        this.releasePointer();
+        this.resetMoveState();
+        this.player = null;
+    }
+
+    lockPointer() {
+        if (this.domElement.requestPointerLock) {
+            this.domElement.requestPointerLock();
+        }
+    }
+
+    releasePointer() {
+        if (document.pointerLockElement === this.domElement) {
+            document.exitPointerLock();
+        }
+    }
+
+    resetMoveState() {
+        if (!this.player) return;
+
+        for (const direction of Object.values(MOVE_KEYS)) {
+            this.player.moveState[direction] = false;
+        }
+
+        // Keys released while unfocused never send keyup
+        this.player.interact(false);
+    }
+
+    onKeyDown(event) {
+        // Don't steal keys from form fields such as the party code input
+        if (event.target && event.target.tagName === 'INPUT') return;
+
+        if (event.code === 'Escape') {
+            this.releasePointer();
+            return;
+        }
+
+        const direction = MOVE_KEYS[event.code];
+        if (direction) {
+            this.player.moveState[direction] = true;
+            event.preventDefault();
+            return;
+        }
+
+        if (event.code === INTERACT_KEY) {
+            if (!event.repeat) {
+                this.player.interact(true);
+            }
+            event.preventDefault();
+            return;
+        }
+
+        const slot = ABILITY_KEYS.indexOf(event.code);
+        if (slot !== -1 && !event.repeat) {
+            this.player.useAbility(slot);
+            event.preventDefault();
+        }
+    }
+
+    onKeyUp(event) {
+        const direction = MOVE_KEYS[event.code];
+        if (direction) {
+            this.player.moveState[direction] = false;
+        }
+
+        if (event.code === INTERACT_KEY) {
+            this.player.interact(false);
+        }
+    }
+
+    onMouseDown(event) {
+        // First click captures the mouse, later left clicks attack
+        if (!this.isLocked) {
+            this.lockPointer();
+            return;
+        }
+
+        if (event.button === 0) {
+            this.player.attack();
+        }
+    }
+
+    onMouseMove(event) {
+        if (!this.isLocked) return;
+
+        this.player.yawObject.rotation.y -= event.movementX * this.sensitivity;
+
+        const pitchObject = this.player.pitchObject;
+        pitchObject.rotation.x -= event.movementY * this.sensitivity;
+        pitchObject.rotation.x = Math.max(-PITCH_LIMIT, Math.min(PITCH_LIMIT, pitchObject.rotation.x));
+    }
+
+    onPointerLockChange() {
+        this.isLocked = document.pointerLockElement === this.domElement;
+
+        // Show the crosshair only while aiming
+        const crosshair = document.getElementById('crosshair');
+        if (crosshair) {
+            crosshair.style.display = this.isLocked ? 'block' : 'none';
+        }
+
+        // Keys released while unlocked would otherwise stay held
+        if (!this.isLocked) {
+            this.resetMoveState();
+        }
+    }
+
+    onBlur() {
+        this.resetMoveState();
+    }
+}
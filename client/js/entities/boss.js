@@ -1,62 +1,63 @@
 import * as THREE from 'three';
+import { getProjectileOrigin } from '../shared/projectiles.mjs';
+import { createAreaGeometry } from '../world/telegraph.js';
+import {
+    getMoveSet, getMove, getMoveDamage, getMoveSpeed, chooseMove, tickCooldowns,
+    createMoveState, startMove, advanceMove, isInMoveArea, getLungeEnd,
+    getMoveShotDirections, getMoveTelegraphAreas, getWindUpTime, PLAYER_HIT_PADDING
+} from '../shared/bosses.mjs';
 
 export default class Boss {
     constructor(id, type, game) {
         // Basic properties
         this.id = id;
         this.type = type || 0; // 0-4 for different boss types
-        this.name = this.getBossName(this.type);
+        this.moveSet = getMoveSet(this.type); // Stats and attacks, see shared/bosses
+        this.name = this.moveSet.name;
         this.game = game;
         this.mesh = null;
         this.collider = null;
         
         // Movement and AI properties
-        this.moveSpeed = 1.5 + (this.type * 0.3); // Slower but more powerful than regular enemies
+        this.moveSpeed = this.moveSet.moveSpeed;
         this.targetPosition = new THREE.Vector3();
         this.velocity = new THREE.Vector3();
         this.lastPathfindTime = 0;
         this.pathfindInterval = 1.0; // How often to recalculate path
         
-        // Combat properties
-        this.attackCooldown = 0;
-        this.attackDamage = 15 + (this.type * 5);
-        this.attackRange = 2.5;
-        this.attackSpeed = 0.6 + (this.type * 0.1); // Attacks per second
-        
-        // Special attack properties
-        this.specialAttackCooldown = 0;
-        this.specialAttackInterval = 10; // Seconds between special attacks
-        this.specialAttackDamage = 25 + (this.type * 8);
-        this.specialAttackRange = 6;
+        // Move being played and move cooldowns
+        this.moveState = createMoveState();
+        this.windUpGlow = null; // Emissive to restore after a wind-up, see showWindUp()
+        this.projectileCount = 0;
+        this.telegraphCount = 0;
         
         // Stats
-        this.health = 200 + (this.type * 100);
-        this.maxHealth = 200 + (this.type * 100);
+        this.health = this.moveSet.health;
+        this.maxHealth = this.moveSet.health;
         
         // Animation state
         this.animationState = 'idle';
         this.phaseTransition = false;
         
+        // Player that taunted the boss and how long it stays on them
+        this.tauntTarget = null;
+        this.tauntTimer = 0;
+        
+        // Set by the game in multiplayer - AI runs on the server instead
+        this.serverControlled = false;
+        
+        // Target switching and movement jitter, the game hands us the room's
+        // seeded 'boss' stream so solo runs replay like the server's
+        this.random = Math.random;
+        
         // Phase tracking
         this.phase = 1; // Boss battles have phases
-        this.phaseThresholds = [0.7, 0.4, 0.2]; // Health percentages where phase changes
+        this.phaseThresholds = this.moveSet.phaseThresholds; // Health percentages where phase changes
         
         // Create the boss mesh and collider
         this.createMesh();
     }
     
-    getBossName(type) {
-        const names = [
-            'Reanimated Executioner',
-            'Blood Acolyte',
-            'Pit Fiend',
-            'Necrotic Hierophant',
-            'Deathlord'
-        ];
-        
-        return names[Math.min(type, names.length - 1)];
-    }
-    
     createMesh() {
         // Create a boss representation based on type
         let geometry, material;
@@ -141,6 +142,25 @@ export default class Boss {
     update(delta) {
         if (!this.mesh || this.health <= 0) return;
         
+        // Server snapshots drive position, phase and attacks
+        if (this.serverControlled) {
+            this.updateCollider();
+            return;
+        }
+        
+        tickCooldowns(this.moveState.cooldowns, delta);
+        
+        if (this.tauntTimer > 0) {
+            this.tauntTimer -= delta;
+        }
+        
+        // A move plays out before anything else happens
+        if (this.moveState.move) {
+            this.updateMove(delta);
+            this.updateCollider();
+            return;
+        }
+        
         // Check phase transitions
         this.checkPhase();
         
@@ -156,24 +176,17 @@ export default class Boss {
         // Move towards target
         this.updateMovement(delta);
         
-        // Update attack cooldowns
-        if (this.attackCooldown > 0) {
-            this.attackCooldown -= delta;
-        }
-        
-        if (this.specialAttackCooldown > 0) {
-            this.specialAttackCooldown -= delta;
-        } else {
-            // Ready for special attack
-            this.specialAttackCooldown = this.specialAttackInterval;
-            this.performSpecialAttack();
-        }
-        
         // Update collider position
         this.updateCollider();
         
-        // Attempt attack if in range
-        this.attemptAttack();
+        // Start a move if the target is in range of one
+        this.attemptMove();
+    }
+    
+    // Make the boss chase a player for a while, see the taunt ability
+    taunt(player, duration) {
+        this.tauntTarget = player;
+        this.tauntTimer = duration;
     }
     
     checkPhase() {
@@ -191,6 +204,9 @@ export default class Boss {
             
             // Perform phase transition effect
             this.performPhaseTransition();
+            
+            // Call in this phase's adds
+            this.game.summonAdds(this);
         }
     }
     
@@ -233,10 +249,8 @@ export default class Boss {
     }
     
     powerUpForNewPhase() {
-        // Power up the boss for the new phase
-        this.attackDamage += 5;
-        this.attackSpeed += 0.1;
-        this.moveSpeed += 0.3;
+        // Power up the boss for the new phase, moves hit harder too
+        this.moveSpeed = getMoveSpeed(this.moveSet, this.phase);
         
         // Change color to indicate power increase
         if (this.mesh && this.mesh.material) {
@@ -267,11 +281,17 @@ export default class Boss {
     }
     
     findTarget() {
+        // A taunt overrides the usual targeting until it wears off
+        if (this.tauntTimer > 0 && this.tauntTarget && this.tauntTarget.stats.health > 0) {
+            this.targetPosition.copy(this.tauntTarget.yawObject.position);
+            return;
+        }
+        
         // Boss targets the closest player by default
         // But has a chance to switch targets to make the fight more dynamic
         
         // Every 5 seconds, 20% chance to pick a random target instead of closest
-        if (Math.random() < 0.2 && this.game && this.game.player) {
+        if (this.random() < 0.2 && this.game && this.game.player) {
             // Get all players
             const players = [this.game.player];
             
@@ -285,7 +305,7 @@ export default class Boss {
             
             if (alivePlayers.length > 0) {
                 // Pick a random player
-                const randomPlayer = alivePlayers[Math.floor(Math.random() * alivePlayers.length)];
+                const randomPlayer = alivePlayers[Math.floor(this.random() * alivePlayers.length)];
                 this.targetPosition.copy(randomPlayer.yawObject.position);
                 return;
             }
@@ -333,11 +353,8 @@ export default class Boss {
     }
     
     adjustTargetForObstacles() {
-        // Keep boss within room bounds
-        const bounds = 9; // Room size - 1 unit buffer
-        
-        this.targetPosition.x = Math.max(-bounds, Math.min(bounds, this.targetPosition.x));
-        this.targetPosition.z = Math.max(-bounds, Math.min(bounds, this.targetPosition.z));
+        // Keep boss on the floor of the room layout
+        this.game.keepInRoom(this.targetPosition, this.collider.radius);
     }
     
     updateMovement(delta) {
@@ -347,18 +364,18 @@ export default class Boss {
         // Distance to target
         const distance = direction.length();
         
-        // If we're far enough away, move towards target
-        if (distance > this.attackRange) {
+        // Close in until the move set's preferred distance
+        if (distance > this.moveSet.engageRange) {
             // Normalize direction and apply speed
             direction.normalize().multiplyScalar(this.moveSpeed * delta);
             
             // Apply movement, with some random variation
-            if (Math.random() < 0.7) {
+            if (this.random() < 0.7) {
                 // Move directly toward target
                 this.mesh.position.add(direction);
             } else {
                 // Add some randomness to movement
-                const randomAngle = (Math.random() - 0.5) * Math.PI / 4;
+                const randomAngle = (this.random() - 0.5) * Math.PI / 4;
                 direction.applyAxisAngle(new THREE.Vector3(0, 1, 0), randomAngle);
                 this.mesh.position.add(direction);
             }
@@ -385,192 +402,194 @@ export default class Boss {
         this.collider.position.copy(this.mesh.position);
     }
     
-    attemptAttack() {
-        // Only attack if we're in range and cooled down
-        if (this.attackCooldown <= 0) {
-            const closestPlayer = this.findClosestPlayer();
-            
-            if (closestPlayer) {
-                const distance = this.mesh.position.distanceTo(closestPlayer.yawObject.position);
-                
-                if (distance <= this.attackRange) {
-                    this.attack(closestPlayer);
-                }
-            }
-        }
+    // Start the first move the target is in range of
+    attemptMove() {
+        const dx = this.targetPosition.x - this.mesh.position.x;
+        const dz = this.targetPosition.z - this.mesh.position.z;
+        const distance = Math.sqrt(dx * dx + dz * dz);
+        
+        const move = chooseMove(this.moveSet, this.phase, this.moveState.cooldowns, distance);
+        if (!move) return;
+        
+        startMove(this.moveState, move, this.mesh.position, this.targetPosition);
+        this.mesh.rotation.y = this.moveState.area.yaw;
+        this.animationState = 'windUp';
+        this.showWindUp(move);
+        
+        this.game.spawnTelegraph({
+            id: `${this.id}-telegraph-${this.telegraphCount++}`,
+            bossId: this.id,
+            moveId: move.id,
+            areas: getMoveTelegraphAreas(this.moveState),
+            duration: getWindUpTime(move)
+        });
     }
     
-    attack(player) {
-        // Set cooldown
-        this.attackCooldown = 1.0 / this.attackSpeed;
-        
-        // Animation
-        this.animationState = 'attacking';
-        
-        // Deal damage to player
-        if (player && player.takeDamage) {
-            // In multiplayer, this would be handled by the server
-            if (this.game && this.game.isMultiplayer) {
-                // Send attack event to server
-                if (window.socket) {
-                    window.socket.emit('bossAttacked', {
-                        bossId: this.id,
-                        playerId: player.id,
-                        damage: this.attackDamage
-                    });
-                }
-            } else {
-                // Direct damage in single player
-                player.takeDamage(this.attackDamage);
-                
-                // Update UI
-                if (this.game.updatePlayerHealth) {
-                    this.game.updatePlayerHealth(player.stats.health);
-                }
-            }
+    // Play the current move, it lands when the wind-up ends
+    updateMove(delta) {
+        const state = this.moveState;
+        const move = state.move;
+        const entered = advanceMove(state, delta);
+        
+        if (entered === 'done') {
+            this.animationState = 'idle';
+            return;
         }
         
-        // Visual effect for attack
-        this.showAttackEffect(player.yawObject.position);
+        this.animationState = state.stage;
+        
+        if (entered !== 'active') return;
+        
+        this.clearWindUp();
+        this.showMoveEffect(move, state.area);
+        
+        if (move.lunge) {
+            const end = this.game.keepInRoom(getLungeEnd(state.area), this.collider.radius);
+            this.mesh.position.x = end.x;
+            this.mesh.position.z = end.z;
+        }
+        
+        if (move.shape === 'projectile') {
+            this.fireMoveProjectiles(move);
+        } else {
+            this.hitPlayersInArea(move);
+        }
     }
     
-    performSpecialAttack() {
-        // Special attack hits all players in range
-        this.animationState = 'specialAttack';
-        
-        // Get all players
+    // Only players still inside the telegraphed area are hit. Single player
+    // only, the server resolves move hits in multiplayer.
+    hitPlayersInArea(move) {
+        const state = this.moveState;
         const players = [this.game.player];
         
-        // Add other players if they exist
         if (this.game.otherPlayers) {
             players.push(...Object.values(this.game.otherPlayers));
         }
         
-        // Filter to only include players in range
-        const playersInRange = players.filter(player => {
-            const distance = this.mesh.position.distanceTo(player.yawObject.position);
-            return distance <= this.specialAttackRange;
-        });
-        
-        // Attack all players in range
-        let hitAnyPlayer = false;
-        
-        for (const player of playersInRange) {
-            if (player && player.takeDamage) {
-                hitAnyPlayer = true;
-                
-                // In multiplayer, handled by server
-                if (this.game && this.game.isMultiplayer) {
-                    if (window.socket) {
-                        window.socket.emit('bossSpecialAttack', {
-                            bossId: this.id,
-                            playerId: player.id,
-                            damage: this.specialAttackDamage
-                        });
-                    }
-                } else {
-                    // Direct damage in single player
-                    player.takeDamage(this.specialAttackDamage);
-                    
-                    // Update UI
-                    if (this.game.updatePlayerHealth) {
-                        this.game.updatePlayerHealth(player.stats.health);
-                    }
-                }
+        for (const player of players) {
+            if (!player || player.stats.health <= 0) continue;
+            if (!isInMoveArea(state.area, player.yawObject.position, PLAYER_HIT_PADDING)) continue;
+            
+            player.takeDamage(getMoveDamage(move, this.phase));
+            
+            // Update UI
+            if (this.game.updatePlayerHealth) {
+                this.game.updatePlayerHealth(player.stats.health);
             }
         }
-        
-        // Visual effect for special attack
-        if (hitAnyPlayer) {
-            this.showSpecialAttackEffect();
+    }
+    
+    fireMoveProjectiles(move) {
+        for (const direction of getMoveShotDirections(this.moveState)) {
+            this.game.spawnProjectile({
+                id: `${this.id}-shot-${this.projectileCount++}`,
+                type: move.projectile,
+                ownerId: this.id,
+                ownerGroup: 'boss',
+                position: getProjectileOrigin(this.mesh.position, direction),
+                direction: new THREE.Vector3(direction.x, direction.y, direction.z),
+                damage: getMoveDamage(move, this.phase)
+            });
         }
     }
     
-    showAttackEffect(targetPosition) {
-        // Create a simple visual effect for the attack
-        const attackGeometry = new THREE.ConeGeometry(0.3, 2, 8);
-        const attackMaterial = new THREE.MeshBasicMaterial({ 
-            color: 0xff0000, 
-            transparent: true, 
-            opacity: 0.6 
-        });
-        const attackMesh = new THREE.Mesh(attackGeometry, attackMaterial);
+    // Glow in the move's colour while winding up
+    showWindUp(move) {
+        const material = this.mesh && this.mesh.material;
+        if (!material || !material.emissive) return;
+        
+        if (!this.windUpGlow) {
+            this.windUpGlow = {
+                color: material.emissive.clone(),
+                intensity: material.emissiveIntensity
+            };
+        }
         
-        // Position and orient the attack visual
-        attackMesh.position.copy(this.mesh.position);
-        attackMesh.lookAt(targetPosition);
+        material.emissive.set(move.color);
+        material.emissiveIntensity = 0.8;
+    }
+    
+    clearWindUp() {
+        if (!this.windUpGlow || !this.mesh) return;
         
-        // Rotate to point forward
-        attackMesh.rotateX(Math.PI / 2);
+        this.mesh.material.emissive.copy(this.windUpGlow.color);
+        this.mesh.material.emissiveIntensity = this.windUpGlow.intensity;
+        this.windUpGlow = null;
+    }
+    
+    // Apply an authoritative snapshot from the server simulation
+    applySnapshot(snapshot) {
+        if (!this.mesh || this.isDead) return;
+        
+        if (snapshot.position) {
+            this.mesh.position.set(
+                snapshot.position.x,
+                snapshot.position.y,
+                snapshot.position.z
+            );
+        }
         
-        // Add to scene
-        this.game.scene.add(attackMesh);
+        if (snapshot.rotation) {
+            this.mesh.rotation.y = snapshot.rotation.y;
+        }
         
-        // Fade out and remove
-        const startTime = performance.now();
-        const duration = 300; // ms
+        if (snapshot.animationState) {
+            this.animationState = snapshot.animationState;
+        }
         
-        function animate() {
-            const elapsed = performance.now() - startTime;
-            const progress = Math.min(1.0, elapsed / duration);
-            
-            if (progress < 1.0) {
-                // Scale and fade
-                attackMesh.scale.set(1.0 + progress, 1.0 - progress, 1.0 + progress);
-                attackMaterial.opacity = 0.6 * (1.0 - progress);
-                
-                requestAnimationFrame(animate);
-            } else {
-                // Remove when done
-                if (attackMesh.parent) {
-                    attackMesh.parent.remove(attackMesh);
-                }
-            }
+        // Wind-ups glow here too, the area effect comes with the bossAttack event
+        const move = snapshot.moveId ? getMove(this.moveSet, snapshot.moveId) : null;
+        if (move && snapshot.animationState === 'windUp') {
+            this.showWindUp(move);
+        } else {
+            this.clearWindUp();
         }
         
-        animate();
+        // Play the transition effect locally when the server advances the phase
+        if (snapshot.phase !== undefined && snapshot.phase > this.phase) {
+            this.phase = snapshot.phase;
+            this.performPhaseTransition();
+        }
+        
+        this.updateCollider();
     }
     
-    showSpecialAttackEffect() {
-        // Create a shockwave effect
-        const shockwaveGeometry = new THREE.RingGeometry(0.5, 1, 32);
-        const shockwaveMaterial = new THREE.MeshBasicMaterial({ 
-            color: 0xff0000, 
-            transparent: true, 
-            opacity: 0.8,
-            side: THREE.DoubleSide
+    // Flash the ground a move hits, shaped like its area
+    showMoveEffect(move, area) {
+        if (!move || !area || !this.game.scene) return;
+        
+        // Projectile moves show their projectiles
+        const geometry = createAreaGeometry(area);
+        if (!geometry) return;
+        
+        const material = new THREE.MeshBasicMaterial({
+            color: move.color,
+            transparent: true,
+            opacity: 0.7,
+            side: THREE.DoubleSide,
+            depthWrite: false
         });
-        const shockwave = new THREE.Mesh(shockwaveGeometry, shockwaveMaterial);
+        const effect = new THREE.Mesh(geometry, material);
+        effect.position.set(area.x, 0.05, area.z);
+        effect.rotation.y = area.yaw;
+        this.game.scene.add(effect);
         
-        // Position at boss feet
-        shockwave.position.copy(this.mesh.position);
-        shockwave.position.y = 0.1;
-        shockwave.rotation.x = -Math.PI / 2; // Lay flat on ground
-        
-        // Add to scene
-        this.game.scene.add(shockwave);
-        
-        // Expand and fade out
+        // Fade out and remove
         const startTime = performance.now();
-        const duration = 1000; // ms
-        const maxRadius = this.specialAttackRange;
+        const duration = 400; // ms
         
         function animate() {
-            const elapsed = performance.now() - startTime;
-            const progress = Math.min(1.0, elapsed / duration);
+            const progress = Math.min(1.0, (performance.now() - startTime) / duration);
             
             if (progress < 1.0) {
-                // Expand
-                const scale = 1 + progress * maxRadius;
-                shockwave.scale.set(scale, scale, 1);
-                shockwaveMaterial.opacity = 0.8 * (1.0 - progress);
-                
+                material.opacity = 0.7 * (1.0 - progress);
                 requestAnimationFrame(animate);
             } else {
-                // Remove when done
-                if (shockwave.parent) {
-                    shockwave.parent.remove(shockwave);
+                if (effect.parent) {
+                    effect.parent.remove(effect);
                 }
+                geometry.dispose();
+                material.dispose();
             }
         }
         
@@ -621,6 +640,9 @@ export default class Boss {
             this.collider.active = false;
         }
         
+        // Drop loot where the boss fell
+        this.game.dropLoot(this, 'boss');
+        
         // Play death animation
         this.playDeathAnimation();
     }
@@ -743,9 +765,14 @@ export default class Boss {
             this.mesh.parent.remove(this.mesh);
         }
         
+        // Moves it was winding up won't land
+        if (this.game) {
+            this.game.clearTelegraphs(this.id);
+        }
+        
         // Notify game of boss defeat
-        if (this.game && this.game.onBossDefeated) {
-            this.game.onBossDefeated(this);
+        if (this.onBossDefeated) {
+            this.onBossDefeated(this);
         }
         
         // Null references for garbage collection
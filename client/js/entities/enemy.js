@@ -1,16 +1,22 @@
 import * as THREE from 'three';
+import { getEnemyType } from '../shared/enemies.mjs';
 
 export default class Enemy {
     constructor(id, type, game) {
         // Basic properties
         this.id = id;
         this.type = type || 0; // 0-2 for different enemy types
+        this.stats = getEnemyType(this.type); // See shared/enemies
+        this.name = this.stats.name;
         this.game = game;
         this.mesh = null;
         this.collider = null;
         
+        // In multiplayer the server simulates adds, we only render them
+        this.serverControlled = false;
+        
         // Movement and AI properties
-        this.moveSpeed = 2.0 + (this.type * 0.5); // Different speeds based on type
+        this.moveSpeed = this.stats.moveSpeed;
         this.targetPosition = new THREE.Vector3();
         this.velocity = new THREE.Vector3();
         this.lastPathfindTime = 0;
@@ -18,17 +24,20 @@ export default class Enemy {
         
         // Combat properties
         this.attackCooldown = 0;
-        this.attackDamage = 5 + (this.type * 3);
-        this.attackRange = 1.5;
-        this.attackSpeed = 0.8 + (this.type * 0.2); // Attacks per second
+        this.attackDamage = this.stats.attackDamage;
+        this.attackRange = this.stats.attackRange;
+        this.attackSpeed = this.stats.attackSpeed; // Attacks per second
         
         // Stats
-        this.health = 50 + (this.type * 25);
-        this.maxHealth = 50 + (this.type * 25);
+        this.health = this.stats.health;
+        this.maxHealth = this.stats.health;
         
         // Animation state
         this.animationState = 'idle';
         
+        // Set by the game when the enemy is spawned
+        this.onEnemyDefeated = null;
+        
         // Create the enemy mesh and collider
         this.createMesh();
     }
@@ -77,6 +86,12 @@ export default class Enemy {
     update(delta) {
         if (!this.mesh || this.health <= 0) return;
         
+        // Server snapshots drive position and attacks
+        if (this.serverControlled) {
+            this.updateCollider();
+            return;
+        }
+        
         // Find the closest player to target
         this.findTarget();
         
@@ -149,11 +164,8 @@ export default class Enemy {
         // Simplified obstacle avoidance
         // Cast rays in a few directions to find clear paths
         
-        // For simplicity, we'll just clamp to room bounds
-        const bounds = 9; // Room size - 1 unit buffer
-        
-        this.targetPosition.x = Math.max(-bounds, Math.min(bounds, this.targetPosition.x));
-        this.targetPosition.z = Math.max(-bounds, Math.min(bounds, this.targetPosition.z));
+        // For simplicity, we'll just keep it on the floor of the room layout
+        this.game.keepInRoom(this.targetPosition, this.collider.radius);
     }
     
     updateMovement(delta) {
@@ -215,30 +227,41 @@ export default class Enemy {
         // Animation
         this.animationState = 'attacking';
         
-        // Deal damage to player
-        if (player && player.takeDamage) {
-            // In multiplayer, this would be handled by the server
-            if (this.game.isMultiplayer) {
-                // Send attack event to server
-                if (window.socket) {
-                    window.socket.emit('enemyAttacked', {
-                        enemyId: this.id,
-                        playerId: player.id,
-                        damage: this.attackDamage
-                    });
-                }
-            } else {
-                // Direct damage in single player
-                player.takeDamage(this.attackDamage);
-                
-                // Update UI
-                if (this.game.updatePlayerHealth) {
-                    this.game.updatePlayerHealth(player.stats.health);
-                }
+        // Deal damage to player. In multiplayer the server simulation
+        // resolves the hit and broadcasts health.
+        if (player && player.takeDamage && !this.game.isMultiplayer) {
+            player.takeDamage(this.attackDamage);
+            
+            // Update UI
+            if (this.game.updatePlayerHealth) {
+                this.game.updatePlayerHealth(player.stats.health);
             }
         }
     }
     
+    // Apply an authoritative snapshot from the server simulation
+    applySnapshot(snapshot) {
+        if (!this.mesh || this.isDead) return;
+        
+        if (snapshot.position) {
+            this.mesh.position.set(
+                snapshot.position.x,
+                snapshot.position.y,
+                snapshot.position.z
+            );
+        }
+        
+        if (snapshot.rotation) {
+            this.mesh.rotation.y = snapshot.rotation.y;
+        }
+        
+        if (snapshot.animationState) {
+            this.animationState = snapshot.animationState;
+        }
+        
+        this.updateCollider();
+    }
+    
     takeDamage(amount) {
         // Reduce health
         this.health = Math.max(0, this.health - amount);
@@ -274,6 +297,8 @@ export default class Enemy {
     }
     
     die() {
+        if (this.isDead) return;
+        
         // Set state
         this.isDead = true;
         this.animationState = 'dying';
@@ -288,6 +313,11 @@ export default class Enemy {
         
         // Drop loot
         this.dropLoot();
+        
+        // Let the game check whether the room is clear
+        if (this.onEnemyDefeated) {
+            this.onEnemyDefeated(this);
+        }
     }
     
     playDeathAnimation() {
@@ -329,11 +359,8 @@ export default class Enemy {
     }
     
     dropLoot() {
-        // Chance to drop health or other pickups
-        // This would be handled by the server in multiplayer
-        
-        // For now, just a placeholder
-        console.log(`Enemy ${this.id} would drop loot here`);
+        // Chance to drop health or other pickups, rolled by the server in multiplayer
+        this.game.dropLoot(this, 'enemy');
     }
     
     remove() {
@@ -1,15 +1,43 @@
 import * as THREE from 'three';
+import SnapshotBuffer from '../multiplayer/interpolation.js';
+import { DEFAULT_CLASS, getClass, getClassStats } from '../shared/classes.mjs';
+import { MAX_ENERGY, ENERGY_REGEN, getAbility, getAbilityDamage } from '../shared/abilities.mjs';
+
+const UP_AXIS = new THREE.Vector3(0, 1, 0);
+const EYE_HEIGHT = 1.8;
+const DOWNED_EYE_HEIGHT = 0.6; // Local camera while lying on the floor
+const REVIVE_RING_SEGMENTS = 32;
+const moveVector = new THREE.Vector3();
+const replayPosition = new THREE.Vector3(); // Reconciliation scratch
 
 export default class Player {
-    constructor(id, isLocal = false) {
+    constructor(id, isLocal = false, classId = DEFAULT_CLASS) {
         // Basic properties
         this.id = id;
         this.isLocal = isLocal;
         this.mesh = null;
         this.collider = null;
         
+        // Class decides base stats, look and abilities
+        const playerClass = getClass(classId);
+        const classStats = getClassStats(playerClass.id);
+        this.classId = playerClass.id;
+        
+        // Ability bar slots, cooldowns count down in seconds
+        this.abilities = playerClass.abilities.map(abilityId => ({
+            ability: getAbility(abilityId),
+            cooldown: 0
+        }));
+        this.energy = MAX_ENERGY;
+        
+        // Timed effects from abilities: { value, remaining } or null
+        this.effects = {
+            shield: null, // value is the fraction of damage blocked
+            speedBoost: null // value multiplies moveSpeed
+        };
+        
         // Movement and control properties
-        this.moveSpeed = 5.0;
+        this.moveSpeed = classStats.moveSpeed;
         this.yawObject = new THREE.Object3D(); // For rotation around Y axis
         this.pitchObject = new THREE.Object3D(); // For looking up/down
         this.velocity = new THREE.Vector3();
@@ -21,41 +49,84 @@ export default class Player {
         };
         this.moveAnalog = { x: 0, y: 0 }; // For mobile analog controls
         
+        // Client-side prediction, enabled for the local player in multiplayer
+        this.predictMovement = false;
+        this.keepInRoom = null; // (position, radius) keeps a position inside the room layout
+        this.inputSequence = 0;
+        this.pendingInputs = []; // Sent but not yet acknowledged by the server
+        this.unsentInputs = []; // Waiting for the next network send
+        this.maxPendingInputs = 120;
+        this.correction = new THREE.Vector3(); // Reconciliation offset still to apply
+        this.correctionFrames = 0;
+        this.correctionThreshold = 0.25; // Ignore smaller prediction errors
+        this.snapThreshold = 5.0; // Teleport instead of smoothing larger ones
+        this.correctionDuration = 6; // Frames to spread a correction over
+        
         // Combat properties
         this.attackCooldown = 0;
-        this.attackDamage = 10;
-        this.attackRange = 2.5;
-        this.attackSpeed = 1.0; // Attacks per second
+        this.attackDamage = classStats.attackDamage;
+        this.attackRange = classStats.attackRange;
+        this.attackArc = classStats.attackArc; // Half-angle of the swing in front of the player
+        this.attackSpeed = classStats.attackSpeed; // Attacks per second
+        this.projectileType = playerClass.projectile || null; // Ranged classes shoot instead of swinging
         
         // Player stats
         this.stats = {
-            health: 100,
-            maxHealth: 100,
+            health: classStats.maxHealth,
+            maxHealth: classStats.maxHealth,
             kills: 0,
             level: 1,
+            xp: 0,
             damageDealt: 0
         };
         
         // Animation state
         this.animationState = 'idle';
         
+        // At 0 health but revivable by a teammate, see shared/revive.mjs
+        this.downed = false;
+        this.reviveRing = null; // Revive progress shown around a downed player
+        this.revivingId = null; // Teammate we're holding interact on
+        
+        // Remote players render a short delay in the past from buffered snapshots
+        this.snapshotBuffer = isLocal ? null : new SnapshotBuffer();
+        
+        // Callbacks
+        this.onAttack = null; // Receives attackData for hit resolution
+        this.onPickup = null; // Receives the LootPickup the player walked into
+        this.onAbility = null; // Receives abilityData when an ability is used
+        this.onInteract = null; // Receives true when interact is pressed, false when released
+        this.onDeath = null; // Receives the player when health first hits 0
+        
         // Create the player mesh and collider
         this.createMesh();
     }
     
     createMesh() {
-        // Create a simple player representation (a capsule)
-        const geometry = new THREE.CapsuleGeometry(0.5, 1, 4, 8);
+        // Simple shape and colour per class
+        const playerClass = getClass(this.classId);
+        let geometry;
         
-        // Different color for local vs. remote players
-        const color = this.isLocal ? 0x00ff00 : 0xff6600;
+        switch (playerClass.shape) {
+            case 'box':
+                geometry = new THREE.BoxGeometry(0.9, 1.8, 0.9);
+                break;
+            case 'cone':
+                geometry = new THREE.ConeGeometry(0.5, 2, 6);
+                break;
+            case 'cylinder':
+                geometry = new THREE.CylinderGeometry(0.45, 0.55, 2, 12);
+                break;
+            default:
+                geometry = new THREE.CapsuleGeometry(0.55, 1, 4, 8);
+        }
         
-        const material = new THREE.MeshLambertMaterial({ color });
+        const material = new THREE.MeshLambertMaterial({ color: playerClass.color });
         this.mesh = new THREE.Mesh(geometry, material);
         this.mesh.castShadow = true;
         
         // Set up the player hierarchy
-        this.yawObject.position.y = 1.8; // Player eye height
+        this.yawObject.position.y = EYE_HEIGHT;
         this.yawObject.add(this.pitchObject);
         
         // Add mesh to the rotation hierarchy
@@ -69,6 +140,19 @@ export default class Player {
             this.mesh.position.y = -1; // Offset down from center
         }
         
+        // Revive progress ring on the floor, grown through its draw range
+        const ringGeometry = new THREE.RingGeometry(1.0, 1.2, REVIVE_RING_SEGMENTS);
+        ringGeometry.rotateX(-Math.PI / 2);
+        ringGeometry.setDrawRange(0, 0);
+        this.reviveRing = new THREE.Mesh(ringGeometry, new THREE.MeshBasicMaterial({
+            color: 0x66ff99,
+            transparent: true,
+            opacity: 0.8,
+            side: THREE.DoubleSide
+        }));
+        this.reviveRing.visible = false;
+        this.yawObject.add(this.reviveRing);
+        
         // Create a simple sphere collider for the player
         this.collider = {
             type: 'sphere',
@@ -92,15 +176,42 @@ export default class Player {
         // Only process movement for local player
         if (this.isLocal) {
             this.updateMovement(delta);
+        } else {
+            this.updateInterpolation();
         }
         
         // Update attack cooldown
         if (this.attackCooldown > 0) {
             this.attackCooldown -= delta;
         }
+        
+        this.updateAbilities(delta);
+    }
+    
+    updateAbilities(delta) {
+        for (const slot of this.abilities) {
+            if (slot.cooldown > 0) {
+                slot.cooldown = Math.max(0, slot.cooldown - delta);
+            }
+        }
+        
+        this.energy = Math.min(MAX_ENERGY, this.energy + ENERGY_REGEN * delta);
+        
+        for (const name in this.effects) {
+            const effect = this.effects[name];
+            if (effect) {
+                effect.remaining -= delta;
+                if (effect.remaining <= 0) {
+                    this.effects[name] = null;
+                }
+            }
+        }
     }
     
     updateMovement(delta) {
+        // Downed and dead players stay where they fell
+        if (this.stats.health <= 0) return;
+        
         // Calculate base movement direction
         let moveX = 0;
         let moveZ = 0;
@@ -117,27 +228,106 @@ export default class Player {
             moveZ = -this.moveAnalog.y;
         }
         
-        // Calculate velocity
-        this.velocity.x = moveX * this.moveSpeed;
-        this.velocity.z = moveZ * this.moveSpeed;
+        const input = {
+            moveX,
+            moveZ,
+            yaw: this.yawObject.rotation.y,
+            delta,
+            boost: this.effects.speedBoost ? this.effects.speedBoost.value : 1
+        };
         
-        // Rotate velocity based on camera direction
-        if (Math.abs(this.velocity.x) > 0.01 || Math.abs(this.velocity.z) > 0.01) {
-            // Clone velocity before rotating
-            const rotatedVelocity = new THREE.Vector3(this.velocity.x, 0, this.velocity.z);
-            // Apply yaw rotation
-            rotatedVelocity.applyAxisAngle(new THREE.Vector3(0, 1, 0), this.yawObject.rotation.y);
-            
-            // Move player
-            this.yawObject.position.x += rotatedVelocity.x * delta;
-            this.yawObject.position.z += rotatedVelocity.z * delta;
-            
+        if (this.applyMovementInput(input, this.yawObject.position)) {
             // Set animation state
             this.animationState = 'running';
+            
+            // Remember the input so it can be replayed after a server ack
+            if (this.predictMovement) {
+                input.seq = ++this.inputSequence;
+                this.pendingInputs.push(input);
+                this.unsentInputs.push(input);
+                
+                if (this.pendingInputs.length > this.maxPendingInputs) {
+                    this.pendingInputs.shift();
+                }
+            }
         } else {
             // Player is not moving
             this.animationState = 'idle';
         }
+        
+        this.applyCorrection();
+    }
+    
+    // Move a position by one movement input. Mirrored by server/game/movement.js
+    applyMovementInput(input, position) {
+        // Calculate velocity
+        const speed = this.moveSpeed * (input.boost || 1);
+        this.velocity.x = input.moveX * speed;
+        this.velocity.z = input.moveZ * speed;
+        
+        if (Math.abs(this.velocity.x) <= 0.01 && Math.abs(this.velocity.z) <= 0.01) {
+            return false;
+        }
+        
+        // Rotate velocity based on camera direction
+        moveVector.set(this.velocity.x, 0, this.velocity.z);
+        moveVector.applyAxisAngle(UP_AXIS, input.yaw);
+        
+        position.x += moveVector.x * input.delta;
+        position.z += moveVector.z * input.delta;
+        
+        // Every step, so replays stop at walls where the server does
+        if (this.keepInRoom) {
+            this.keepInRoom(position, this.collider.radius);
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Reconcile local prediction with an acknowledged server position
+     * @param {Object} ack - { seq, position } of the last input the server applied
+     */
+    reconcile(ack) {
+        // Forget inputs the server has already applied
+        this.pendingInputs = this.pendingInputs.filter(input => input.seq > ack.seq);
+        
+        // Replay the rest on top of the authoritative position
+        const predicted = replayPosition.set(ack.position.x, this.yawObject.position.y, ack.position.z);
+        for (const input of this.pendingInputs) {
+            this.applyMovementInput(input, predicted);
+        }
+        
+        // Compare with where we will be once the current correction finishes
+        const error = predicted.sub(this.yawObject.position).sub(this.correction);
+        const distance = error.length();
+        
+        if (distance > this.snapThreshold) {
+            this.yawObject.position.add(this.correction).add(error);
+            this.correction.set(0, 0, 0);
+            this.correctionFrames = 0;
+            this.updateCollider();
+        } else if (distance > this.correctionThreshold) {
+            this.correction.add(error);
+            this.correctionFrames = this.correctionDuration;
+        }
+    }
+    
+    // Apply part of the outstanding reconciliation offset each frame
+    applyCorrection() {
+        if (this.correctionFrames <= 0) return;
+        
+        moveVector.copy(this.correction).divideScalar(this.correctionFrames);
+        this.yawObject.position.add(moveVector);
+        this.correction.sub(moveVector);
+        this.correctionFrames--;
+    }
+    
+    // Inputs recorded since the last call, for sending to the server
+    takeUnsentInputs() {
+        const inputs = this.unsentInputs;
+        this.unsentInputs = [];
+        return inputs;
     }
     
     updateCollider() {
@@ -154,8 +344,10 @@ export default class Player {
             // Collision with enemies
             // This could trigger damage or knockback
         } else if (other.group === 'pickup') {
-            // Collision with pickups/loot
-            // This could trigger item collection
+            // Walked into loot - the game applies it or asks the server
+            if (this.isLocal && this.onPickup) {
+                this.onPickup(other.entity);
+            }
         }
     }
     
@@ -189,7 +381,7 @@ export default class Player {
     
     attack() {
         // Check cooldown
-        if (this.attackCooldown > 0) return false;
+        if (this.attackCooldown > 0 || this.stats.health <= 0) return false;
         
         // Set cooldown based on attack speed
         this.attackCooldown = 1.0 / this.attackSpeed;
@@ -207,19 +399,94 @@ export default class Player {
             position: this.yawObject.position.clone(),
             direction: direction,
             range: this.attackRange,
-            damage: this.attackDamage
+            arc: this.attackArc,
+            damage: this.attackDamage,
+            projectile: this.projectileType
         };
         
+        // Hand the swing to the game for hit resolution
+        if (this.onAttack) {
+            this.onAttack(attackData);
+        }
+        
         // Return attack data for processing
         return attackData;
     }
     
+    /**
+     * Use the ability in a bar slot
+     * @param {number} slotIndex - Index into this.abilities
+     * @returns {Object|false} abilityData, or false if it isn't ready or affordable
+     */
+    useAbility(slotIndex) {
+        const slot = this.abilities[slotIndex];
+        if (!slot || this.stats.health <= 0) return false;
+        
+        const ability = slot.ability;
+        if (slot.cooldown > 0 || this.energy < ability.cost) return false;
+        
+        slot.cooldown = ability.cooldown;
+        this.energy -= ability.cost;
+        
+        // Abilities are aimed where the player is looking, like attacks
+        const direction = new THREE.Vector3(0, 0, -1);
+        direction.applyQuaternion(this.pitchObject.quaternion);
+        direction.applyQuaternion(this.yawObject.quaternion);
+        
+        const abilityData = {
+            abilityId: ability.id,
+            position: this.yawObject.position.clone(),
+            direction: direction,
+            damage: getAbilityDamage(ability, this.attackDamage)
+        };
+        
+        // Hand the ability to the game to apply or send to the server
+        if (this.onAbility) {
+            this.onAbility(abilityData);
+        }
+        
+        return abilityData;
+    }
+    
+    // Press or release the interact key
+    interact(held) {
+        if (this.onInteract) {
+            this.onInteract(held);
+        }
+    }
+    
+    // Start or refresh a timed effect, a stronger one replaces a weaker one
+    applyEffect(name, value, duration) {
+        const current = this.effects[name];
+        if (current && current.value > value && current.remaining > duration) return;
+        
+        this.effects[name] = { value, remaining: duration };
+    }
+    
+    // Match the server's cooldown and energy after it refused an ability
+    syncAbility(abilityId, cooldown, energy) {
+        const slot = this.abilities.find(s => s.ability.id === abilityId);
+        if (slot) {
+            slot.cooldown = cooldown;
+        }
+        
+        if (Number.isFinite(energy)) {
+            this.energy = energy;
+        }
+    }
+    
     takeDamage(amount) {
+        // Shields block part of the hit
+        if (this.effects.shield) {
+            amount = Math.round(amount * (1 - this.effects.shield.value));
+        }
+        
         // Reduce health
+        const wasAlive = this.stats.health > 0;
         this.stats.health = Math.max(0, this.stats.health - amount);
         
-        // Check if player died
-        if (this.stats.health <= 0) {
+        // Check if player died, hits on the body don't kill it again
+        if (wasAlive && this.stats.health <= 0) {
             this.die();
         }
         
@@ -230,11 +497,78 @@ export default class Player {
     die() {
         // Handle player death
         this.animationState = 'dead';
+        this.downed = false;
+        this.showReviveProgress(0);
         
         // Make collider inactive
         if (this.collider) {
             this.collider.active = false;
         }
+        
+        if (this.onDeath) {
+            this.onDeath(this);
+        }
+    }
+    
+    // Drop to the floor at 0 health until revived or bled out
+    setDowned() {
+        this.downed = true;
+        this.stats.health = 0;
+        this.animationState = 'downed';
+        
+        if (this.collider) {
+            this.collider.active = false;
+        }
+        
+        // Lie down - the local player only sees it through the camera height
+        if (this.isLocal) {
+            this.yawObject.position.y = DOWNED_EYE_HEIGHT;
+        } else {
+            this.mesh.rotation.x = -Math.PI / 2;
+            this.mesh.position.y = -1.4;
+        }
+    }
+    
+    // Back on our feet after a teammate's revive
+    revive(health) {
+        this.downed = false;
+        this.stats.health = health;
+        this.animationState = 'idle';
+        this.showReviveProgress(0);
+        
+        if (this.collider) {
+            this.collider.active = true;
+        }
+        
+        if (this.isLocal) {
+            this.yawObject.position.y = EYE_HEIGHT;
+        } else {
+            this.mesh.rotation.x = 0;
+            this.mesh.position.y = -1;
+        }
+    }
+    
+    /**
+     * Show how far along a revive is
+     * @param {number} progress - 0 to 1, 0 hides the ring
+     */
+    showReviveProgress(progress) {
+        if (!this.reviveRing) return;
+        
+        const segments = Math.ceil(Math.min(1, progress) * REVIVE_RING_SEGMENTS);
+        this.reviveRing.visible = segments > 0;
+        this.reviveRing.geometry.setDrawRange(0, segments * 6); // Two triangles per segment
+        this.reviveRing.position.y = 0.05 - this.yawObject.position.y; // Just above the floor
+    }
+    
+    // Apply stats from a level-up, see shared/progression.mjs
+    applyLevelUp(levelData) {
+        this.stats.level = levelData.level;
+        this.stats.xp = levelData.xp;
+        this.stats.maxHealth = levelData.maxHealth;
+        this.stats.health = levelData.health;
+        this.attackDamage = levelData.attackDamage;
+        this.attackSpeed = levelData.attackSpeed;
     }
     
     heal(amount) {
@@ -243,9 +577,13 @@ export default class Player {
         return this.stats.health;
     }
     
-    resetPosition() {
-        // Reset player to starting position
-        this.yawObject.position.set(0, 1.8, 0);
+    // Put the player at the room entrance, spawn is the layout's playerSpawn
+    resetPosition(spawn = { x: 0, z: 0 }) {
+        this.yawObject.position.set(spawn.x, this.isLocal && this.downed ? DOWNED_EYE_HEIGHT : EYE_HEIGHT, spawn.z);
+        
+        // Drop any prediction from the previous room
+        this.correction.set(0, 0, 0);
+        this.correctionFrames = 0;
         
         // Reset rotation
         if (this.isLocal) {
@@ -253,15 +591,51 @@ export default class Player {
         } else {
             this.yawObject.rotation.y = 0;
             this.pitchObject.rotation.x = 0;
+            
+            // Snapshots from the previous room would drag the player back
+            this.snapshotBuffer.clear();
         }
         
         // Update collider
         this.updateCollider();
     }
     
+    // Move a remote player to its interpolated network state
+    updateInterpolation() {
+        const state = this.snapshotBuffer.sample();
+        if (!state) return;
+        
+        this.yawObject.position.set(state.position.x, state.position.y, state.position.z);
+        this.yawObject.rotation.y = state.yaw;
+        this.pitchObject.rotation.x = state.pitch;
+        
+        // A fallen player stays down even if late snapshots say otherwise
+        if (state.animationState && this.animationState !== 'dead' && !this.downed) {
+            this.animationState = state.animationState;
+        }
+        
+        this.updateCollider();
+    }
+    
     // For multiplayer - update remote player from network data
     updateFromNetworkData(data) {
         if (!this.isLocal && data) {
+            // Timestamped updates are buffered and interpolated in update()
+            if (data.serverTime !== undefined && data.position) {
+                this.snapshotBuffer.push({
+                    time: data.serverTime,
+                    position: {
+                        x: data.position.x,
+                        y: data.position.y,
+                        z: data.position.z
+                    },
+                    yaw: data.rotation ? data.rotation.y : this.yawObject.rotation.y,
+                    pitch: data.rotation && data.rotation.x !== undefined ? data.rotation.x : this.pitchObject.rotation.x,
+                    animationState: data.animationState
+                });
+                return;
+            }
+            
             // Update position if provided
             if (data.position) {
                 this.yawObject.position.set(
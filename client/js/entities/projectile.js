@@ -0,0 +1,153 @@
+import * as THREE from 'three';
+import { getProjectileType, stepProjectile } from '../shared/projectiles.mjs';
+
+// Meshes are modelled pointing down +Z, turned to face the velocity every frame
+const MODEL_FORWARD = new THREE.Vector3(0, 0, 1);
+const heading = new THREE.Vector3();
+
+// Projectile - An arrow or bolt in flight. Instances are pooled by the game,
+// so fire() resets all per-shot state instead of the constructor.
+export default class Projectile {
+    constructor(typeId, game) {
+        this.type = getProjectileType(typeId);
+        this.game = game;
+        this.mesh = null;
+        this.collider = null;
+
+        // Per-shot state, set by fire()
+        this.id = null;
+        this.ownerId = null;
+        this.ownerGroup = null; // 'player' or 'boss'
+        this.damage = 0;
+        this.position = new THREE.Vector3();
+        this.velocity = new THREE.Vector3();
+        this.age = 0;
+        this.pierceLeft = 0;
+        this.hitIds = new Set();
+        this.expired = true;
+
+        // In multiplayer the server decides hits, we only render the flight
+        this.serverControlled = false;
+
+        this.createMesh();
+    }
+
+    createMesh() {
+        let geometry;
+
+        if (this.type.shape === 'arrow') {
+            geometry = new THREE.CylinderGeometry(0.03, 0.03, 0.8, 6);
+            geometry.rotateX(Math.PI / 2);
+        } else {
+            geometry = new THREE.SphereGeometry(this.type.radius, 8, 8);
+        }
+
+        const material = new THREE.MeshBasicMaterial({ color: this.type.color });
+
+        this.mesh = new THREE.Mesh(geometry, material);
+        this.mesh.visible = false;
+
+        // Shares the projectile's position vector so it follows without copying
+        this.collider = {
+            type: 'sphere',
+            entity: this,
+            position: this.position,
+            radius: this.type.radius,
+            active: false,
+            group: null, // Owner's group, so shots pass through their own side
+            onCollision: (other) => this.handleCollision(other)
+        };
+
+        return this.mesh;
+    }
+
+    /**
+     * Launch the projectile
+     * @param {Object} shot - { id, ownerId, ownerGroup, position, direction, damage, serverControlled }
+     */
+    fire(shot) {
+        this.id = shot.id;
+        this.ownerId = shot.ownerId;
+        this.ownerGroup = shot.ownerGroup;
+        this.damage = shot.damage || 0;
+        this.serverControlled = !!shot.serverControlled;
+
+        this.position.set(shot.position.x, shot.position.y, shot.position.z);
+        this.velocity.set(shot.direction.x, shot.direction.y, shot.direction.z)
+            .normalize()
+            .multiplyScalar(this.type.speed);
+
+        this.age = 0;
+        this.pierceLeft = this.type.pierce;
+        this.hitIds.clear();
+        this.expired = false;
+
+        this.collider.group = this.ownerGroup;
+        this.collider.active = true;
+
+        this.mesh.visible = true;
+        this.updateMesh();
+
+        return this;
+    }
+
+    update(delta) {
+        if (this.expired) return;
+
+        if (!stepProjectile(this, this.type, delta, this.game.getRoomLayout())) {
+            this.expire();
+            return;
+        }
+
+        this.updateMesh();
+    }
+
+    updateMesh() {
+        this.mesh.position.copy(this.position);
+
+        if (this.velocity.lengthSq() > 0) {
+            heading.copy(this.velocity).normalize();
+            this.mesh.quaternion.setFromUnitVectors(MODEL_FORWARD, heading);
+        }
+    }
+
+    // Player shots hit bosses and enemies, boss shots hit players
+    canHit(other) {
+        if (this.ownerGroup === 'player') {
+            return other.group === 'boss' || other.group === 'enemy';
+        }
+
+        return other.group === 'player';
+    }
+
+    handleCollision(other) {
+        if (this.expired || this.serverControlled || !this.canHit(other)) return;
+
+        const target = other.entity;
+        if (this.hitIds.has(target.id)) return;
+        this.hitIds.add(target.id);
+
+        this.game.handleProjectileHit(this, target);
+
+        if (this.pierceLeft > 0) {
+            this.pierceLeft--;
+        } else {
+            this.expire();
+        }
+    }
+
+    // Stop flying, the game returns expired projectiles to their pool
+    expire() {
+        this.expired = true;
+        this.collider.active = false;
+        this.mesh.visible = false;
+    }
+
+    dispose() {
+        if (this.mesh) {
+            this.mesh.geometry.dispose();
+            this.mesh.material.dispose();
+            this.mesh = null;
+        }
+    }
+}
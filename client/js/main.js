@@ -4,10 +4,17 @@ import Game from './core/game.js';
 import Player from './entities/player.js';
 import Enemy from './entities/enemy.js';
 import MultiplayerClient from './multiplayer/client.js';
+import DesktopControls, { ABILITY_KEYS } from './core/input.js';
+import { PLAYER_CLASSES, DEFAULT_CLASS, getClass } from './shared/classes.mjs';
+import { MAX_ENERGY, getAbility } from './shared/abilities.mjs';
+import { getMove, BOSS_MOVE_SETS } from './shared/bosses.mjs';
+import { generateRoom, isFinalRoom, ROOM_ADVANCE_DELAY } from './shared/rooms.mjs';
 import { initializeMobileSupport, setupMobileControls } from './core/mobile.js';
+import ResourceTracker from './utils/resource-tracker.js';
 
 // Main game variables
 let scene, camera, renderer, controls;
+let desktopControls;
 let game;
 let multiplayerClient;
 let playerID;
@@ -21,16 +28,30 @@ const settings = {
     fov: 75,
     movementSpeed: 5,
     rotationSpeed: 2,
-    debugMode: false
+    mouseSensitivity: 0.002,
+    networkSendRate: 20, // Player state updates per second in multiplayer
+    interpolationDelay: 100, // ms remote players are rendered in the past
+    maxExtrapolation: 250, // ms remote players keep moving through packet gaps
+    debugMode: new URLSearchParams(window.location.search).has('debug') // Renderer memory counter
 };
 
+// Time since the last player state update was sent
+let networkSendTimer = 0;
+let soloRoomTimer = null; // Moves a solo run to its next room, see completeSoloRoom()
+let sceneLights = []; // Stay in the scene between runs, see teardownGame()
+let pausedWhileHidden = false; // Solo runs pause while the tab is hidden
+let lastFrameTime = performance.now();
+
 // Game state management
 let gameState = {
   currentScreen: 'loading',
   partyId: null,
   isHost: false,
   players: [],
-  isMultiplayer: false
+  isMultiplayer: false,
+  selectedClass: DEFAULT_CLASS,
+  playerClasses: {}, // Class picked by each party member, from the server
+  maxPerClass: null
 };
 
 // Initialize the game
@@ -62,14 +83,39 @@ function init() {
     controls.enableDamping = true;
     controls.dampingFactor = 0.05;
     
+    // Keyboard and mouse controls for desktop players
+    if (!isMobile) {
+        desktopControls = new DesktopControls(renderer.domElement, {
+            sensitivity: settings.mouseSensitivity
+        });
+    }
+    
     // Create lighting
     setupLighting();
     
     // Initialize game engine
     game = new Game().init(scene, camera, renderer, isMobile);
+    game.onBossDamaged = () => updateBossHealthUI();
+    game.onPlayerLevelUp = (player) => showLevelUp(player);
+    game.onLootCollected = (player, pickup) => {
+        updatePlayerHealthUI(player.stats.health);
+        showNotification(describeLoot(pickup));
+    };
+    game.onAbilityUsed = (player) => updatePlayerHealthUI(player.stats.health);
+    game.onWaveSpawned = (wave, waveCount, enemies) => {
+        showNotification(`Wave ${wave}/${waveCount}: ${enemies.length} enemies incoming!`);
+    };
+    game.onRoomComplete = () => {
+        // The server moves the party on in multiplayer
+        if (!game.isMultiplayer) {
+            completeSoloRoom();
+        }
+    };
+    game.onGameOver = (data) => showGameOver(data);
     
     // Handle resize
     window.addEventListener('resize', onWindowResize);
+    document.addEventListener('visibilitychange', onVisibilityChange);
     
     // Initialize multiplayer client
     initializeMultiplayer();
@@ -115,6 +161,8 @@ function setupLighting() {
     // Add hemisphere light for better ambient gradient
     const hemiLight = new THREE.HemisphereLight(0x88ccff, 0x444444, 0.5);
     scene.add(hemiLight);
+    
+    sceneLights = [dirLight, ambLight, hemiLight];
 }
 
 function onWindowResize() {
@@ -123,15 +171,81 @@ function onWindowResize() {
     renderer.setSize(window.innerWidth, window.innerHeight);
 }
 
+// A party carries on without us, so only solo runs pause
+function onVisibilityChange() {
+    if (document.hidden) {
+        if (game.running && !game.isMultiplayer) {
+            game.pause();
+            pausedWhileHidden = true;
+        }
+    } else if (pausedWhileHidden) {
+        pausedWhileHidden = false;
+        game.resume();
+    }
+}
+
 function animate() {
     requestAnimationFrame(animate);
+    
+    const now = performance.now();
+    const delta = (now - lastFrameTime) / 1000;
+    lastFrameTime = now;
+    
+    // Simulate in fixed steps up to now and render in between them, then
+    // put entities back at their simulated positions for everything else
+    game.update();
     controls.update();
     renderer.render(scene, camera);
+    game.restorePositions();
+    
+    // Keep the server informed of our position at a fixed rate
+    if (gameState.isMultiplayer && game.running && game.player) {
+        networkSendTimer += delta;
+        if (networkSendTimer >= 1 / settings.networkSendRate) {
+            networkSendTimer = 0;
+            sendLocalPlayerState();
+        }
+    }
+    
+    if (game.running && game.player) {
+        updateAbilityBar();
+        updateInteractPrompt();
+    }
+    
+    if (settings.debugMode) {
+        updateDebugInfo();
+    }
+}
+
+// Geometries and textures should stay flat from room to room, see Game.unloadRoom()
+function updateDebugInfo() {
+    const info = document.getElementById('debug-info');
+    const memory = renderer.info.memory;
+    const roomObjects = game.currentRoom ? game.currentRoom.resources.size : 0;
+    
+    info.style.display = 'block';
+    info.textContent = `Geometries: ${memory.geometries} | Textures: ${memory.textures} | ` +
+        `Programs: ${renderer.info.programs.length} | Scene: ${scene.children.length} | Room: ${roomObjects}`;
+}
+
+function sendLocalPlayerState() {
+    const data = game.player.getNetworkData();
+    const inputs = game.player.takeUnsentInputs().map(input => ({
+        seq: input.seq,
+        moveX: input.moveX,
+        moveZ: input.moveZ,
+        yaw: input.yaw,
+        delta: input.delta,
+        boost: input.boost
+    }));
+    
+    multiplayerClient.sendPlayerMovement(data.position, data.rotation, data.animationState, inputs);
 }
 
 function initializeMultiplayer() {
     // Create multiplayer client
     multiplayerClient = new MultiplayerClient(game);
+    game.multiplayerClient = multiplayerClient;
     
     // Connect to server event callbacks
     multiplayerClient.onConnected = (id) => {
@@ -142,6 +256,7 @@ function initializeMultiplayer() {
     multiplayerClient.onPartyHosted = (partyCode) => {
         gameState.partyId = partyCode;
         gameState.isHost = true;
+        gameState.players = [playerID];
         
         // Update UI
         document.getElementById('party-code').textContent = partyCode;
@@ -149,6 +264,9 @@ function initializeMultiplayer() {
         // Show lobby screen
         showScreen('lobby');
         updateLobbyPlayers([playerID]);
+        
+        // Keep the class picked in an earlier lobby
+        multiplayerClient.selectClass(gameState.selectedClass);
     };
     
     multiplayerClient.onPartyJoined = (partyCode, playerList) => {
@@ -161,6 +279,25 @@ function initializeMultiplayer() {
         // Show lobby screen
         showScreen('lobby');
         updateLobbyPlayers(playerList);
+        
+        // Keep the class picked in an earlier lobby
+        multiplayerClient.selectClass(gameState.selectedClass);
+    };
+    
+    multiplayerClient.onLobbyState = (lobbyState) => {
+        gameState.playerClasses = lobbyState.classes;
+        gameState.maxPerClass = lobbyState.maxPerClass;
+        
+        if (lobbyState.classes[playerID]) {
+            gameState.selectedClass = lobbyState.classes[playerID];
+        }
+        
+        updateClassSelection();
+        updateLobbyPlayers(gameState.players);
+    };
+    
+    multiplayerClient.onStartGameError = (errorMsg) => {
+        alert('Cannot start game: ' + errorMsg);
     };
     
     multiplayerClient.onJoinError = (errorMsg) => {
@@ -195,6 +332,37 @@ function initializeMultiplayer() {
         }
     };
     
+    multiplayerClient.onPlayerDisconnected = (playerId) => {
+        showNotification(`Player_${playerId.substring(0, 5)} lost connection...`);
+    };
+    
+    multiplayerClient.onPlayerReconnected = (previousId, playerId) => {
+        renamePlayer(previousId, playerId);
+        updateLobbyPlayers(gameState.players);
+        showNotification(`Player_${playerId.substring(0, 5)} reconnected`);
+    };
+    
+    multiplayerClient.onDisconnected = (willReconnect) => {
+        if (willReconnect) {
+            showReconnectOverlay('Connection lost. Trying to rejoin your party...');
+        }
+    };
+    
+    multiplayerClient.onReconnecting = (attempt) => {
+        if (multiplayerClient.reconnectToken) {
+            showReconnectOverlay(`Connection lost. Reconnecting (attempt ${attempt})...`);
+        }
+    };
+    
+    multiplayerClient.onSessionResumed = (data) => {
+        hideReconnectOverlay();
+        resumeSession(data);
+    };
+    
+    multiplayerClient.onReconnectFailed = (errorMsg) => {
+        showReconnectOverlay(`Could not rejoin your party: ${errorMsg}`, true);
+    };
+    
     multiplayerClient.onNewHost = (hostId) => {
         gameState.isHost = (hostId === playerID);
         
@@ -210,14 +378,18 @@ function initializeMultiplayer() {
     
     multiplayerClient.onGameStarted = (gameStateData) => {
         gameState.isMultiplayer = true;
+        game.isMultiplayer = true;
+        game.runSeed = gameStateData ? gameStateData.seed : null;
         
         // Show game screen
         showScreen('game');
         
+        const playerStates = gameStateData ? gameStateData.playerStates : null;
+        
         // Setup local player
         setupLocalPlayer({
             id: playerID,
-            type: 0,
+            classId: getPlayerClassId(playerStates, playerID),
             name: 'Player_' + playerID.substring(0, 5)
         });
         
@@ -226,7 +398,7 @@ function initializeMultiplayer() {
             if (playerId !== playerID) {
                 addRemotePlayer({
                     id: playerId,
-                    type: 0,
+                    classId: getPlayerClassId(playerStates, playerId),
                     name: 'Player_' + playerId.substring(0, 5)
                 });
             }
@@ -236,6 +408,7 @@ function initializeMultiplayer() {
         if (gameStateData && gameStateData.rooms && gameStateData.rooms.length > 0) {
             const roomIndex = gameStateData.currentRoom || 0;
             game.loadRoom(gameStateData.rooms[roomIndex]);
+            updateBossHealthUI();
         }
         
         // Start game
@@ -250,10 +423,17 @@ function initializeMultiplayer() {
             id: playerId,
             position: inputData.position,
             rotation: inputData.rotation,
-            action: inputData.action
+            action: inputData.action,
+            serverTime: inputData.serverTime
         });
     };
     
+    multiplayerClient.onMovementAck = (ack) => {
+        if (game.player && game.player.predictMovement) {
+            game.player.reconcile(ack);
+        }
+    };
+    
     multiplayerClient.onPlayerAttacked = (playerId, attackData) => {
         // Handle remote player attack
         const player = playerEntities[playerId];
@@ -267,6 +447,70 @@ function initializeMultiplayer() {
         updateBoss(bossData);
     };
     
+    multiplayerClient.onBossSnapshot = (snapshot) => {
+        updateBoss(snapshot);
+    };
+    
+    multiplayerClient.onBossTelegraph = (telegraphData) => {
+        const boss = game.currentBoss;
+        if (!boss || !boss.mesh || boss.id !== telegraphData.bossId) return;
+        
+        game.spawnTelegraph(telegraphData);
+    };
+    
+    multiplayerClient.onBossAttack = (attackData) => {
+        const boss = game.currentBoss;
+        if (!boss || !boss.mesh || boss.id !== attackData.bossId) return;
+        
+        boss.showMoveEffect(getMove(boss.moveSet, attackData.moveId), attackData.area);
+    };
+    
+    multiplayerClient.onEnemiesSpawned = (data) => {
+        if (!game.currentRoom || game.currentRoom.data.id !== data.roomId) return;
+        
+        const enemies = game.spawnEnemies(data.enemies);
+        if (enemies.length === 0) return;
+        
+        if (data.wave) {
+            // Room isn't cleared until its last wave is dead, see Game.checkRoomCleared()
+            game.currentRoom.data.wavesSpawned = data.wave;
+            showNotification(`Wave ${data.wave}/${data.waveCount}: ${enemies.length} enemies incoming!`);
+        } else if (game.currentBoss) {
+            const adds = enemies.length === 1 ? 'an add' : `${enemies.length} adds`;
+            showNotification(`${game.currentBoss.name} summons ${adds}!`);
+        }
+    };
+    
+    multiplayerClient.onEnemySnapshots = (snapshots) => {
+        for (const snapshot of snapshots) {
+            const enemy = game.enemies[snapshot.id];
+            if (enemy) {
+                enemy.applySnapshot(snapshot);
+            }
+        }
+    };
+    
+    multiplayerClient.onEnemyHealthUpdate = (data) => {
+        const enemy = game.enemies[data.enemyId];
+        if (!enemy || enemy.isDead) return;
+        
+        enemy.health = data.health;
+        enemy.showDamageIndicator();
+    };
+    
+    multiplayerClient.onEnemyDefeated = (data) => {
+        const enemy = game.enemies[data.enemyId];
+        if (enemy) {
+            enemy.health = 0;
+            enemy.die();
+        }
+        
+        // The server counted the kill, keep our stats in step
+        if (data.killedBy === playerID && game.player) {
+            game.player.stats.kills++;
+        }
+    };
+    
     multiplayerClient.onPlayerHealthUpdate = (playerId, health) => {
         const player = playerEntities[playerId];
         
@@ -280,6 +524,147 @@ function initializeMultiplayer() {
         }
     };
     
+    multiplayerClient.onPlayerDowned = (playerId, data) => {
+        const player = playerEntities[playerId];
+        if (!player) return;
+        
+        player.setDowned();
+        
+        if (playerId === playerID) {
+            updatePlayerHealthUI(0);
+            showNotification(`You are down! A teammate has ${Math.ceil(data.bleedOut)}s to revive you`, 5000);
+        } else {
+            showNotification(`Player_${playerId.substring(0, 5)} is down! Hold F next to them to revive`);
+        }
+    };
+    
+    multiplayerClient.onReviveProgress = (data) => {
+        const player = playerEntities[data.playerId];
+        if (player && player.downed) {
+            player.showReviveProgress(data.progress);
+        }
+        
+        // Progress drops to 0 when the server cancels our revive
+        if (data.progress === 0 && data.reviverId === playerID) {
+            game.player.revivingId = null;
+        }
+    };
+    
+    multiplayerClient.onPlayerRevived = (playerId, data) => {
+        const player = playerEntities[playerId];
+        if (!player) return;
+        
+        player.revive(data.health);
+        
+        if (data.reviverId === playerID) {
+            game.player.revivingId = null;
+        }
+        
+        if (playerId === playerID) {
+            updatePlayerHealthUI(data.health);
+            showNotification('You have been revived!');
+        } else {
+            showNotification(`Player_${playerId.substring(0, 5)} is back up!`);
+        }
+    };
+    
+    multiplayerClient.onPlayerDied = (playerId) => {
+        const player = playerEntities[playerId];
+        if (!player) return;
+        
+        player.stats.health = 0;
+        player.die();
+        
+        if (playerId === playerID) {
+            updatePlayerHealthUI(0);
+            showNotification('You have fallen!');
+        } else {
+            showNotification(`Player_${playerId.substring(0, 5)} has fallen!`);
+        }
+    };
+    
+    multiplayerClient.onAbilityUsed = (playerId, data) => {
+        const caster = playerEntities[playerId];
+        const ability = getAbility(data.abilityId);
+        if (!caster || !ability) return;
+        
+        game.showAbilityEffect(caster, ability);
+        
+        // Show shields on everyone they cover, the server applies the reduction
+        if (ability.kind === 'shield') {
+            for (const affectedId of data.affected) {
+                if (playerEntities[affectedId]) {
+                    playerEntities[affectedId].applyEffect('shield', ability.reduction, ability.duration);
+                }
+            }
+        }
+        
+        if (playerId === playerID) {
+            caster.energy = data.energy;
+        }
+    };
+    
+    multiplayerClient.onAbilityRejected = (data) => {
+        if (!game.player) return;
+        
+        game.player.syncAbility(data.abilityId, data.cooldown, data.energy);
+        
+        // The server won't boost our inputs, stop predicting the dash
+        const ability = getAbility(data.abilityId);
+        if (ability && ability.kind === 'dash') {
+            game.player.effects.speedBoost = null;
+        }
+    };
+    
+    multiplayerClient.onProjectileSpawned = (data) => {
+        if (!game.running) return;
+        
+        game.spawnProjectile({ ...data, serverControlled: true });
+    };
+    
+    multiplayerClient.onProjectileRemoved = (data) => {
+        game.removeProjectile(data.id);
+    };
+    
+    multiplayerClient.onLootSpawned = (data) => {
+        if (game.currentRoom && game.currentRoom.data.id === data.roomId) {
+            game.spawnLoot(data.loot);
+        }
+    };
+    
+    multiplayerClient.onLootCollected = (data) => {
+        const pickup = game.removeLoot(data.lootId);
+        
+        if (pickup && data.playerId === playerID) {
+            showNotification(describeLoot(pickup));
+        }
+    };
+    
+    multiplayerClient.onPlayerLevelUp = (playerId, levelData) => {
+        const player = playerEntities[playerId];
+        if (!player) return;
+        
+        player.applyLevelUp(levelData);
+        showLevelUp(player);
+    };
+    
+    multiplayerClient.onPlayerStatsUpdate = (playerId, stats) => {
+        const player = playerEntities[playerId];
+        if (!player) return;
+        
+        player.stats.maxHealth = stats.maxHealth;
+        player.stats.health = stats.health;
+        
+        if (playerId === playerID) {
+            updatePlayerHealthUI(stats.health);
+        }
+    };
+    
+    multiplayerClient.onRoomCleared = (data) => {
+        const seconds = Math.round(data.nextRoomIn / 1000);
+        showNotification(`Room cleared! Next room in ${seconds} seconds...`, 5000);
+    };
+    
     multiplayerClient.onRoomCompleted = (data) => {
         console.log('Room completed:', data);
         
@@ -289,6 +674,7 @@ function initializeMultiplayer() {
         // Load next room
         if (data.newRoom) {
             game.loadRoom(data.newRoom);
+            updateBossHealthUI();
         }
     };
     
@@ -298,6 +684,12 @@ function initializeMultiplayer() {
         showGameOver(data);
     };
     
+    multiplayerClient.onRunCompleted = (data) => {
+        console.log('Run completed:', data);
+        game.stop();
+        showGameOver(data, true);
+    };
+    
     // Connect to server
     multiplayerClient.connect();
 }
@@ -349,6 +741,12 @@ function setupUIListeners() {
         }, 500);
     });
     
+    // Class limit (host only)
+    document.getElementById('class-limit').addEventListener('change', (event) => {
+        const value = event.target.value;
+        multiplayerClient.setClassLimit(value ? parseInt(value, 10) : null);
+    });
+    
     // Copy party code button
     document.getElementById('copy-code').addEventListener('click', () => {
         const partyCode = document.getElementById('party-code').textContent;
@@ -364,6 +762,11 @@ function setupUIListeners() {
             });
     });
     
+    // Give up on a lost connection
+    document.getElementById('reconnectMenuBtn').addEventListener('click', () => {
+        window.location.reload();
+    });
+    
     // Game over screen buttons
     document.getElementById('backToMenuFromGameOverBtn').addEventListener('click', () => {
         window.location.reload(); // Simple reload for now
@@ -373,6 +776,7 @@ function setupUIListeners() {
         if (gameState.isMultiplayer) {
             showScreen('lobby');
         } else {
+            teardownGame();
             startSoloGame();
         }
     });
@@ -433,6 +837,18 @@ function updateLobbyPlayers(playerList) {
         nameElement.textContent = 'Player_' + playerId.substring(0, 5);
         playerElement.appendChild(nameElement);
         
+        // Show each member's class, avatar in the class colour
+        const classId = gameState.playerClasses[playerId];
+        if (classId) {
+            const playerClass = getClass(classId);
+            avatar.style.backgroundColor = '#' + playerClass.color.toString(16).padStart(6, '0');
+            
+            const classElement = document.createElement('div');
+            classElement.className = 'member-class';
+            classElement.textContent = playerClass.name;
+            playerElement.appendChild(classElement);
+        }
+        
         // Mark host
         if (multiplayerClient.isHost && playerId === playerID) {
             const hostBadge = document.createElement('div');
@@ -451,38 +867,70 @@ function updateLobbyPlayers(playerList) {
     }
 }
 
+function getPlayerClassId(playerStates, playerId) {
+    const playerState = playerStates ? playerStates[playerId] : null;
+    return playerState ? playerState.classId : DEFAULT_CLASS;
+}
+
+// Build the class buttons and host limit control on the lobby screen
+function updateClassSelection() {
+    const optionsContainer = document.getElementById('class-options');
+    if (!optionsContainer) return;
+    
+    optionsContainer.innerHTML = '';
+    
+    for (const playerClass of Object.values(PLAYER_CLASSES)) {
+        const option = document.createElement('button');
+        option.className = 'class-option';
+        option.textContent = playerClass.name;
+        option.style.borderColor = '#' + playerClass.color.toString(16).padStart(6, '0');
+        
+        if (playerClass.id === gameState.selectedClass) {
+            option.classList.add('selected');
+        }
+        
+        option.addEventListener('click', () => {
+            multiplayerClient.selectClass(playerClass.id);
+        });
+        
+        optionsContainer.appendChild(option);
+    }
+    
+    const description = document.getElementById('class-description');
+    if (description) {
+        description.textContent = getClass(gameState.selectedClass).description;
+    }
+    
+    const limitSelect = document.getElementById('class-limit');
+    if (limitSelect) {
+        limitSelect.value = gameState.maxPerClass ? String(gameState.maxPerClass) : '';
+        limitSelect.disabled = !multiplayerClient.isHost;
+    }
+}
+
 function startSoloGame() {
     gameState.isMultiplayer = false;
+    game.isMultiplayer = false;
     
     // Show game screen
     showScreen('game');
     
-    // Setup player
+    // Setup player with the class last picked in a lobby
     setupLocalPlayer({
         id: 'player-1',
-        type: 0,
+        classId: gameState.selectedClass,
         name: 'Player'
     });
     
-    // Generate a simple room with boss
-    const firstRoom = {
-        id: 'room-1',
-        type: 'Dungeon Cell',
-        difficulty: 1,
-        isBossRoom: true,
-        enemies: [],
-        boss: {
-            id: 'boss-1',
-            name: 'Reanimated Executioner',
-            type: 0,
-            health: 200,
-            maxHealth: 200,
-            position: { x: 0, y: 1, z: 0 }
-        }
-    };
+    // Solo runs pick their own seed and go through the same rooms as a party
+    game.runSeed = Math.floor(Math.random() * 0x100000000);
+    game.roomsCleared = 0;
+    clearTimeout(soloRoomTimer);
+    soloRoomTimer = null;
     
     // Load first room
-    game.loadRoom(firstRoom);
+    game.loadRoom(generateRoom(0, 1, game.runSeed));
+    updateBossHealthUI();
     
     // Start game
     game.start();
@@ -491,9 +939,58 @@ function startSoloGame() {
     document.getElementById('game-ui').style.display = 'block';
 }
 
+// Solo counterpart of the server's completeRoom(): on to the next room after
+// time to pick up loot, or victory once the last boss is dead
+function completeSoloRoom() {
+    const room = game.currentRoom.data;
+    
+    if (isFinalRoom(room.difficulty)) {
+        game.stop();
+        showGameOver({
+            roomsCleared: game.roomsCleared,
+            playerStats: { [playerID]: game.player.stats }
+        }, true);
+        return;
+    }
+    
+    const seconds = Math.round(ROOM_ADVANCE_DELAY / 1000);
+    showNotification(`Room cleared! Next room in ${seconds} seconds...`, 5000);
+    
+    soloRoomTimer = setTimeout(() => {
+        soloRoomTimer = null;
+        if (game.isMultiplayer || game.currentRoom.data !== room || game.player.stats.health <= 0) return;
+        
+        game.loadRoom(generateRoom(room.difficulty + 1, 1, game.runSeed));
+        updateBossHealthUI();
+    }, ROOM_ADVANCE_DELAY);
+}
+
+// Clear out the last solo run so the next one starts from an empty scene
+function teardownGame() {
+    clearTimeout(soloRoomTimer);
+    soloRoomTimer = null;
+    
+    if (desktopControls) {
+        desktopControls.detach();
+    }
+    
+    game.reset();
+    playerEntities = {};
+    
+    // The room went with the game, players and the camera are all that's
+    // left besides the lights
+    const leftovers = new ResourceTracker(scene);
+    for (const child of scene.children) {
+        if (!sceneLights.includes(child)) {
+            leftovers.track(child);
+        }
+    }
+    leftovers.dispose();
+}
+
 function setupLocalPlayer(playerData) {
     // Create local player
-    const player = new Player(playerData.id, true);
+    const player = new Player(playerData.id, true, playerData.classId);
     player.mesh.name = playerData.name;
     
     // Add player to scene and game
@@ -505,16 +1002,32 @@ function setupLocalPlayer(playerData) {
     playerEntities[playerData.id] = player;
     playerID = playerData.id;
     
+    // Resolve our swings against the boss and enemies
+    player.onAttack = (attackData) => game.resolvePlayerAttack(player, attackData);
+    player.onPickup = (pickup) => game.collectLoot(player, pickup);
+    player.onAbility = (abilityData) => game.resolveAbility(player, abilityData);
+    player.onInteract = (held) => game.resolveInteract(player, held);
+    player.onDeath = () => game.handlePlayerDeath(player);
+    player.keepInRoom = (position, radius) => game.keepInRoom(position, radius);
+    
+    buildAbilityBar(player);
+    
+    // Predict our own movement and reconcile with server acks
+    player.predictMovement = gameState.isMultiplayer;
+    
     // Setup camera follow
     setupCameraFollow(player);
     
     // Setup mobile controls if needed
     if (isMobile) {
         setupMobileControls(player);
+    } else {
+        desktopControls.attach(player);
     }
     
-    // Update health display
+    // Update health and level display
     updatePlayerHealthUI(player.stats.health);
+    updateLevelUI(player.stats.level);
     
     return player;
 }
@@ -530,7 +1043,7 @@ function setupCameraFollow(player) {
 
 function addRemotePlayer(playerData) {
     // Create remote player
-    const player = new Player(playerData.id, false);
+    const player = new Player(playerData.id, false, playerData.classId);
     
     // Add name
     if (playerData.name) {
@@ -546,6 +1059,10 @@ function addRemotePlayer(playerData) {
         );
     }
     
+    // Smooth out network updates
+    player.snapshotBuffer.interpolationDelay = settings.interpolationDelay;
+    player.snapshotBuffer.maxExtrapolation = settings.maxExtrapolation;
+    
     // Add player to scene and game
     scene.add(player.yawObject);
     game.addEntity(player);
@@ -571,60 +1088,143 @@ function removePlayer(id) {
     }
 }
 
-function updateRemotePlayer(data) {
-    const player = playerEntities[data.id];
+// Move a player to their new socket id after they reconnect
+function renamePlayer(previousId, playerId) {
+    gameState.players = gameState.players.map(id => id === previousId ? playerId : id);
     
-    if (player && player !== game.player) {
-        // Update position
-        if (data.position) {
-            player.yawObject.position.set(
-                data.position.x,
-                data.position.y,
-                data.position.z
-            );
-        }
-        
-        // Update rotation
-        if (data.rotation) {
-            player.yawObject.rotation.y = data.rotation.y;
-            if (data.rotation.x !== undefined) {
-                player.pitchObject.rotation.x = data.rotation.x;
-            }
+    const player = playerEntities[previousId];
+    if (!player) return;
+    
+    player.id = playerId;
+    delete playerEntities[previousId];
+    playerEntities[playerId] = player;
+    
+    if (game.otherPlayers[previousId]) {
+        delete game.otherPlayers[previousId];
+        game.otherPlayers[playerId] = player;
+    }
+}
+
+// Catch up with the party after getting our slot back
+function resumeSession(data) {
+    renamePlayer(data.previousId, data.playerId);
+    playerID = data.playerId;
+    gameState.partyId = data.partyCode;
+    gameState.isHost = data.isHost;
+    
+    // Drop players who left while we were away
+    for (const playerId of Object.keys(playerEntities)) {
+        if (!data.players.includes(playerId)) {
+            removePlayer(playerId);
+        }
+    }
+    gameState.players = data.players.slice();
+    
+    // Still in the lobby
+    if (!data.started) {
+        updateLobbyPlayers(gameState.players);
+        return;
+    }
+    
+    // The game started without us seeing it
+    if (!game.running) {
+        multiplayerClient.onGameStarted(data.state);
+        return;
+    }
+    
+    // Players who joined or came back under new ids
+    for (const playerId of gameState.players) {
+        if (playerId !== playerID && !playerEntities[playerId]) {
+            addRemotePlayer({
+                id: playerId,
+                classId: getPlayerClassId(data.state.playerStates, playerId),
+                name: 'Player_' + playerId.substring(0, 5)
+            });
+        }
+    }
+    
+    // Rooms cleared while we were away
+    const room = data.state.rooms[data.state.currentRoom];
+    if (room && (!game.currentRoom || game.currentRoom.data.id !== room.id)) {
+        game.loadRoom(room);
+        updateBossHealthUI();
+    } else if (room) {
+        if (room.boss) {
+            updateBoss(room.boss);
         }
         
-        // Update animation state
-        if (data.action) {
-            player.animationState = data.action;
+        // Adds summoned while we were away
+        game.spawnEnemies(room.enemies);
+    }
+    
+    // Our health and stats as the server kept them
+    const playerState = data.state.playerStates[playerID];
+    if (playerState && game.player) {
+        game.player.stats.health = playerState.health;
+        game.player.stats.maxHealth = playerState.maxHealth;
+        game.player.stats.kills = playerState.kills;
+        game.player.stats.level = playerState.level;
+        game.player.stats.xp = playerState.xp;
+        game.player.attackDamage = playerState.weapon.damage;
+        game.player.attackSpeed = playerState.weapon.attackSpeed;
+        
+        updatePlayerHealthUI(playerState.health);
+        updateLevelUI(playerState.level);
+    }
+    
+    // Anyone who went down, got revived or bled out while we were away
+    for (const playerId of gameState.players) {
+        const player = playerEntities[playerId];
+        const state = data.state.playerStates[playerId];
+        if (player && state) {
+            syncFallenState(player, state);
         }
     }
 }
 
-function updateBoss(data) {
-    // Update boss if it exists
-    if (game.currentBoss && data) {
-        // Update position
-        if (data.position) {
-            game.currentBoss.mesh.position.set(
-                data.position.x,
-                data.position.y,
-                data.position.z
-            );
+// Match a player's downed or dead state to what the server kept
+function syncFallenState(player, playerState) {
+    if (playerState.dead) {
+        if (player.animationState !== 'dead') {
+            player.die();
         }
-        
-        // Update rotation
-        if (data.rotation) {
-            game.currentBoss.mesh.rotation.y = data.rotation.y;
+    } else if (playerState.downed) {
+        if (!player.downed) {
+            player.setDowned();
         }
+    } else if (player.downed) {
+        player.revive(playerState.health);
+    }
+}
+
+function updateRemotePlayer(data) {
+    const player = playerEntities[data.id];
+    
+    if (player && player !== game.player) {
+        // Buffered and interpolated by the player
+        player.updateFromNetworkData({
+            position: data.position,
+            rotation: data.rotation,
+            animationState: data.action,
+            serverTime: data.serverTime
+        });
+    }
+}
+
+function updateBoss(data) {
+    // Update boss if it exists
+    if (game.currentBoss && data && data.id === game.currentBoss.id) {
+        // Position, rotation, phase and animation state
+        game.currentBoss.applySnapshot(data);
         
         // Update health
         if (data.health !== undefined) {
             game.currentBoss.health = data.health;
             updateBossHealthUI();
-        }
-        
-        // Update phase
-        if (data.phase !== undefined) {
-            game.currentBoss.phase = data.phase;
+            
+            if (data.health <= 0 && !game.currentBoss.isDead) {
+                game.currentBoss.die();
+            }
         }
     }
 }
@@ -648,14 +1248,116 @@ function updatePlayerHealthUI(health) {
     }
 }
 
+// One slot per ability with its key, name and a cooldown sweep
+function buildAbilityBar(player) {
+    const slotsContainer = document.getElementById('ability-slots');
+    if (!slotsContainer) return;
+    
+    slotsContainer.innerHTML = '';
+    
+    player.abilities.forEach((slot, index) => {
+        const slotElement = document.createElement('div');
+        slotElement.className = 'ability-slot';
+        slotElement.style.borderColor = '#' + slot.ability.color.toString(16).padStart(6, '0');
+        slotElement.title = `${slot.ability.name} (${slot.ability.cost} energy)`;
+        
+        const keyElement = document.createElement('div');
+        keyElement.className = 'ability-key';
+        keyElement.textContent = ABILITY_KEYS[index].replace('Key', '');
+        slotElement.appendChild(keyElement);
+        
+        const nameElement = document.createElement('div');
+        nameElement.className = 'ability-name';
+        nameElement.textContent = slot.ability.name;
+        slotElement.appendChild(nameElement);
+        
+        const cooldownElement = document.createElement('div');
+        cooldownElement.className = 'ability-cooldown';
+        slotElement.appendChild(cooldownElement);
+        
+        slotsContainer.appendChild(slotElement);
+    });
+}
+
+function updateAbilityBar() {
+    const player = game.player;
+    const slotElements = document.querySelectorAll('#ability-slots .ability-slot');
+    
+    player.abilities.forEach((slot, index) => {
+        const slotElement = slotElements[index];
+        if (!slotElement) return;
+        
+        // Fraction of the cooldown left drives the sweep, see .ability-cooldown
+        slotElement.style.setProperty('--cooldown', slot.cooldown / slot.ability.cooldown);
+        slotElement.classList.toggle('unaffordable', player.energy < slot.ability.cost);
+    });
+    
+    const energyFill = document.getElementById('energy-fill');
+    if (energyFill) {
+        energyFill.style.width = `${(player.energy / MAX_ENERGY) * 100}%`;
+    }
+}
+
+// Tell the local player when a downed teammate is close enough to revive
+function updateInteractPrompt() {
+    const prompt = document.getElementById('interact-prompt');
+    if (!prompt) return;
+    
+    const teammate = game.player.stats.health > 0 ? game.findDownedTeammate(game.player) : null;
+    if (!teammate) {
+        prompt.style.display = 'none';
+        return;
+    }
+    
+    prompt.textContent = game.player.revivingId === teammate.id
+        ? `Reviving Player_${teammate.id.substring(0, 5)}...`
+        : `Hold F to revive Player_${teammate.id.substring(0, 5)}`;
+    prompt.style.display = 'block';
+}
+
+function updateLevelUI(level) {
+    const levelElement = document.getElementById('player-level');
+    if (levelElement) {
+        levelElement.textContent = level;
+    }
+}
+
+// Update the HUD and play the level-up effect for our player, announce others
+function showLevelUp(player) {
+    if (player !== game.player) {
+        showNotification(`Player_${player.id.substring(0, 5)} reached level ${player.stats.level}!`);
+        return;
+    }
+    
+    updateLevelUI(player.stats.level);
+    updatePlayerHealthUI(player.stats.health);
+    
+    const effect = document.getElementById('level-up-effect');
+    if (effect) {
+        effect.textContent = `Level ${player.stats.level}!`;
+        
+        // Restart the animation if it is already playing
+        effect.classList.remove('active');
+        void effect.offsetWidth;
+        effect.classList.add('active');
+    }
+}
+
 function updateBossHealthUI() {
-    if (!game.currentBoss) return;
+    const bossContainer = document.getElementById('boss-container');
+    
+    // Combat rooms have no boss
+    if (!game.currentBoss) {
+        if (bossContainer) {
+            bossContainer.classList.add('hidden');
+        }
+        return;
+    }
     
     const boss = game.currentBoss;
     const percentage = (boss.health / boss.maxHealth) * 100;
     
     // Show boss container
-    const bossContainer = document.getElementById('boss-container');
     if (bossContainer) {
         bossContainer.classList.remove('hidden');
     }
@@ -673,6 +1375,12 @@ function updateBossHealthUI() {
     }
 }
 
+function describeLoot(pickup) {
+    return pickup.type === 'maxHealth'
+        ? `+${pickup.value} Max Health`
+        : `+${pickup.value} Health`;
+}
+
 function showNotification(message, duration = 3000) {
     const pickupMessage = document.getElementById('pickup-message');
     if (pickupMessage) {
@@ -686,10 +1394,38 @@ function showNotification(message, duration = 3000) {
     }
 }
 
-function showGameOver(data) {
-    // Show game over screen
+function showReconnectOverlay(message, failed = false) {
+    const overlay = document.getElementById('reconnect-overlay');
+    if (!overlay) return;
+    
+    overlay.classList.add('active');
+    document.getElementById('reconnect-status').textContent = message;
+    document.getElementById('reconnectMenuBtn').style.display = failed ? 'inline-block' : 'none';
+}
+
+function hideReconnectOverlay() {
+    const overlay = document.getElementById('reconnect-overlay');
+    if (overlay) {
+        overlay.classList.remove('active');
+    }
+}
+
+function showGameOver(data, victory = false) {
+    // Show game over screen, which doubles as the victory screen
     showScreen('gameover');
     
+    // Free the mouse to click the buttons
+    if (desktopControls) {
+        desktopControls.releasePointer();
+    }
+    
+    const finalBoss = BOSS_MOVE_SETS[BOSS_MOVE_SETS.length - 1].name;
+    const party = gameState.isMultiplayer ? 'Your party' : 'You';
+    document.getElementById('game-over-title').textContent = victory ? 'Victory!' : 'Game Over';
+    document.getElementById('game-over-message').textContent = victory
+        ? `${party} defeated the ${finalBoss} and conquered the dungeon!`
+        : `${party} ${gameState.isMultiplayer ? 'has' : 'have'} been defeated!`;
+    
     // Update stats
     document.getElementById('rooms-cleared').textContent = data.roomsCleared || 0;
     
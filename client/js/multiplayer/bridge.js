@@ -1,4 +1,5 @@
 import MultiplayerClient from './client.js';
+import { DEFAULT_CLASS } from '../shared/classes.mjs';
 
 /**
  * MultplayerBridge - Connects the existing main.js implementation with the MultiplayerClient
@@ -93,8 +94,6 @@ export default class MultplayerBridge {
                         break;
                         
                     case 'playerAttack':
-                    case 'bossAttacked':
-                    case 'enemyAttacked':
                         self.client.sendPlayerAttack(args[1]);
                         break;
                         
@@ -127,11 +126,13 @@ export default class MultplayerBridge {
                         
                     case 'gameJoined':
                         self.client.onGameStarted = (gameState) => {
+                            const playerState = gameState.playerStates ? gameState.playerStates[self.client.playerId] : null;
+                            
                             // Convert gameState to expected format
                             const data = {
                                 player: {
                                     id: self.client.playerId,
-                                    type: 0,
+                                    classId: playerState ? playerState.classId : DEFAULT_CLASS,
                                     name: 'Player_' + self.client.playerId.substring(0, 5)
                                 },
                                 players: gameState.players || [],
@@ -146,7 +147,7 @@ export default class MultplayerBridge {
                         self.client.onPlayerJoined = (playerId) => {
                             const playerData = {
                                 id: playerId,
-                                type: 0,
+                                classId: DEFAULT_CLASS,
                                 name: 'Player_' + playerId.substring(0, 5)
                             };
                             this.callListeners('playerJoined', playerData);
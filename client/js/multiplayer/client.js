@@ -11,6 +11,10 @@ export default class MultiplayerClient {
         this.partyCode = null;
         this.isHost = false;
         this.playerId = null;
+
+        // Session resume after a dropped connection
+        this.reconnectToken = null;
+        this.resuming = false;
     }
 
     /**
@@ -22,8 +26,14 @@ export default class MultiplayerClient {
             ? 'http://localhost:3000' 
             : window.location.origin;
 
-        // Connect to server with Socket.io
-        this.socket = io(SERVER_URL);
+        // Connect to server with Socket.io, retrying with exponential backoff if the connection drops
+        this.socket = io(SERVER_URL, {
+            reconnection: true,
+            reconnectionAttempts: 10,
+            reconnectionDelay: 1000,
+            reconnectionDelayMax: 8000,
+            randomizationFactor: 0.5
+        });
 
         // Setup connection events
         this.setupConnectionEvents();
@@ -41,6 +51,14 @@ export default class MultiplayerClient {
         this.socket.on('connect', () => {
             console.log('Connected to server with ID:', this.socket.id);
             this.connected = true;
+            
+            // Back after a drop - ask for our old slot before anything else
+            if (this.partyCode && this.reconnectToken) {
+                this.resuming = true;
+                this.socket.emit('resumeSession', this.partyCode, this.reconnectToken);
+                return;
+            }
+            
             this.playerId = this.socket.id;
             
             // Trigger connection callback if provided
@@ -49,10 +67,51 @@ export default class MultiplayerClient {
             }
         });
 
+        // Automatic reconnection attempts (handled by the socket.io manager)
+        this.socket.io.on('reconnect_attempt', (attempt) => {
+            if (this.onReconnecting) {
+                this.onReconnecting(attempt);
+            }
+        });
+
+        this.socket.io.on('reconnect_failed', () => {
+            console.error('Could not reconnect to server');
+            this.clearSession();
+            
+            if (this.onReconnectFailed) {
+                this.onReconnectFailed('Could not reach the server');
+            }
+        });
+
+        // Our old slot was restored under the new socket id
+        this.socket.on('sessionResumed', (data) => {
+            console.log('Session resumed:', data.previousId, '->', data.playerId);
+            this.resuming = false;
+            this.playerId = data.playerId;
+            this.isHost = data.isHost;
+            
+            if (this.onSessionResumed) {
+                this.onSessionResumed(data);
+            }
+        });
+
+        // The grace period ran out or the party is gone
+        this.socket.on('resumeFailed', (errorMsg) => {
+            console.error('Resume failed:', errorMsg);
+            this.resuming = false;
+            this.clearSession();
+            this.playerId = this.socket.id;
+            
+            if (this.onReconnectFailed) {
+                this.onReconnectFailed(errorMsg);
+            }
+        });
+
         // Party hosted event
-        this.socket.on('partyHosted', (partyCode) => {
+        this.socket.on('partyHosted', (partyCode, reconnectToken) => {
             console.log('Party hosted:', partyCode);
             this.partyCode = partyCode;
+            this.reconnectToken = reconnectToken;
             this.isHost = true;
             
             if (this.onPartyHosted) {
@@ -61,15 +120,32 @@ export default class MultiplayerClient {
         });
 
         // Join success event
-        this.socket.on('joinSuccess', (partyCode, playerList) => {
+        this.socket.on('joinSuccess', (partyCode, playerList, reconnectToken) => {
             console.log('Joined party:', partyCode);
             this.partyCode = partyCode;
+            this.reconnectToken = reconnectToken;
             
             if (this.onPartyJoined) {
                 this.onPartyJoined(partyCode, playerList);
             }
         });
 
+        // Class picks and limits in the lobby
+        this.socket.on('lobbyState', (lobbyState) => {
+            if (this.onLobbyState) {
+                this.onLobbyState(lobbyState);
+            }
+        });
+
+        // Host tried to start a game the server refused
+        this.socket.on('startGameError', (errorMsg) => {
+            console.error('Start game error:', errorMsg);
+            
+            if (this.onStartGameError) {
+                this.onStartGameError(errorMsg);
+            }
+        });
+
         // Join error event
         this.socket.on('joinError', (errorMsg) => {
             console.error('Join error:', errorMsg);
@@ -97,6 +173,24 @@ export default class MultiplayerClient {
             }
         });
 
+        // Player dropped and has a grace period to come back
+        this.socket.on('playerDisconnected', (playerId) => {
+            console.log('Player disconnected:', playerId);
+            
+            if (this.onPlayerDisconnected) {
+                this.onPlayerDisconnected(playerId);
+            }
+        });
+
+        // Player came back under a new socket id
+        this.socket.on('playerReconnected', (previousId, playerId) => {
+            console.log('Player reconnected:', previousId, '->', playerId);
+            
+            if (this.onPlayerReconnected) {
+                this.onPlayerReconnected(previousId, playerId);
+            }
+        });
+
         // New host event
         this.socket.on('newHost', (hostId) => {
             console.log('New host:', hostId);
@@ -123,6 +217,13 @@ export default class MultiplayerClient {
             }
         });
 
+        // Server acknowledged our movement inputs
+        this.socket.on('movementAck', (ack) => {
+            if (this.onMovementAck) {
+                this.onMovementAck(ack);
+            }
+        });
+
         // Player attacked event
         this.socket.on('playerAttacked', (playerId, attackData) => {
             if (this.onPlayerAttacked) {
@@ -130,6 +231,15 @@ export default class MultiplayerClient {
             }
         });
 
+        // Attack rejected or clamped by server validation
+        this.socket.on('attackRejected', (data) => {
+            console.warn('Attack rejected by server:', data.reason);
+            
+            if (this.onAttackRejected) {
+                this.onAttackRejected(data);
+            }
+        });
+
         // Boss health update event
         this.socket.on('bossHealthUpdate', (bossData) => {
             if (this.onBossHealthUpdate) {
@@ -137,6 +247,27 @@ export default class MultiplayerClient {
             }
         });
 
+        // Boss simulation snapshot event
+        this.socket.on('bossSnapshot', (snapshot) => {
+            if (this.onBossSnapshot) {
+                this.onBossSnapshot(snapshot);
+            }
+        });
+
+        // Boss move winding up, shows where it will land
+        this.socket.on('bossTelegraph', (telegraphData) => {
+            if (this.onBossTelegraph) {
+                this.onBossTelegraph(telegraphData);
+            }
+        });
+
+        // Boss attack event (damage is applied by the server)
+        this.socket.on('bossAttack', (attackData) => {
+            if (this.onBossAttack) {
+                this.onBossAttack(attackData);
+            }
+        });
+
         // Player health update event
         this.socket.on('playerHealthUpdate', (playerId, health) => {
             if (this.onPlayerHealthUpdate) {
@@ -144,6 +275,27 @@ export default class MultiplayerClient {
             }
         });
 
+        // Adds summoned by the boss
+        this.socket.on('enemiesSpawned', (data) => {
+            if (this.onEnemiesSpawned) {
+                this.onEnemiesSpawned(data);
+            }
+        });
+
+        // Enemy simulation snapshots, one per living add
+        this.socket.on('enemySnapshots', (snapshots) => {
+            if (this.onEnemySnapshots) {
+                this.onEnemySnapshots(snapshots);
+            }
+        });
+
+        // Enemy health update event
+        this.socket.on('enemyHealthUpdate', (data) => {
+            if (this.onEnemyHealthUpdate) {
+                this.onEnemyHealthUpdate(data);
+            }
+        });
+
         // Enemy defeated event
         this.socket.on('enemyDefeated', (data) => {
             if (this.onEnemyDefeated) {
@@ -158,6 +310,33 @@ export default class MultiplayerClient {
             }
         });
 
+        // Last boss defeated, the run is won
+        this.socket.on('runCompleted', (data) => {
+            if (this.onRunCompleted) {
+                this.onRunCompleted(data);
+            }
+        });
+
+        // Player at 0 health, revivable until they bleed out
+        this.socket.on('playerDowned', (playerId, data) => {
+            if (this.onPlayerDowned) {
+                this.onPlayerDowned(playerId, data);
+            }
+        });
+
+        // Revive started, advanced or cancelled (progress 0)
+        this.socket.on('reviveProgress', (data) => {
+            if (this.onReviveProgress) {
+                this.onReviveProgress(data);
+            }
+        });
+
+        this.socket.on('playerRevived', (playerId, data) => {
+            if (this.onPlayerRevived) {
+                this.onPlayerRevived(playerId, data);
+            }
+        });
+
         // Player died event
         this.socket.on('playerDied', (playerId) => {
             if (this.onPlayerDied) {
@@ -172,6 +351,60 @@ export default class MultiplayerClient {
             }
         });
 
+        // Abilities the server accepted, with who they affected
+        this.socket.on('abilityUsed', (playerId, data) => {
+            if (this.onAbilityUsed) {
+                this.onAbilityUsed(playerId, data);
+            }
+        });
+
+        this.socket.on('abilityRejected', (data) => {
+            if (this.onAbilityRejected) {
+                this.onAbilityRejected(data);
+            }
+        });
+
+        // Projectiles simulated by the server, for rendering only
+        this.socket.on('projectileSpawned', (data) => {
+            if (this.onProjectileSpawned) {
+                this.onProjectileSpawned(data);
+            }
+        });
+
+        this.socket.on('projectileRemoved', (data) => {
+            if (this.onProjectileRemoved) {
+                this.onProjectileRemoved(data);
+            }
+        });
+
+        // Loot dropped by a defeated boss or enemy
+        this.socket.on('lootSpawned', (data) => {
+            if (this.onLootSpawned) {
+                this.onLootSpawned(data);
+            }
+        });
+
+        // Room cleared, the party moves on shortly
+        this.socket.on('roomCleared', (data) => {
+            if (this.onRoomCleared) {
+                this.onRoomCleared(data);
+            }
+        });
+
+        // Player gained a level
+        this.socket.on('playerLevelUp', (playerId, levelData) => {
+            if (this.onPlayerLevelUp) {
+                this.onPlayerLevelUp(playerId, levelData);
+            }
+        });
+
+        // Player max health changed
+        this.socket.on('playerStatsUpdate', (playerId, stats) => {
+            if (this.onPlayerStatsUpdate) {
+                this.onPlayerStatsUpdate(playerId, stats);
+            }
+        });
+
         // Loot collected event
         this.socket.on('lootCollected', (data) => {
             if (this.onLootCollected) {
@@ -180,12 +413,15 @@ export default class MultiplayerClient {
         });
 
         // Disconnection
-        this.socket.on('disconnect', () => {
-            console.log('Disconnected from server');
+        this.socket.on('disconnect', (reason) => {
+            console.log('Disconnected from server:', reason);
             this.connected = false;
             
+            // socket.io retries on its own unless we or the server closed the connection
+            const willReconnect = reason !== 'io client disconnect' && reason !== 'io server disconnect';
+            
             if (this.onDisconnected) {
-                this.onDisconnected();
+                this.onDisconnected(willReconnect && this.reconnectToken !== null);
             }
         });
     }
@@ -209,6 +445,26 @@ export default class MultiplayerClient {
         return true;
     }
 
+    /**
+     * Pick a class in the lobby
+     * @param {string} classId - Class id from shared/classes.mjs
+     */
+    selectClass(classId) {
+        if (!this.connected || !this.partyCode) return false;
+        this.socket.emit('selectClass', this.partyCode, classId);
+        return true;
+    }
+
+    /**
+     * Limit how many players may pick the same class (host only)
+     * @param {number|null} maxPerClass - Players allowed per class, null for no limit
+     */
+    setClassLimit(maxPerClass) {
+        if (!this.connected || !this.isHost || !this.partyCode) return false;
+        this.socket.emit('setClassLimit', this.partyCode, maxPerClass);
+        return true;
+    }
+
     /**
      * Start the game (host only)
      */
@@ -223,15 +479,17 @@ export default class MultiplayerClient {
      * @param {Object} position - Player position
      * @param {Object} rotation - Player rotation
      * @param {string} action - Current player action/animation
+     * @param {Array} inputs - Sequenced movement inputs since the last update
      */
-    sendPlayerMovement(position, rotation, action) {
+    sendPlayerMovement(position, rotation, action, inputs = []) {
         if (!this.connected || !this.partyCode) return false;
         
         this.socket.emit('playerInput', this.partyCode, {
             id: this.playerId,
             position,
             rotation,
-            action
+            action,
+            inputs
         });
         
         return true;
@@ -253,16 +511,36 @@ export default class MultiplayerClient {
     }
 
     /**
-     * Report player damage
-     * @param {number} amount - Amount of damage taken
+     * Ask the server to use an ability, it validates the cooldown and energy
+     * @param {Object} abilityData - { abilityId, position, direction }
      */
-    sendPlayerDamaged(amount) {
+    useAbility(abilityData) {
         if (!this.connected || !this.partyCode) return false;
         
-        this.socket.emit('playerDamaged', this.partyCode, {
-            amount,
-            playerId: this.playerId
-        });
+        this.socket.emit('useAbility', this.partyCode, abilityData);
+        
+        return true;
+    }
+
+    /**
+     * Start reviving a downed teammate, the server keeps it going while we stay close
+     * @param {string} targetId - ID of the downed player
+     */
+    startRevive(targetId) {
+        if (!this.connected || !this.partyCode) return false;
+        
+        this.socket.emit('startRevive', this.partyCode, targetId);
+        
+        return true;
+    }
+
+    /**
+     * Stop reviving, interact was released
+     */
+    stopRevive() {
+        if (!this.connected || !this.partyCode) return false;
+        
+        this.socket.emit('stopRevive', this.partyCode);
         
         return true;
     }
@@ -279,10 +557,21 @@ export default class MultiplayerClient {
         return true;
     }
 
+    /**
+     * Forget the party we could resume
+     */
+    clearSession() {
+        this.partyCode = null;
+        this.reconnectToken = null;
+        this.isHost = false;
+    }
+
     /**
      * Disconnect from server
      */
     disconnect() {
+        this.clearSession();
+        
         if (this.socket) {
             this.socket.disconnect();
             this.socket = null;
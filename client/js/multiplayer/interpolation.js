@@ -0,0 +1,125 @@
+/**
+ * SnapshotBuffer - Buffers timestamped network snapshots for a remote entity
+ * and samples them a fixed delay in the past, so remote players move smoothly
+ * regardless of how often their updates arrive.
+ */
+
+// Interpolate between two angles along the shortest arc
+function lerpAngle(a, b, t) {
+    let difference = (b - a) % (Math.PI * 2);
+    if (difference > Math.PI) difference -= Math.PI * 2;
+    if (difference < -Math.PI) difference += Math.PI * 2;
+    return a + difference * t;
+}
+
+function lerp(a, b, t) {
+    return a + (b - a) * t;
+}
+
+export default class SnapshotBuffer {
+    constructor(options = {}) {
+        this.snapshots = [];
+        this.maxSnapshots = options.maxSnapshots || 30;
+        this.interpolationDelay = options.interpolationDelay !== undefined ? options.interpolationDelay : 100; // ms
+        this.maxExtrapolation = options.maxExtrapolation !== undefined ? options.maxExtrapolation : 250; // ms
+
+        // Estimated serverTime - localTime, see push()
+        this.clockOffset = null;
+    }
+
+    /**
+     * Add a snapshot received from the server
+     * @param {Object} snapshot - { time, position: {x, y, z}, yaw, pitch, animationState }
+     * @param {number} receivedAt - Local time (ms) the snapshot arrived
+     */
+    push(snapshot, receivedAt = Date.now()) {
+        // Track the clock offset. The largest sample has the least latency in
+        // it; follow smaller samples slowly in case the server clock jumps back.
+        const sample = snapshot.time - receivedAt;
+        if (this.clockOffset === null || sample > this.clockOffset) {
+            this.clockOffset = sample;
+        } else {
+            this.clockOffset += (sample - this.clockOffset) * 0.01;
+        }
+
+        // Drop stale or duplicate packets
+        const last = this.snapshots[this.snapshots.length - 1];
+        if (last && snapshot.time <= last.time) return;
+
+        this.snapshots.push(snapshot);
+
+        if (this.snapshots.length > this.maxSnapshots) {
+            this.snapshots.shift();
+        }
+    }
+
+    clear() {
+        this.snapshots = [];
+        this.clockOffset = null;
+    }
+
+    /**
+     * Sample the interpolated state at the current render time
+     * @param {number} now - Local time in ms
+     * @returns {Object|null} { position, yaw, pitch, animationState }
+     */
+    sample(now = Date.now()) {
+        const count = this.snapshots.length;
+        if (count === 0) return null;
+
+        const renderTime = now + this.clockOffset - this.interpolationDelay;
+        const first = this.snapshots[0];
+        const last = this.snapshots[count - 1];
+
+        // Not enough history yet - hold the oldest state
+        if (count === 1 || renderTime <= first.time) {
+            return this.copySnapshot(first);
+        }
+
+        // Ran past the newest packet - extrapolate for a short gap only
+        if (renderTime >= last.time) {
+            const previous = this.snapshots[count - 2];
+            const span = last.time - previous.time;
+            const ahead = Math.min(renderTime - last.time, this.maxExtrapolation);
+            return this.blend(previous, last, span > 0 ? 1 + ahead / span : 1);
+        }
+
+        // Find the pair of snapshots surrounding the render time
+        let index = 1;
+        while (this.snapshots[index].time < renderTime) {
+            index++;
+        }
+
+        const from = this.snapshots[index - 1];
+        const to = this.snapshots[index];
+
+        // Older snapshots are no longer needed
+        if (index > 1) {
+            this.snapshots.splice(0, index - 1);
+        }
+
+        return this.blend(from, to, (renderTime - from.time) / (to.time - from.time));
+    }
+
+    blend(from, to, t) {
+        return {
+            position: {
+                x: lerp(from.position.x, to.position.x, t),
+                y: lerp(from.position.y, to.position.y, t),
+                z: lerp(from.position.z, to.position.z, t)
+            },
+            yaw: lerpAngle(from.yaw, to.yaw, t),
+            pitch: lerpAngle(from.pitch, to.pitch, Math.min(t, 1)),
+            animationState: t < 0.5 ? from.animationState : to.animationState
+        };
+    }
+
+    copySnapshot(snapshot) {
+        return {
+            position: { ...snapshot.position },
+            yaw: snapshot.yaw,
+            pitch: snapshot.pitch,
+            animationState: snapshot.animationState
+        };
+    }
+}
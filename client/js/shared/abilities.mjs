@@ -0,0 +1,184 @@
+// Class abilities, shared by the server and client. The client predicts
+// cooldowns and energy for the ability bar; the server validates every use
+// against the same numbers and applies the effects in multiplayer.
+//
+// Ability kinds:
+//   strike - instant hit on every boss or enemy inside an arc
+//   volley - fans out projectiles from the caster
+//   heal   - heals the caster and allies within a radius
+//   shield - reduces damage taken by the caster (and allies within a radius)
+//   dash   - short burst of movement speed
+//   taunt  - the boss targets the caster for a while
+
+export const MAX_ENERGY = 100;
+export const ENERGY_REGEN = 10; // Energy per second
+
+export const ABILITIES = {
+    cleave: {
+        id: 'cleave',
+        name: 'Cleave',
+        kind: 'strike',
+        cooldown: 6, // Seconds
+        cost: 25, // Energy
+        damage: 2.0, // Multiplier of the caster's attack damage
+        range: 3.5,
+        arc: Math.PI / 2,
+        color: 0xff6633
+    },
+    warCry: {
+        id: 'warCry',
+        name: 'War Cry',
+        kind: 'shield',
+        cooldown: 18,
+        cost: 30,
+        radius: 8,
+        reduction: 0.3, // Fraction of incoming damage blocked
+        duration: 5,
+        color: 0xffaa33
+    },
+    dash: {
+        id: 'dash',
+        name: 'Dash',
+        kind: 'dash',
+        cooldown: 5,
+        cost: 15,
+        speedMultiplier: 3,
+        duration: 0.35,
+        color: 0xaaddff
+    },
+    volley: {
+        id: 'volley',
+        name: 'Volley',
+        kind: 'volley',
+        cooldown: 8,
+        cost: 30,
+        projectile: 'arrow',
+        count: 5,
+        spread: Math.PI / 6, // Total fan angle
+        damage: 0.75,
+        color: 0x88dd66
+    },
+    powerShot: {
+        id: 'powerShot',
+        name: 'Power Shot',
+        kind: 'volley',
+        cooldown: 10,
+        cost: 35,
+        projectile: 'arrow',
+        count: 1,
+        spread: 0,
+        damage: 2.5,
+        color: 0xddff66
+    },
+    heal: {
+        id: 'heal',
+        name: 'Heal Pulse',
+        kind: 'heal',
+        cooldown: 10,
+        cost: 35,
+        radius: 8,
+        amount: 30,
+        color: 0x66ff99
+    },
+    smite: {
+        id: 'smite',
+        name: 'Smite',
+        kind: 'strike',
+        cooldown: 7,
+        cost: 25,
+        damage: 2.5,
+        range: 8,
+        arc: Math.PI / 6,
+        color: 0xffffaa
+    },
+    blessing: {
+        id: 'blessing',
+        name: 'Blessing',
+        kind: 'shield',
+        cooldown: 20,
+        cost: 40,
+        radius: 8,
+        reduction: 0.4,
+        duration: 4,
+        color: 0xeeeeff
+    },
+    shieldWall: {
+        id: 'shieldWall',
+        name: 'Shield Wall',
+        kind: 'shield',
+        cooldown: 14,
+        cost: 25,
+        radius: 4,
+        reduction: 0.6,
+        duration: 4,
+        color: 0x6688ff
+    },
+    taunt: {
+        id: 'taunt',
+        name: 'Taunt',
+        kind: 'taunt',
+        cooldown: 12,
+        cost: 20,
+        duration: 4,
+        color: 0xff3333
+    },
+    shieldBash: {
+        id: 'shieldBash',
+        name: 'Shield Bash',
+        kind: 'strike',
+        cooldown: 6,
+        cost: 20,
+        damage: 1.5,
+        range: 2.5,
+        arc: Math.PI / 4,
+        color: 0x99aacc
+    }
+};
+
+export function getAbility(abilityId) {
+    return Object.prototype.hasOwnProperty.call(ABILITIES, abilityId) ? ABILITIES[abilityId] : null;
+}
+
+// Damage of a strike or of each volley projectile for a caster's attack damage
+export function getAbilityDamage(ability, attackDamage) {
+    return Math.round(attackDamage * (ability.damage || 0));
+}
+
+/**
+ * Directions of a volley's projectiles, fanned out around the aim on the ground plane
+ * @param {Object} direction - Normalized aim direction, {x, y, z}
+ * @param {Object} ability - Volley ability
+ * @returns {Array} Directions, {x, y, z}
+ */
+export function getVolleyDirections(direction, ability) {
+    const directions = [];
+
+    for (let i = 0; i < ability.count; i++) {
+        const angle = ability.count > 1
+            ? -ability.spread / 2 + ability.spread * i / (ability.count - 1)
+            : 0;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+
+        // Rotate around the Y axis, same as Vector3.applyAxisAngle
+        directions.push({
+            x: direction.x * cos + direction.z * sin,
+            y: direction.y,
+            z: -direction.x * sin + direction.z * cos
+        });
+    }
+
+    return directions;
+}
+
+/**
+ * Regenerate energy for the time since it was last updated
+ * @param {Object} state - { energy, energyUpdatedAt }, updated in place
+ * @param {number} now - Current time in ms
+ */
+export function refillEnergy(state, now) {
+    const elapsed = state.energyUpdatedAt ? (now - state.energyUpdatedAt) / 1000 : 0;
+    state.energy = Math.min(MAX_ENERGY, state.energy + elapsed * ENERGY_REGEN);
+    state.energyUpdatedAt = now;
+    return state.energy;
+}
@@ -0,0 +1,263 @@
+// Boss move sets, shared by the server and client. Each boss type is defined
+// by a file in ./bosses; the server simulation and the solo client both run
+// moves through the helpers below, so a boss fights the same on both.
+//
+// Every move is telegraphed: its area is locked in when the wind-up starts
+// and shown on the ground, and only players still inside it when the wind-up
+// ends are hit.
+//
+// Move fields:
+//   phase    - boss phase the move unlocks in (1 is the start of the fight)
+//   shape    - 'cone' (range, angle), 'circle' (radius, at 'self' or 'target'),
+//              'line' (length, width) or 'projectile' (projectile, count, spread)
+//   windUp, active, recovery - frames of each stage, at MOVE_FRAME_RATE. The
+//              hit is checked once, on the first active frame
+//   damage   - per player hit, see getMoveDamage()
+//   heavy    - big hits leave players invulnerable for longer
+//   lunge    - the boss travels to the end of the area when the move goes active
+//   cooldown - seconds before the move can be used again
+//   minRange, maxRange - distance to the target the move is used at
+//
+// Moves are listed in priority order, a boss uses the first one it can.
+//
+// summons lists the waves of adds a boss calls in as it enters each phase,
+// by phase: [{ type, count }] with enemy types from enemies.mjs.
+
+import { getVolleyDirections } from './abilities.mjs';
+import { getProjectileType } from './projectiles.mjs';
+import executioner from './bosses/executioner.mjs';
+import acolyte from './bosses/acolyte.mjs';
+import pitFiend from './bosses/pit-fiend.mjs';
+import hierophant from './bosses/hierophant.mjs';
+import deathlord from './bosses/deathlord.mjs';
+
+export const MOVE_FRAME_RATE = 20; // Frames per second, the server's tick rate
+export const PHASE_DAMAGE_BONUS = 5; // Extra damage per phase after the first
+export const PHASE_SPEED_BONUS = 0.3; // Extra move speed per phase after the first
+export const PLAYER_HIT_PADDING = 0.5; // Players are hit when their body overlaps the area
+const SHOT_LANE_PADDING = 0.3; // Telegraphed shot lanes are a little wider than the shot
+
+// Indexed by boss type, the order bosses appear in
+export const BOSS_MOVE_SETS = [executioner, acolyte, pitFiend, hierophant, deathlord];
+
+export function getMoveSet(bossType) {
+    const index = Math.max(0, Math.min(bossType || 0, BOSS_MOVE_SETS.length - 1));
+    return BOSS_MOVE_SETS[index];
+}
+
+export function getMove(moveSet, moveId) {
+    return moveSet.moves.find(move => move.id === moveId) || null;
+}
+
+// Adds called in when entering a phase, empty if the boss summons none
+export function getSummonWave(moveSet, phase) {
+    return (moveSet.summons && moveSet.summons[phase]) || [];
+}
+
+export function getMoveDamage(move, phase) {
+    return move.damage + PHASE_DAMAGE_BONUS * (phase - 1);
+}
+
+export function getMoveSpeed(moveSet, phase) {
+    return moveSet.moveSpeed + PHASE_SPEED_BONUS * (phase - 1);
+}
+
+/**
+ * First move the boss can use against a target at this distance
+ * @param {Object} moveSet - Boss move set
+ * @param {number} phase - Current boss phase
+ * @param {Object} cooldowns - Move id -> seconds left
+ * @param {number} distance - Horizontal distance to the target
+ * @returns {Object|null} The move, or null if none fits
+ */
+export function chooseMove(moveSet, phase, cooldowns, distance) {
+    for (const move of moveSet.moves) {
+        if (move.phase > phase) continue;
+        if (cooldowns[move.id] > 0) continue;
+        if (distance < (move.minRange || 0) || distance > move.maxRange) continue;
+        return move;
+    }
+
+    return null;
+}
+
+export function tickCooldowns(cooldowns, delta) {
+    for (const moveId in cooldowns) {
+        cooldowns[moveId] = Math.max(0, cooldowns[moveId] - delta);
+    }
+}
+
+// A boss that isn't using a move, see startMove() and advanceMove()
+export function createMoveState() {
+    return {
+        move: null,
+        stage: null, // 'windUp', 'active' or 'recovery'
+        elapsed: 0, // Seconds since the move started
+        area: null, // Locked in when the move starts, see getMoveArea()
+        aim: null, // Normalized direction for projectile moves
+        cooldowns: {}
+    };
+}
+
+/**
+ * The ground area a move hits, fixed when the wind-up starts so players can dodge it
+ * @param {Object} move - Move definition
+ * @param {Object} origin - Boss position, {x, z}
+ * @param {number} yaw - Boss facing, 0 looks down +z
+ * @param {Object} target - Target position, {x, z}
+ * @returns {Object} { shape, x, z, yaw } plus the shape's size
+ */
+export function getMoveArea(move, origin, yaw, target) {
+    const area = { shape: move.shape, x: origin.x, z: origin.z, yaw };
+
+    switch (move.shape) {
+        case 'circle':
+            if (move.at === 'target') {
+                area.x = target.x;
+                area.z = target.z;
+            }
+            area.radius = move.radius;
+            break;
+        case 'cone':
+            area.range = move.range;
+            area.angle = move.angle;
+            break;
+        case 'line':
+            area.length = move.length;
+            area.width = move.width;
+            break;
+    }
+
+    return area;
+}
+
+export function isInMoveArea(area, point, padding = 0) {
+    const dx = point.x - area.x;
+    const dz = point.z - area.z;
+    const forwardX = Math.sin(area.yaw);
+    const forwardZ = Math.cos(area.yaw);
+
+    switch (area.shape) {
+        case 'circle':
+            return dx * dx + dz * dz <= (area.radius + padding) ** 2;
+        case 'cone': {
+            const distance = Math.sqrt(dx * dx + dz * dz);
+            if (distance > area.range + padding) return false;
+            if (distance <= padding) return true;
+            const cos = (dx * forwardX + dz * forwardZ) / distance;
+            return Math.acos(Math.max(-1, Math.min(1, cos))) <= area.angle / 2;
+        }
+        case 'line': {
+            const along = dx * forwardX + dz * forwardZ;
+            const side = Math.abs(dx * forwardZ - dz * forwardX);
+            return along >= -padding && along <= area.length + padding && side <= area.width / 2 + padding;
+        }
+        default:
+            return false;
+    }
+}
+
+// Where a lunging boss ends up, {x, z}
+export function getLungeEnd(area) {
+    if (area.shape === 'line') {
+        return {
+            x: area.x + Math.sin(area.yaw) * area.length,
+            z: area.z + Math.cos(area.yaw) * area.length
+        };
+    }
+
+    return { x: area.x, z: area.z };
+}
+
+/**
+ * Start a move aimed at a target
+ * @param {Object} state - From createMoveState(), updated in place
+ * @param {Object} move - Move to use
+ * @param {Object} origin - Boss position, {x, y, z}
+ * @param {Object} target - Target position, {x, y, z}
+ */
+export function startMove(state, move, origin, target) {
+    const dx = target.x - origin.x;
+    const dy = target.y - origin.y;
+    const dz = target.z - origin.z;
+    const length = Math.sqrt(dx * dx + dy * dy + dz * dz) || 1;
+
+    state.move = move;
+    state.stage = 'windUp';
+    state.elapsed = 0;
+    state.area = getMoveArea(move, origin, Math.atan2(dx, dz), target);
+    state.aim = { x: dx / length, y: dy / length, z: dz / length };
+    state.cooldowns[move.id] = move.cooldown;
+}
+
+/**
+ * Advance the current move
+ * @param {Object} state - From createMoveState(), updated in place
+ * @param {number} delta - Seconds since the last step
+ * @returns {string|null} The stage just entered, or null if it didn't change.
+ *   'done' when the move finished and the boss is free again.
+ */
+export function advanceMove(state, delta) {
+    if (!state.move) return null;
+
+    state.elapsed += delta;
+
+    const frames = state.elapsed * MOVE_FRAME_RATE;
+    const move = state.move;
+    let stage = 'recovery';
+    if (frames < move.windUp) {
+        stage = 'windUp';
+    } else if (frames < move.windUp + move.active) {
+        stage = 'active';
+    } else if (frames >= move.windUp + move.active + move.recovery) {
+        stage = null;
+    }
+
+    if (stage === state.stage) return null;
+
+    // A long step can skip the active frames, they still happen
+    if (state.stage === 'windUp' && stage !== 'active') {
+        state.stage = 'active';
+        return 'active';
+    }
+
+    state.stage = stage;
+    if (!stage) {
+        state.move = null;
+        return 'done';
+    }
+
+    return stage;
+}
+
+// Directions of a projectile move's shots, fanned around the aim
+export function getMoveShotDirections(state) {
+    return getVolleyDirections(state.aim, state.move);
+}
+
+// Seconds from the start of a move until it hits
+export function getWindUpTime(move) {
+    return move.windUp / MOVE_FRAME_RATE;
+}
+
+/**
+ * Ground areas to telegraph for the current move: its hit area, or a lane
+ * along each shot of a projectile move
+ * @param {Object} state - From createMoveState(), with a move started
+ * @returns {Array} Areas, see getMoveArea()
+ */
+export function getMoveTelegraphAreas(state) {
+    const move = state.move;
+    if (move.shape !== 'projectile') return [state.area];
+
+    const type = getProjectileType(move.projectile);
+
+    return getMoveShotDirections(state).map(direction => ({
+        shape: 'line',
+        x: state.area.x,
+        z: state.area.z,
+        yaw: Math.atan2(direction.x, direction.z),
+        length: move.maxRange,
+        width: (type.radius + SHOT_LANE_PADDING) * 2
+    }));
+}
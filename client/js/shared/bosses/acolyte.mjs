@@ -0,0 +1,84 @@
+// Blood Acolyte - keeps its distance and shoots, punishes anyone who crowds
+// it with a burst and later pools blood under players who stand still.
+
+export default {
+    id: 'acolyte',
+    name: 'Blood Acolyte',
+    health: 300,
+    moveSpeed: 1.8,
+    engageRange: 6,
+    phaseThresholds: [0.7, 0.4, 0.2],
+    summons: {
+        2: [{ type: 1, count: 2 }],
+        3: [{ type: 0, count: 2 }, { type: 1, count: 1 }],
+        4: [{ type: 1, count: 3 }]
+    },
+    moves: [
+        {
+            id: 'bloodBarrage',
+            name: 'Blood Barrage',
+            phase: 3,
+            shape: 'projectile',
+            projectile: 'bloodBolt',
+            count: 5,
+            spread: Math.PI / 3,
+            windUp: 14,
+            active: 2,
+            recovery: 12,
+            damage: 10,
+            cooldown: 7,
+            minRange: 3,
+            maxRange: 14,
+            color: 0xaa0022
+        },
+        {
+            id: 'sanguineBurst',
+            name: 'Sanguine Burst',
+            phase: 1,
+            shape: 'circle',
+            at: 'self',
+            radius: 3.5,
+            windUp: 14,
+            active: 3,
+            recovery: 10,
+            damage: 22,
+            heavy: true,
+            cooldown: 6,
+            maxRange: 3.5,
+            color: 0xff2244
+        },
+        {
+            id: 'bloodPool',
+            name: 'Blood Pool',
+            phase: 2,
+            shape: 'circle',
+            at: 'target',
+            radius: 2.5,
+            windUp: 24,
+            active: 4,
+            recovery: 8,
+            damage: 28,
+            heavy: true,
+            cooldown: 7,
+            maxRange: 12,
+            color: 0x880011
+        },
+        {
+            id: 'bloodBolt',
+            name: 'Blood Bolt',
+            phase: 1,
+            shape: 'projectile',
+            projectile: 'bloodBolt',
+            count: 1,
+            spread: 0,
+            windUp: 8,
+            active: 1,
+            recovery: 6,
+            damage: 14,
+            cooldown: 3,
+            minRange: 4,
+            maxRange: 14,
+            color: 0xaa0022
+        }
+    ]
+};
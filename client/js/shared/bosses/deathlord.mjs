@@ -0,0 +1,84 @@
+// Deathlord - the final boss. A wide reaping swing, a march through the
+// party, a room-filling harvest and a storm of bolts once it's nearly dead.
+
+export default {
+    id: 'deathlord',
+    name: 'Deathlord',
+    health: 750,
+    moveSpeed: 1.6,
+    engageRange: 3,
+    phaseThresholds: [0.75, 0.5, 0.25],
+    summons: {
+        2: [{ type: 1, count: 3 }],
+        3: [{ type: 2, count: 2 }, { type: 1, count: 1 }],
+        4: [{ type: 2, count: 3 }]
+    },
+    moves: [
+        {
+            id: 'doomBolts',
+            name: 'Doom Bolts',
+            phase: 4,
+            shape: 'projectile',
+            projectile: 'soulBolt',
+            count: 7,
+            spread: Math.PI / 2,
+            windUp: 16,
+            active: 2,
+            recovery: 12,
+            damage: 14,
+            cooldown: 6,
+            minRange: 3,
+            maxRange: 16,
+            color: 0x66ffaa
+        },
+        {
+            id: 'soulHarvest',
+            name: 'Soul Harvest',
+            phase: 3,
+            shape: 'circle',
+            at: 'self',
+            radius: 7,
+            windUp: 28,
+            active: 6,
+            recovery: 16,
+            damage: 40,
+            heavy: true,
+            cooldown: 12,
+            maxRange: 7,
+            color: 0x330000
+        },
+        {
+            id: 'deathMarch',
+            name: 'Death March',
+            phase: 2,
+            shape: 'line',
+            length: 10,
+            width: 2.5,
+            lunge: true,
+            windUp: 16,
+            active: 4,
+            recovery: 14,
+            damage: 36,
+            heavy: true,
+            cooldown: 7,
+            minRange: 4,
+            maxRange: 10,
+            color: 0x660000
+        },
+        {
+            id: 'reap',
+            name: 'Reap',
+            phase: 1,
+            shape: 'cone',
+            range: 3.5,
+            angle: Math.PI * 0.8,
+            windUp: 10,
+            active: 3,
+            recovery: 8,
+            damage: 30,
+            cooldown: 2,
+            maxRange: 3.5,
+            color: 0x990000
+        }
+    ]
+};
@@ -0,0 +1,65 @@
+// Reanimated Executioner - slow and heavy. Every swing is telegraphed for a
+// long time, but standing in front of the axe hurts.
+
+export default {
+    id: 'executioner',
+    name: 'Reanimated Executioner',
+    health: 200,
+    moveSpeed: 1.5,
+    engageRange: 2.5,
+    phaseThresholds: [0.7, 0.4, 0.2],
+    summons: {
+        2: [{ type: 0, count: 2 }],
+        3: [{ type: 0, count: 3 }],
+        4: [{ type: 0, count: 2 }, { type: 1, count: 1 }]
+    },
+    moves: [
+        {
+            id: 'whirlwind',
+            name: 'Whirlwind',
+            phase: 3,
+            shape: 'circle',
+            at: 'self',
+            radius: 4,
+            windUp: 16,
+            active: 6,
+            recovery: 14,
+            damage: 26,
+            heavy: true,
+            cooldown: 9,
+            maxRange: 4,
+            color: 0xff3300
+        },
+        {
+            id: 'overheadChop',
+            name: 'Overhead Chop',
+            phase: 2,
+            shape: 'line',
+            length: 5,
+            width: 1.2,
+            windUp: 18,
+            active: 2,
+            recovery: 16,
+            damage: 32,
+            heavy: true,
+            cooldown: 6,
+            maxRange: 5,
+            color: 0xcc0000
+        },
+        {
+            id: 'cleave',
+            name: 'Cleave',
+            phase: 1,
+            shape: 'cone',
+            range: 3,
+            angle: Math.PI * 0.55,
+            windUp: 12,
+            active: 3,
+            recovery: 10,
+            damage: 20,
+            cooldown: 2.5,
+            maxRange: 3,
+            color: 0xff0000
+        }
+    ]
+};
@@ -0,0 +1,81 @@
+// Necrotic Hierophant - zones the room from range with lances and grasping
+// hands, and answers anyone who gets close with a nova.
+
+export default {
+    id: 'hierophant',
+    name: 'Necrotic Hierophant',
+    health: 500,
+    moveSpeed: 1.4,
+    engageRange: 7,
+    phaseThresholds: [0.7, 0.4, 0.2],
+    summons: {
+        2: [{ type: 1, count: 2 }, { type: 0, count: 1 }],
+        3: [{ type: 2, count: 2 }],
+        4: [{ type: 1, count: 2 }, { type: 2, count: 1 }]
+    },
+    moves: [
+        {
+            id: 'deathNova',
+            name: 'Death Nova',
+            phase: 2,
+            shape: 'circle',
+            at: 'self',
+            radius: 6,
+            windUp: 24,
+            active: 4,
+            recovery: 14,
+            damage: 34,
+            heavy: true,
+            cooldown: 10,
+            maxRange: 6,
+            color: 0x9900cc
+        },
+        {
+            id: 'necroticBolts',
+            name: 'Necrotic Bolts',
+            phase: 3,
+            shape: 'projectile',
+            projectile: 'soulBolt',
+            count: 3,
+            spread: Math.PI / 4,
+            windUp: 12,
+            active: 2,
+            recovery: 10,
+            damage: 16,
+            cooldown: 5,
+            minRange: 4,
+            maxRange: 14,
+            color: 0x66ffaa
+        },
+        {
+            id: 'graspingDead',
+            name: 'Grasping Dead',
+            phase: 1,
+            shape: 'circle',
+            at: 'target',
+            radius: 2,
+            windUp: 20,
+            active: 8,
+            recovery: 6,
+            damage: 24,
+            cooldown: 5,
+            maxRange: 14,
+            color: 0x44aa44
+        },
+        {
+            id: 'soulLance',
+            name: 'Soul Lance',
+            phase: 1,
+            shape: 'line',
+            length: 12,
+            width: 1,
+            windUp: 16,
+            active: 3,
+            recovery: 8,
+            damage: 26,
+            cooldown: 4,
+            maxRange: 12,
+            color: 0xaa66ff
+        }
+    ]
+};
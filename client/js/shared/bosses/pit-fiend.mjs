@@ -0,0 +1,85 @@
+// Pit Fiend - fast and aggressive. Quick claws up close, charges across the
+// room at anyone who backs off and leaps onto them in its last phase.
+
+export default {
+    id: 'pitFiend',
+    name: 'Pit Fiend',
+    health: 400,
+    moveSpeed: 2.1,
+    engageRange: 2.5,
+    phaseThresholds: [0.7, 0.4, 0.2],
+    summons: {
+        2: [{ type: 0, count: 3 }],
+        3: [{ type: 2, count: 1 }, { type: 0, count: 2 }],
+        4: [{ type: 2, count: 2 }]
+    },
+    moves: [
+        {
+            id: 'infernalLeap',
+            name: 'Infernal Leap',
+            phase: 3,
+            shape: 'circle',
+            at: 'target',
+            radius: 3,
+            lunge: true,
+            windUp: 18,
+            active: 3,
+            recovery: 14,
+            damage: 36,
+            heavy: true,
+            cooldown: 9,
+            minRange: 3,
+            maxRange: 10,
+            color: 0xff6600
+        },
+        {
+            id: 'hellfireRing',
+            name: 'Hellfire Ring',
+            phase: 2,
+            shape: 'circle',
+            at: 'self',
+            radius: 5,
+            windUp: 20,
+            active: 6,
+            recovery: 12,
+            damage: 30,
+            heavy: true,
+            cooldown: 10,
+            maxRange: 5,
+            color: 0xff4400
+        },
+        {
+            id: 'charge',
+            name: 'Charge',
+            phase: 1,
+            shape: 'line',
+            length: 9,
+            width: 2,
+            lunge: true,
+            windUp: 14,
+            active: 4,
+            recovery: 16,
+            damage: 30,
+            heavy: true,
+            cooldown: 7,
+            minRange: 4,
+            maxRange: 9,
+            color: 0xdd2200
+        },
+        {
+            id: 'claw',
+            name: 'Claw',
+            phase: 1,
+            shape: 'cone',
+            range: 2.8,
+            angle: Math.PI / 2,
+            windUp: 6,
+            active: 2,
+            recovery: 6,
+            damage: 22,
+            cooldown: 1.5,
+            maxRange: 2.8,
+            color: 0xff2200
+        }
+    ]
+};
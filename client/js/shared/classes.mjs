@@ -0,0 +1,121 @@
+// Player classes, shared by the server and client. The server builds player
+// state and weapon validation from these stats; the client uses them for the
+// player's stats, mesh and ability bar. Classes with a projectile shoot it
+// as their basic attack instead of swinging. Abilities are listed in ability
+// bar order, see abilities.mjs.
+
+import { LEVEL_TABLE, getLevelStats } from './progression.mjs';
+
+export const DEFAULT_CLASS = 'warrior';
+
+export const PLAYER_CLASSES = {
+    warrior: {
+        id: 'warrior',
+        name: 'Warrior',
+        description: 'Balanced frontline fighter with wide, heavy swings.',
+        color: 0xaa3333,
+        shape: 'box',
+        stats: {
+            maxHealth: 120,
+            attackDamage: 12,
+            attackRange: 2.5,
+            attackArc: Math.PI / 3,
+            attackSpeed: 1.0,
+            moveSpeed: 5.0
+        },
+        abilities: ['cleave', 'warCry', 'dash']
+    },
+    ranger: {
+        id: 'ranger',
+        name: 'Ranger',
+        description: 'Fast and fragile, strikes from a distance.',
+        color: 0x33aa44,
+        shape: 'cone',
+        stats: {
+            maxHealth: 80,
+            attackDamage: 8,
+            attackRange: 6.0,
+            attackArc: Math.PI / 12,
+            attackSpeed: 1.4,
+            moveSpeed: 5.75
+        },
+        projectile: 'arrow',
+        abilities: ['volley', 'powerShot', 'dash']
+    },
+    cleric: {
+        id: 'cleric',
+        name: 'Cleric',
+        description: 'Keeps the party alive with healing and holy light.',
+        color: 0xe8e0b0,
+        shape: 'cylinder',
+        stats: {
+            maxHealth: 90,
+            attackDamage: 7,
+            attackRange: 2.5,
+            attackArc: Math.PI / 4,
+            attackSpeed: 1.1,
+            moveSpeed: 5.0
+        },
+        abilities: ['heal', 'smite', 'blessing']
+    },
+    warden: {
+        id: 'warden',
+        name: 'Warden',
+        description: 'Slow, armoured protector who draws the boss away.',
+        color: 0x4466aa,
+        shape: 'capsule',
+        stats: {
+            maxHealth: 160,
+            attackDamage: 9,
+            attackRange: 2.0,
+            attackArc: Math.PI / 2.5,
+            attackSpeed: 0.8,
+            moveSpeed: 4.25
+        },
+        abilities: ['shieldWall', 'taunt', 'shieldBash']
+    }
+};
+
+export function isValidClass(classId) {
+    return Object.prototype.hasOwnProperty.call(PLAYER_CLASSES, classId);
+}
+
+export function getClass(classId) {
+    return isValidClass(classId) ? PLAYER_CLASSES[classId] : PLAYER_CLASSES[DEFAULT_CLASS];
+}
+
+/**
+ * Stats of a class at a level. Level-ups add the level table's health and
+ * damage gains to the class's base stats and scale its attack speed.
+ */
+export function getClassStats(classId, level = 1) {
+    const base = getClass(classId).stats;
+    const first = LEVEL_TABLE[0];
+    const row = getLevelStats(level);
+
+    return {
+        ...base,
+        maxHealth: base.maxHealth + row.maxHealth - first.maxHealth,
+        attackDamage: base.attackDamage + row.attackDamage - first.attackDamage,
+        attackSpeed: Math.round(base.attackSpeed * (row.attackSpeed / first.attackSpeed) * 100) / 100
+    };
+}
+
+/**
+ * Find classes picked by more players than the limit allows
+ * @param {Array} classIds - Class of every player in the party
+ * @param {number|null} maxPerClass - Players allowed per class, null for no limit
+ * @returns {Array} Names of the classes over the limit
+ */
+export function findClassLimitViolations(classIds, maxPerClass) {
+    if (!maxPerClass) return [];
+
+    const counts = {};
+    for (const classId of classIds) {
+        counts[classId] = (counts[classId] || 0) + 1;
+    }
+
+    return Object.keys(counts)
+        .filter(classId => counts[classId] > maxPerClass)
+        .map(classId => getClass(classId).name);
+}
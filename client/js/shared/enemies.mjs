@@ -0,0 +1,142 @@
+// Enemy types and spawning, shared by the server and client. Enemies come in
+// the waves of combat rooms, see getCombatWaves(), and as the adds bosses
+// summon on phase changes, see getSummonWave() in bosses.mjs. The server
+// creates them in multiplayer and owns their ids and health; the solo client
+// creates them the same way.
+
+export const ENEMY_TYPES = [
+    {
+        id: 'ghoul',
+        name: 'Ghoul',
+        health: 50,
+        moveSpeed: 2.0,
+        attackDamage: 5,
+        attackRange: 1.5,
+        attackSpeed: 0.8 // Attacks per second
+    },
+    {
+        id: 'cultist',
+        name: 'Cultist',
+        health: 75,
+        moveSpeed: 2.5,
+        attackDamage: 8,
+        attackRange: 1.5,
+        attackSpeed: 1.0
+    },
+    {
+        id: 'wraith',
+        name: 'Wraith',
+        health: 100,
+        moveSpeed: 3.0,
+        attackDamage: 11,
+        attackRange: 1.5,
+        attackSpeed: 1.2
+    }
+];
+
+// Combat room waves
+const BASE_WAVE_COUNT = 2;
+const MAX_WAVE_COUNT = 4;
+const BASE_WAVE_BUDGET = 3; // Spent on enemies, each costs its type + 1
+const PARTY_MEMBER_BUDGET = 0.5; // Extra budget per player after the first, as a fraction
+const WAVE_BUDGET_GROWTH = 0.25; // Each wave of a room is this much bigger than the last
+const MAX_WAVE_SIZE = 8; // One enemy per spawn point
+
+// Seconds between clearing a wave and the next one spawning
+export const WAVE_INTERVAL = 3;
+
+// Difficulty each enemy type starts showing up in combat rooms at
+const ENEMY_TYPE_DIFFICULTY = [0, 3, 6];
+
+// Along the walls of a plain square room, ordered so consecutive spawns are
+// spread around it. Rooms with a layout use its spawnPoints instead.
+export const SPAWN_POINTS = [
+    { x: -8, y: 1, z: -8 },
+    { x: 8, y: 1, z: 8 },
+    { x: 8, y: 1, z: -8 },
+    { x: -8, y: 1, z: 8 },
+    { x: 0, y: 1, z: -8 },
+    { x: 0, y: 1, z: 8 },
+    { x: -8, y: 1, z: 0 },
+    { x: 8, y: 1, z: 0 }
+];
+
+export function getEnemyType(type) {
+    const index = Math.max(0, Math.min(type || 0, ENEMY_TYPES.length - 1));
+    return ENEMY_TYPES[index];
+}
+
+export function getSpawnPoint(index, spawnPoints = SPAWN_POINTS) {
+    return spawnPoints[index % spawnPoints.length];
+}
+
+export function createEnemy(id, type, position) {
+    const stats = getEnemyType(type);
+
+    return {
+        id,
+        type: type || 0,
+        name: stats.name,
+        health: stats.health,
+        maxHealth: stats.health,
+        position: { x: position.x, y: position.y, z: position.z }
+    };
+}
+
+/**
+ * Enemies for a wave, one spawn point each
+ * @param {Array} wave - [{ type, count }]
+ * @param {string} roomId - Room the enemies spawn in, part of their ids
+ * @param {number} firstIndex - Enemies already spawned in the room, keeps ids unique
+ * @param {Array} spawnPoints - The room layout's spawn points
+ * @returns {Array} Enemy data, see createEnemy()
+ */
+export function createWave(wave, roomId, firstIndex = 0, spawnPoints = SPAWN_POINTS) {
+    const enemies = [];
+
+    for (const group of wave) {
+        for (let i = 0; i < group.count; i++) {
+            const index = firstIndex + enemies.length;
+            enemies.push(createEnemy(`enemy-${roomId}-${index}`, group.type, getSpawnPoint(index, spawnPoints)));
+        }
+    }
+
+    return enemies;
+}
+
+/**
+ * Waves of a combat room, more and tougher enemies the deeper the room and
+ * the bigger the party
+ * @param {number} difficulty - Room difficulty, its depth in the run
+ * @param {number} partySize - Players in the party
+ * @returns {Array} Waves, each [{ type, count }] for createWave()
+ */
+export function getCombatWaves(difficulty, partySize = 1) {
+    const waveCount = Math.min(BASE_WAVE_COUNT + Math.floor(difficulty / 4), MAX_WAVE_COUNT);
+    const partyScale = 1 + PARTY_MEMBER_BUDGET * (Math.max(1, partySize) - 1);
+    const maxType = ENEMY_TYPE_DIFFICULTY.filter(minDifficulty => difficulty >= minDifficulty).length - 1;
+    const waves = [];
+
+    for (let i = 0; i < waveCount; i++) {
+        let budget = Math.round((BASE_WAVE_BUDGET + difficulty) * partyScale * (1 + WAVE_BUDGET_GROWTH * i));
+        const counts = new Array(maxType + 1).fill(0);
+
+        // Cycle from the toughest type down for a mix, but upgrade enemies
+        // when the budget wouldn't fit in the spawn points otherwise
+        let cycle = maxType;
+        for (let slot = 0; slot < MAX_WAVE_SIZE && budget > 0; slot++) {
+            const needed = Math.ceil(budget / (MAX_WAVE_SIZE - slot)) - 1;
+            const type = Math.min(Math.max(cycle, needed), maxType, budget - 1);
+
+            counts[type]++;
+            budget -= type + 1;
+            cycle = cycle > 0 ? cycle - 1 : maxType;
+        }
+
+        waves.push(counts
+            .map((count, countType) => ({ type: countType, count }))
+            .filter(group => group.count > 0));
+    }
+
+    return waves;
+}
@@ -0,0 +1,491 @@
+// Room layouts, shared by the server and client. The server generates a
+// layout for every room from its seed and sends it in the room payload, so
+// all clients build the same walls and colliders from it; the server keeps
+// its AI and players inside it with keepInLayout().
+//
+// A layout is built on a grid of TILE_SIZE tiles: floor rectangles are
+// unioned and walls run along every edge between floor and empty tiles, so
+// chambers joined by short corridors get doorways for free.
+//
+// Layout fields, all in world units on the ground plane:
+//   shape       - 'box', 'lShape', 'cross', 'chambers' or 'arena' (boss rooms)
+//   floors      - [{ minX, maxX, minZ, maxZ }] walkable rectangles
+//   walls       - [{ x, z, width, depth }] wall boxes, centred
+//   pillars     - [{ x, z, radius }] full height columns
+//   cover       - [{ x, z, width, depth }] low blocks to hide behind
+//   playerSpawn - { x, z } where players enter
+//   bossSpawn   - { x, z } where the boss starts
+//   spawnPoints - [{ x, y, z }] enemy spawns, spread out and away from players
+//   bounds      - { minX, maxX, minZ, maxZ } around all floors
+
+import { createRandom, deriveSeed, randomInt } from './random.mjs';
+
+export const TILE_SIZE = 2;
+export const WALL_HEIGHT = 5;
+export const WALL_THICKNESS = 0.5;
+export const PILLAR_HEIGHT = 4;
+export const PILLAR_RADIUS = 0.5;
+export const COVER_HEIGHT = 1.2;
+
+const ENEMY_SPAWN_HEIGHT = 1; // Enemy meshes float 1 unit above the ground
+const MAX_SPAWN_POINTS = 8;
+const SPAWN_EDGE_MARGIN = 1.5; // Enemy spawns keep off the walls
+const MIN_SPAWN_DISTANCE = 6; // Enemy spawns keep away from where players enter
+const OBSTACLE_EDGE_MARGIN = 2; // Pillars and cover keep off the walls
+const OBSTACLE_CLEARANCE = 3; // And away from spawns and each other
+const COMBAT_SHAPES = ['box', 'lShape', 'cross', 'chambers'];
+
+function distance(a, b) {
+    return Math.sqrt((a.x - b.x) ** 2 + (a.z - b.z) ** 2);
+}
+
+// Rectangles below are in tiles, { x0, z0, x1, z1 } with exclusive ends
+
+function rect(x0, z0, width, depth) {
+    return { x0, z0, x1: x0 + width, z1: z0 + depth };
+}
+
+function rectCenter(r) {
+    return { x: (r.x0 + r.x1) / 2 * TILE_SIZE, z: (r.z0 + r.z1) / 2 * TILE_SIZE };
+}
+
+function boxRects(random) {
+    const width = randomInt(random, 8, 11);
+    const depth = randomInt(random, 8, 11);
+    const room = rect(0, 0, width, depth);
+
+    return { rooms: [room], corridors: [], entrance: room };
+}
+
+function lShapeRects(random) {
+    // Long arm along x, a second arm hanging off its far end
+    const armLength = randomInt(random, 10, 13);
+    const armWidth = randomInt(random, 4, 6);
+    const legWidth = randomInt(random, 4, 6);
+    const legLength = randomInt(random, 5, 8);
+    const arm = rect(0, 0, armLength, armWidth);
+    const leg = rect(armLength - legWidth, armWidth, legWidth, legLength);
+
+    return { rooms: [arm, leg], corridors: [], entrance: arm };
+}
+
+function crossRects(random) {
+    const size = randomInt(random, 5, 7);
+    const armLength = randomInt(random, 3, 5);
+    const armWidth = Math.max(3, size - 2);
+    const offset = Math.floor((size - armWidth) / 2);
+    const center = rect(0, 0, size, size);
+
+    return {
+        rooms: [
+            center,
+            rect(offset, -armLength, armWidth, armLength),
+            rect(offset, size, armWidth, armLength),
+            rect(-armLength, offset, armLength, armWidth),
+            rect(size, offset, armLength, armWidth)
+        ],
+        corridors: [],
+        entrance: center
+    };
+}
+
+function chamberRects(random) {
+    // Chambers in a row, each joined to the next by a doorway corridor
+    const count = randomInt(random, 2, 3);
+    const rooms = [];
+    const corridors = [];
+    let x = 0;
+
+    for (let i = 0; i < count; i++) {
+        const width = randomInt(random, 5, 7);
+        const depth = randomInt(random, 5, 8);
+        rooms.push(rect(x, -Math.floor(depth / 2), width, depth));
+        x += width;
+
+        if (i < count - 1) {
+            corridors.push(rect(x, -1, 1, 2));
+            x += 1;
+        }
+    }
+
+    return { rooms, corridors, entrance: rooms[0] };
+}
+
+function arenaRects() {
+    // Open square like the original boss room, moves are tuned for it
+    const room = rect(0, 0, 10, 10);
+    return { rooms: [room], corridors: [], entrance: room };
+}
+
+// Turn and mirror the whole plan, then centre it on the origin
+function orientRects(plan, random) {
+    const swap = random() < 0.5;
+    const flipX = random() < 0.5;
+    const flipZ = random() < 0.5;
+
+    const transform = (r) => {
+        let { x0, z0, x1, z1 } = swap ? { x0: r.z0, z0: r.x0, x1: r.z1, z1: r.x1 } : r;
+        if (flipX) [x0, x1] = [-x1, -x0];
+        if (flipZ) [z0, z1] = [-z1, -z0];
+        return { x0, z0, x1, z1 };
+    };
+
+    const rooms = plan.rooms.map(transform);
+    const corridors = plan.corridors.map(transform);
+    const entrance = rooms[plan.rooms.indexOf(plan.entrance)];
+    const all = rooms.concat(corridors);
+
+    const minX = Math.min(...all.map(r => r.x0));
+    const maxX = Math.max(...all.map(r => r.x1));
+    const minZ = Math.min(...all.map(r => r.z0));
+    const maxZ = Math.max(...all.map(r => r.z1));
+    const shiftX = -Math.floor((minX + maxX) / 2);
+    const shiftZ = -Math.floor((minZ + maxZ) / 2);
+    const shift = (r) => ({ x0: r.x0 + shiftX, z0: r.z0 + shiftZ, x1: r.x1 + shiftX, z1: r.z1 + shiftZ });
+
+    return {
+        rooms: rooms.map(shift),
+        corridors: corridors.map(shift),
+        entrance: shift(entrance)
+    };
+}
+
+function toFloor(r) {
+    return {
+        minX: r.x0 * TILE_SIZE,
+        maxX: r.x1 * TILE_SIZE,
+        minZ: r.z0 * TILE_SIZE,
+        maxZ: r.z1 * TILE_SIZE
+    };
+}
+
+// Walls along every edge between a floor tile and an empty one, merged into runs
+function buildWalls(rects) {
+    const tiles = new Set();
+    for (const r of rects) {
+        for (let x = r.x0; x < r.x1; x++) {
+            for (let z = r.z0; z < r.z1; z++) {
+                tiles.add(`${x},${z}`);
+            }
+        }
+    }
+
+    // Edge line -> tiles along it that need a wall, for each direction
+    const edges = { north: {}, south: {}, west: {}, east: {} };
+    const addEdge = (side, line, tile) => {
+        (edges[side][line] = edges[side][line] || []).push(tile);
+    };
+
+    for (const key of tiles) {
+        const [x, z] = key.split(',').map(Number);
+        if (!tiles.has(`${x},${z - 1}`)) addEdge('north', z, x);
+        if (!tiles.has(`${x},${z + 1}`)) addEdge('south', z + 1, x);
+        if (!tiles.has(`${x - 1},${z}`)) addEdge('west', x, z);
+        if (!tiles.has(`${x + 1},${z}`)) addEdge('east', x + 1, z);
+    }
+
+    const walls = [];
+    const outward = { north: -1, south: 1, west: -1, east: 1 };
+    const inward = { north: 0, south: -1, west: 0, east: -1 }; // From edge line to its tile
+
+    for (const side of Object.keys(edges)) {
+        const alongX = side === 'north' || side === 'south';
+
+        for (const line of Object.keys(edges[side])) {
+            const run = edges[side][line].sort((a, b) => a - b);
+            const row = Number(line) + inward[side];
+            const isFloor = (t) => tiles.has(alongX ? `${t},${row}` : `${row},${t}`);
+            let start = 0;
+
+            for (let i = 1; i <= run.length; i++) {
+                if (i < run.length && run[i] === run[i - 1] + 1) continue;
+
+                // Tiles run[start]..run[i - 1]. Ends overlap the next wall at
+                // outside corners; at inside corners they'd poke into the floor.
+                const from = run[start] * TILE_SIZE - (isFloor(run[start] - 1) ? 0 : WALL_THICKNESS);
+                const to = (run[i - 1] + 1) * TILE_SIZE + (isFloor(run[i - 1] + 1) ? 0 : WALL_THICKNESS);
+                const center = (from + to) / 2;
+                const length = to - from;
+                const offset = Number(line) * TILE_SIZE + outward[side] * WALL_THICKNESS / 2;
+
+                walls.push(alongX
+                    ? { x: center, z: offset, width: length, depth: WALL_THICKNESS }
+                    : { x: offset, z: center, width: WALL_THICKNESS, depth: length });
+                start = i;
+            }
+        }
+    }
+
+    return walls;
+}
+
+// Farthest point sampling: each spawn as far as possible from the players and earlier spawns
+function pickSpawnPoints(floors, playerSpawn) {
+    const candidates = [];
+
+    for (const floor of floors) {
+        const minX = floor.minX + SPAWN_EDGE_MARGIN;
+        const maxX = floor.maxX - SPAWN_EDGE_MARGIN;
+        const minZ = floor.minZ + SPAWN_EDGE_MARGIN;
+        const maxZ = floor.maxZ - SPAWN_EDGE_MARGIN;
+        if (minX > maxX || minZ > maxZ) continue;
+
+        const midX = (minX + maxX) / 2;
+        const midZ = (minZ + maxZ) / 2;
+        for (const x of [minX, midX, maxX]) {
+            for (const z of [minZ, midZ, maxZ]) {
+                candidates.push({ x, z });
+            }
+        }
+    }
+
+    let pool = candidates.filter(point => distance(point, playerSpawn) >= MIN_SPAWN_DISTANCE);
+    if (pool.length === 0) pool = candidates;
+
+    const points = [];
+    while (points.length < MAX_SPAWN_POINTS && pool.length > 0) {
+        let best = 0;
+        let bestDistance = -1;
+
+        for (let i = 0; i < pool.length; i++) {
+            const nearest = Math.min(
+                distance(pool[i], playerSpawn),
+                ...points.map(point => distance(pool[i], point))
+            );
+            if (nearest > bestDistance) {
+                bestDistance = nearest;
+                best = i;
+            }
+        }
+
+        points.push(pool.splice(best, 1)[0]);
+    }
+
+    return points.map(point => ({ x: point.x, y: ENEMY_SPAWN_HEIGHT, z: point.z }));
+}
+
+// Tile corners inside the chambers, away from walls and doorways
+function obstacleCandidates(roomRects, corridorRects) {
+    const candidates = [];
+    const margin = Math.ceil(OBSTACLE_EDGE_MARGIN / TILE_SIZE);
+
+    for (const r of roomRects) {
+        for (let x = r.x0 + margin; x <= r.x1 - margin; x++) {
+            for (let z = r.z0 + margin; z <= r.z1 - margin; z++) {
+                candidates.push({ x: x * TILE_SIZE, z: z * TILE_SIZE });
+            }
+        }
+    }
+
+    const doorways = corridorRects.map(toFloor);
+    return candidates.filter(point => !doorways.some(door =>
+        point.x > door.minX - OBSTACLE_CLEARANCE && point.x < door.maxX + OBSTACLE_CLEARANCE &&
+        point.z > door.minZ - OBSTACLE_CLEARANCE && point.z < door.maxZ + OBSTACLE_CLEARANCE));
+}
+
+function placeObstacles(random, candidates, keepClear, count) {
+    const placed = [];
+    const pool = candidates.slice();
+
+    while (placed.length < count && pool.length > 0) {
+        const point = pool.splice(Math.floor(random() * pool.length), 1)[0];
+        const blocked = keepClear.concat(placed).some(other => distance(point, other) < OBSTACLE_CLEARANCE);
+        if (!blocked) {
+            placed.push(point);
+        }
+    }
+
+    return placed;
+}
+
+/**
+ * Generate the layout of a room
+ * @param {number} seed - Room seed, the same seed always gives the same layout
+ * @param {Object} options - { isBossRoom }
+ * @returns {Object} Layout, see the top of this file
+ */
+export function generateLayout(seed, options = {}) {
+    const random = createRandom(deriveSeed(seed, 'layout'));
+    const shape = options.isBossRoom
+        ? 'arena'
+        : COMBAT_SHAPES[Math.floor(random() * COMBAT_SHAPES.length)];
+
+    const builders = { box: boxRects, lShape: lShapeRects, cross: crossRects, chambers: chamberRects, arena: arenaRects };
+    const plan = orientRects(builders[shape](random), random);
+    const allRects = plan.rooms.concat(plan.corridors);
+    const floors = allRects.map(toFloor);
+
+    // Boss rooms: boss in the middle, players enter at the south wall
+    const entrance = rectCenter(plan.entrance);
+    const bossSpawn = { x: entrance.x, z: entrance.z };
+    const playerSpawn = options.isBossRoom
+        ? { x: entrance.x, z: plan.entrance.z1 * TILE_SIZE - 3 }
+        : entrance;
+
+    const spawnPoints = pickSpawnPoints(floors, playerSpawn);
+
+    // Obstacles keep clear of everywhere something spawns
+    const keepClear = [playerSpawn, ...spawnPoints];
+    if (options.isBossRoom) {
+        keepClear.push(bossSpawn);
+    }
+
+    const candidates = obstacleCandidates(plan.rooms, plan.corridors);
+    let pillarPoints;
+    if (options.isBossRoom) {
+        // Symmetric pillars around the boss
+        const offset = randomInt(random, 2, 3) * TILE_SIZE;
+        pillarPoints = [[-1, -1], [1, -1], [-1, 1], [1, 1]]
+            .map(([sx, sz]) => ({ x: bossSpawn.x + sx * offset, z: bossSpawn.z + sz * offset }));
+    } else {
+        pillarPoints = placeObstacles(random, candidates, keepClear, randomInt(random, 2, 5));
+    }
+    const coverPoints = options.isBossRoom
+        ? []
+        : placeObstacles(random, candidates, keepClear.concat(pillarPoints), randomInt(random, 1, 4));
+
+    return {
+        shape,
+        floors,
+        walls: buildWalls(allRects),
+        pillars: pillarPoints.map(point => ({ x: point.x, z: point.z, radius: PILLAR_RADIUS })),
+        cover: coverPoints.map(point => random() < 0.5
+            ? { x: point.x, z: point.z, width: 2, depth: 0.8 }
+            : { x: point.x, z: point.z, width: 0.8, depth: 2 }),
+        playerSpawn,
+        bossSpawn,
+        spawnPoints,
+        bounds: {
+            minX: Math.min(...floors.map(floor => floor.minX)),
+            maxX: Math.max(...floors.map(floor => floor.maxX)),
+            minZ: Math.min(...floors.map(floor => floor.minZ)),
+            maxZ: Math.max(...floors.map(floor => floor.maxZ))
+        }
+    };
+}
+
+// Whether a point is on one of the floors, edges included
+function onFloor(layout, x, z) {
+    return layout.floors.some(floor =>
+        x >= floor.minX && x <= floor.maxX && z >= floor.minZ && z <= floor.maxZ);
+}
+
+/**
+ * Keep something of the given radius on the floor and out of walls, pillars
+ * and cover. Used for AI targets and movement on both server and client.
+ * @param {Object} layout - Room layout
+ * @param {Object} position - {x, z}, updated in place
+ * @param {number} radius - Distance to keep from walls and obstacles
+ * @returns {Object} The position
+ */
+export function keepInLayout(layout, position, radius = 0) {
+    // The floors are one walkable area, so only bring the position back if
+    // it's off all of them, to the closest floor rectangle shrunk by the radius
+    if (!onFloor(layout, position.x, position.z)) {
+        let bestX = position.x;
+        let bestZ = position.z;
+        let bestDistance = Infinity;
+
+        for (const floor of layout.floors) {
+            const minX = Math.min(floor.minX + radius, (floor.minX + floor.maxX) / 2);
+            const maxX = Math.max(floor.maxX - radius, (floor.minX + floor.maxX) / 2);
+            const minZ = Math.min(floor.minZ + radius, (floor.minZ + floor.maxZ) / 2);
+            const maxZ = Math.max(floor.maxZ - radius, (floor.minZ + floor.maxZ) / 2);
+            const x = Math.max(minX, Math.min(maxX, position.x));
+            const z = Math.max(minZ, Math.min(maxZ, position.z));
+            const d = (x - position.x) ** 2 + (z - position.z) ** 2;
+
+            if (d < bestDistance) {
+                bestDistance = d;
+                bestX = x;
+                bestZ = z;
+            }
+        }
+
+        position.x = bestX;
+        position.z = bestZ;
+    }
+
+    // Push out of walls, away from the closest point on each. Walls only
+    // run where a floor meets nothing, so where floors meet stays open.
+    for (const wall of layout.walls) {
+        const halfWidth = wall.width / 2;
+        const halfDepth = wall.depth / 2;
+        const closestX = Math.max(wall.x - halfWidth, Math.min(wall.x + halfWidth, position.x));
+        const closestZ = Math.max(wall.z - halfDepth, Math.min(wall.z + halfDepth, position.z));
+        const dx = position.x - closestX;
+        const dz = position.z - closestZ;
+        const d = Math.sqrt(dx * dx + dz * dz);
+
+        if (d >= radius) continue;
+
+        if (d > 0) {
+            position.x = closestX + dx * radius / d;
+            position.z = closestZ + dz * radius / d;
+        } else {
+            // On the wall's face, out the shallowest side
+            const offsetX = position.x - wall.x;
+            const offsetZ = position.z - wall.z;
+            const overlapX = halfWidth + radius - Math.abs(offsetX);
+            const overlapZ = halfDepth + radius - Math.abs(offsetZ);
+
+            if (overlapX < overlapZ) {
+                position.x += offsetX < 0 ? -overlapX : overlapX;
+            } else {
+                position.z += offsetZ < 0 ? -overlapZ : overlapZ;
+            }
+        }
+    }
+
+    // Push out of pillars
+    for (const pillar of layout.pillars) {
+        const dx = position.x - pillar.x;
+        const dz = position.z - pillar.z;
+        const reach = pillar.radius + radius;
+        const d = Math.sqrt(dx * dx + dz * dz);
+
+        if (d < reach) {
+            const scale = d > 0 ? reach / d : 0;
+            position.x = d > 0 ? pillar.x + dx * scale : pillar.x + reach;
+            position.z = d > 0 ? pillar.z + dz * scale : pillar.z;
+        }
+    }
+
+    // Push out of cover along the shallowest side
+    for (const block of layout.cover) {
+        const dx = position.x - block.x;
+        const dz = position.z - block.z;
+        const overlapX = block.width / 2 + radius - Math.abs(dx);
+        const overlapZ = block.depth / 2 + radius - Math.abs(dz);
+
+        if (overlapX > 0 && overlapZ > 0) {
+            if (overlapX < overlapZ) {
+                position.x += dx < 0 ? -overlapX : overlapX;
+            } else {
+                position.z += dz < 0 ? -overlapZ : overlapZ;
+            }
+        }
+    }
+
+    return position;
+}
+
+/**
+ * Whether a point is stopped by the room: off the floor, in a pillar, or in
+ * cover below its top. Projectiles stop when they reach one.
+ * @param {Object} layout - Room layout
+ * @param {Object} position - {x, y, z}
+ * @returns {boolean}
+ */
+export function isBlocked(layout, position) {
+    const { x, y, z } = position;
+
+    if (!onFloor(layout, x, z)) return true;
+
+    if (layout.pillars.some(pillar => (x - pillar.x) ** 2 + (z - pillar.z) ** 2 < pillar.radius ** 2)) {
+        return true;
+    }
+
+    return y < COVER_HEIGHT && layout.cover.some(block =>
+        Math.abs(x - block.x) < block.width / 2 && Math.abs(z - block.z) < block.depth / 2);
+}
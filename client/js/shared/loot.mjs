@@ -0,0 +1,173 @@
+// Loot tables and seeded drop rolls, shared by the server and solo play.
+// Rolling the same source in the same room always gives the same drops, so a
+// room's loot can be reproduced from its seed.
+
+import { keepInLayout } from './layouts.mjs';
+import { createRandom, deriveSeed } from './random.mjs';
+
+const LOOT_BOUNDS = 9.0; // Keep drops inside the walls of a room without a layout
+const LOOT_RADIUS = 0.5; // And this far from walls, pillars and cover in one with
+const LOOT_HEIGHT = 0.5;
+
+// Enemy drops by room tier - Math.floor(difficulty / 3), same as the room types
+export const ENEMY_LOOT_TABLES = [
+    {
+        dropChance: 0.3,
+        rolls: 1,
+        entries: [
+            { type: 'health', weight: 4, min: 10, max: 20 },
+            { type: 'maxHealth', weight: 1, min: 5, max: 5 }
+        ]
+    },
+    {
+        dropChance: 0.35,
+        rolls: 1,
+        entries: [
+            { type: 'health', weight: 4, min: 15, max: 25 },
+            { type: 'maxHealth', weight: 1, min: 5, max: 10 }
+        ]
+    },
+    {
+        dropChance: 0.4,
+        rolls: 1,
+        entries: [
+            { type: 'health', weight: 3, min: 20, max: 30 },
+            { type: 'maxHealth', weight: 1, min: 10, max: 10 }
+        ]
+    },
+    {
+        dropChance: 0.45,
+        rolls: 2,
+        entries: [
+            { type: 'health', weight: 3, min: 20, max: 35 },
+            { type: 'maxHealth', weight: 1, min: 10, max: 15 }
+        ]
+    },
+    {
+        dropChance: 0.5,
+        rolls: 2,
+        entries: [
+            { type: 'health', weight: 3, min: 25, max: 40 },
+            { type: 'maxHealth', weight: 1, min: 10, max: 20 }
+        ]
+    }
+];
+
+// Boss drops by boss type - bosses always drop
+export const BOSS_LOOT_TABLES = [
+    {
+        dropChance: 1,
+        rolls: 2,
+        entries: [
+            { type: 'health', weight: 3, min: 25, max: 40 },
+            { type: 'maxHealth', weight: 2, min: 10, max: 15 }
+        ]
+    },
+    {
+        dropChance: 1,
+        rolls: 3,
+        entries: [
+            { type: 'health', weight: 3, min: 30, max: 45 },
+            { type: 'maxHealth', weight: 2, min: 10, max: 20 }
+        ]
+    },
+    {
+        dropChance: 1,
+        rolls: 3,
+        entries: [
+            { type: 'health', weight: 3, min: 35, max: 50 },
+            { type: 'maxHealth', weight: 2, min: 15, max: 20 }
+        ]
+    },
+    {
+        dropChance: 1,
+        rolls: 4,
+        entries: [
+            { type: 'health', weight: 3, min: 40, max: 60 },
+            { type: 'maxHealth', weight: 2, min: 15, max: 25 }
+        ]
+    },
+    {
+        dropChance: 1,
+        rolls: 5,
+        entries: [
+            { type: 'health', weight: 3, min: 50, max: 75 },
+            { type: 'maxHealth', weight: 2, min: 20, max: 30 }
+        ]
+    }
+];
+
+function pickWeighted(entries, random) {
+    const totalWeight = entries.reduce((sum, entry) => sum + entry.weight, 0);
+    let roll = random() * totalWeight;
+
+    for (const entry of entries) {
+        roll -= entry.weight;
+        if (roll < 0) return entry;
+    }
+
+    return entries[entries.length - 1];
+}
+
+function clampToRoom(position, layout) {
+    if (layout) {
+        return keepInLayout(layout, position, LOOT_RADIUS);
+    }
+
+    position.x = Math.max(-LOOT_BOUNDS, Math.min(LOOT_BOUNDS, position.x));
+    position.z = Math.max(-LOOT_BOUNDS, Math.min(LOOT_BOUNDS, position.z));
+    return position;
+}
+
+/**
+ * Roll the drops for a defeated boss or enemy
+ * @param {Object} options
+ * @param {number|string} options.seed - Seed of the room the source died in
+ * @param {string} options.sourceId - Id of the boss or enemy, unique within the room
+ * @param {string} options.source - 'boss' or 'enemy'
+ * @param {number} options.difficulty - Room difficulty
+ * @param {number} options.bossType - Boss type, for boss drops
+ * @param {Object} options.position - Where the source died, {x, y, z}
+ * @param {Object} options.layout - Layout of the room, drops stay inside it
+ * @returns {Array} Loot items: { id, type, value, position }
+ */
+export function rollLoot({ seed, sourceId, source, difficulty = 0, bossType = 0, position, layout = null }) {
+    const random = createRandom(deriveSeed(seed, sourceId));
+
+    const table = source === 'boss'
+        ? BOSS_LOOT_TABLES[Math.min(bossType, BOSS_LOOT_TABLES.length - 1)]
+        : ENEMY_LOOT_TABLES[Math.min(Math.floor(difficulty / 3), ENEMY_LOOT_TABLES.length - 1)];
+
+    if (random() >= table.dropChance) return [];
+
+    // Values grow a little with every room on top of the table tier
+    const scale = 1 + difficulty * 0.05;
+    const origin = position || { x: 0, y: 0, z: 0 };
+    const loot = [];
+
+    for (let i = 0; i < table.rolls; i++) {
+        const entry = pickWeighted(table.entries, random);
+        const value = Math.round((entry.min + (entry.max - entry.min) * random()) * scale);
+
+        // Scatter multiple drops around where the source fell
+        const angle = random() * Math.PI * 2;
+        const distance = table.rolls > 1 ? 0.75 + random() * 1.25 : 0;
+        const drop = clampToRoom({
+            x: origin.x + Math.cos(angle) * distance,
+            z: origin.z + Math.sin(angle) * distance
+        }, layout);
+
+        loot.push({
+            id: `loot-${sourceId}-${i}`,
+            type: entry.type,
+            value,
+            position: {
+                x: drop.x,
+                y: LOOT_HEIGHT,
+                z: drop.z
+            }
+        });
+    }
+
+    return loot;
+}
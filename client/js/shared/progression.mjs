@@ -0,0 +1,69 @@
+// Experience and level table, shared by the server and solo play.
+// Each row lists the total XP needed to reach the level and the stats it
+// grants. classes.mjs adds the gains on top of each class's base stats.
+
+export const LEVEL_TABLE = [
+    { level: 1, xp: 0, maxHealth: 100, attackDamage: 10, attackSpeed: 1.0 },
+    { level: 2, xp: 100, maxHealth: 110, attackDamage: 11, attackSpeed: 1.05 },
+    { level: 3, xp: 250, maxHealth: 120, attackDamage: 12, attackSpeed: 1.1 },
+    { level: 4, xp: 450, maxHealth: 135, attackDamage: 14, attackSpeed: 1.15 },
+    { level: 5, xp: 700, maxHealth: 150, attackDamage: 15, attackSpeed: 1.2 },
+    { level: 6, xp: 1000, maxHealth: 165, attackDamage: 17, attackSpeed: 1.25 },
+    { level: 7, xp: 1400, maxHealth: 180, attackDamage: 19, attackSpeed: 1.3 },
+    { level: 8, xp: 1900, maxHealth: 200, attackDamage: 21, attackSpeed: 1.35 },
+    { level: 9, xp: 2500, maxHealth: 220, attackDamage: 23, attackSpeed: 1.4 },
+    { level: 10, xp: 3200, maxHealth: 250, attackDamage: 25, attackSpeed: 1.5 }
+];
+
+export const MAX_LEVEL = LEVEL_TABLE.length;
+
+// XP for a kill before difficulty scaling
+const ENEMY_BASE_XP = 10;
+const ENEMY_XP_PER_TYPE = 5;
+const BOSS_BASE_XP = 50;
+const BOSS_XP_PER_TYPE = 25;
+
+export function getLevelStats(level) {
+    return LEVEL_TABLE[Math.max(1, Math.min(level, MAX_LEVEL)) - 1];
+}
+
+/**
+ * XP every party member gets for a kill
+ * @param {string} source - 'boss' or 'enemy'
+ * @param {Object} options - { difficulty, type } of the room and the defeated boss or enemy
+ */
+export function getKillExperience(source, { difficulty = 0, type = 0 } = {}) {
+    const base = source === 'boss'
+        ? BOSS_BASE_XP + type * BOSS_XP_PER_TYPE
+        : ENEMY_BASE_XP + type * ENEMY_XP_PER_TYPE;
+
+    return Math.round(base * (1 + difficulty * 0.1));
+}
+
+/**
+ * Add XP to a player and apply any level-ups. Max health grows by the
+ * table's difference, so bonuses from loot are kept, and living players
+ * are healed by the same amount.
+ * @param {Object} progress - { level, xp, maxHealth, health }, updated in place
+ * @param {number} amount - XP gained
+ * @returns {Object|null} Table row of the new level, or null if the level didn't change
+ */
+export function gainExperience(progress, amount) {
+    progress.xp += amount;
+
+    const previous = getLevelStats(progress.level);
+    while (progress.level < MAX_LEVEL && progress.xp >= LEVEL_TABLE[progress.level].xp) {
+        progress.level++;
+    }
+
+    if (progress.level === previous.level) return null;
+
+    const reached = getLevelStats(progress.level);
+    const healthGain = reached.maxHealth - previous.maxHealth;
+    progress.maxHealth += healthGain;
+    if (progress.health > 0) {
+        progress.health += healthGain;
+    }
+
+    return reached;
+}
@@ -0,0 +1,94 @@
+// Projectile types and flight, shared by the server and client. The server
+// steps projectiles with the same function as the client so a shot lands in
+// the same place on both, and only the server decides hits in multiplayer.
+
+import { isBlocked } from './layouts.mjs';
+
+const ROOM_BOUNDS = 10; // Walls of a room without a layout
+
+// Spawn point relative to the shooter's position, so shots leave in front of it
+const MUZZLE_OFFSET = 0.6;
+const MUZZLE_DROP = 0.3;
+
+export const PROJECTILE_TYPES = {
+    arrow: {
+        id: 'arrow',
+        speed: 24, // Units per second
+        lifetime: 1.2, // Seconds before the projectile disappears
+        gravity: 2, // Downward acceleration, units per second squared
+        pierce: 1, // Extra targets it passes through before stopping
+        radius: 0.2,
+        color: 0xddcc88,
+        shape: 'arrow'
+    },
+    bloodBolt: {
+        id: 'bloodBolt',
+        speed: 10,
+        lifetime: 2.5,
+        gravity: 0,
+        pierce: 0,
+        radius: 0.35,
+        color: 0xaa0022,
+        shape: 'orb'
+    },
+    soulBolt: {
+        id: 'soulBolt',
+        speed: 13,
+        lifetime: 2,
+        gravity: 0,
+        pierce: 0,
+        radius: 0.3,
+        color: 0x66ffaa,
+        shape: 'orb'
+    }
+};
+
+export function isValidProjectileType(typeId) {
+    return Object.prototype.hasOwnProperty.call(PROJECTILE_TYPES, typeId);
+}
+
+export function getProjectileType(typeId) {
+    return isValidProjectileType(typeId) ? PROJECTILE_TYPES[typeId] : PROJECTILE_TYPES.arrow;
+}
+
+/**
+ * Where a shot starts
+ * @param {Object} position - Shooter position, {x, y, z}
+ * @param {Object} direction - Normalized aim direction, {x, y, z}
+ * @returns {Object} {x, y, z}
+ */
+export function getProjectileOrigin(position, direction) {
+    return {
+        x: position.x + direction.x * MUZZLE_OFFSET,
+        y: position.y + direction.y * MUZZLE_OFFSET - MUZZLE_DROP,
+        z: position.z + direction.z * MUZZLE_OFFSET
+    };
+}
+
+/**
+ * Advance a projectile by one step. Works on plain objects and THREE.Vector3
+ * alike since it only touches x, y and z.
+ * @param {Object} projectile - { position, velocity, age }, updated in place
+ * @param {Object} type - Entry of PROJECTILE_TYPES
+ * @param {number} delta - Seconds
+ * @param {Object} layout - Room layout, walls, pillars and cover stop the projectile
+ * @returns {boolean} Whether the projectile is still flying
+ */
+export function stepProjectile(projectile, type, delta, layout = null) {
+    projectile.age += delta;
+    projectile.velocity.y -= type.gravity * delta;
+
+    projectile.position.x += projectile.velocity.x * delta;
+    projectile.position.y += projectile.velocity.y * delta;
+    projectile.position.z += projectile.velocity.z * delta;
+
+    const { x, y, z } = projectile.position;
+
+    if (projectile.age >= type.lifetime || y <= 0) return false;
+
+    if (layout) {
+        return !isBlocked(layout, projectile.position);
+    }
+
+    return Math.abs(x) < ROOM_BOUNDS && Math.abs(z) < ROOM_BOUNDS;
+}
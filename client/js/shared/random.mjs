@@ -0,0 +1,73 @@
+// Seedable random numbers, shared by the server and client. Anything that
+// affects gameplay draws from a generator seeded from the run, so every
+// client and the server make the same rolls: the server picks a run seed and
+// sends it at gameStarted, room seeds are derived from it, and each system
+// takes its own named stream of a room seed (its layout, props, loot, boss)
+// so adding rolls to one doesn't shift the others.
+
+// FNV-1a, turns a string into a 32-bit integer
+export function hashString(text) {
+    let hash = 2166136261;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Seed for a named part of something seeded, e.g. deriveSeed(runSeed, 'room', 3)
+ * @param {number|string} seed - Parent seed
+ * @param {...(number|string)} names - Names of the part
+ * @returns {number} 32-bit seed
+ */
+export function deriveSeed(seed, ...names) {
+    return hashString([seed, ...names].join(':'));
+}
+
+/**
+ * Small, fast seeded generator (mulberry32)
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} Returns floats in [0, 1), like Math.random
+ */
+export function createRandom(seed) {
+    let state = seed >>> 0;
+
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Named generators of one seed. Asking for the same name again continues
+ * the same stream.
+ * @param {number} seed - 32-bit seed
+ * @returns {Object} { seed, get(name) }
+ */
+export function createStreams(seed) {
+    const streams = new Map();
+
+    return {
+        seed,
+        get(name) {
+            if (!streams.has(name)) {
+                streams.set(name, createRandom(deriveSeed(seed, name)));
+            }
+            return streams.get(name);
+        }
+    };
+}
+
+// Integer in [min, max]
+export function randomInt(random, min, max) {
+    return min + Math.floor(random() * (max - min + 1));
+}
+
+// 32-bit integer, for seeding something new from a stream
+export function randomSeed(random) {
+    return Math.floor(random() * 0x100000000);
+}
@@ -0,0 +1,12 @@
+// Downed and revive rules, shared by the server and client. A player whose
+// health reaches 0 goes down instead of dying while a teammate can still
+// revive them; the server runs the timers and the client shows them.
+
+export const BLEED_OUT_TIME = 20; // Seconds a downed player lasts without help
+export const REVIVE_TIME = 3; // Seconds a teammate must hold interact
+export const REVIVE_RANGE = 2.5; // How close the reviver has to stay
+export const REVIVE_HEALTH = 0.3; // Fraction of max health a revived player gets back
+
+export function getReviveHealth(maxHealth) {
+    return Math.max(1, Math.round(maxHealth * REVIVE_HEALTH));
+}
@@ -0,0 +1,85 @@
+// The rooms of a run, shared by the server and solo play. Both generate each
+// room with generateRoom() from the run seed, so a solo run goes through the
+// same sequence as a party: two combat rooms, then a boss arena, with every
+// boss arena bringing the next boss until the run ends with the last one.
+
+import { BOSS_MOVE_SETS } from './bosses.mjs';
+import { getCombatWaves } from './enemies.mjs';
+import { generateLayout } from './layouts.mjs';
+import { deriveSeed } from './random.mjs';
+
+export const ROOM_TYPES = [
+    { name: 'Dungeon Cell', difficulty: 1 },
+    { name: 'Torture Chamber', difficulty: 2 },
+    { name: 'Crypt', difficulty: 3 },
+    { name: 'Summoning Room', difficulty: 4 },
+    { name: 'Throne Room', difficulty: 5 }
+];
+
+// Every third room is a boss arena, the rooms before it are combat rooms
+export const BOSS_ROOM_INTERVAL = 3;
+
+// The run is over once the last boss is dead
+export const RUN_LENGTH = BOSS_MOVE_SETS.length * BOSS_ROOM_INTERVAL;
+
+// Time to pick up loot between clearing a room and moving to the next, in ms
+export const ROOM_ADVANCE_DELAY = 10000;
+
+export function isBossDepth(difficulty) {
+    return (difficulty + 1) % BOSS_ROOM_INTERVAL === 0;
+}
+
+export function isFinalRoom(difficulty) {
+    return difficulty >= RUN_LENGTH - 1;
+}
+
+/**
+ * Generate a room of the run. Waves of combat rooms are sized for the party
+ * at the time the room is generated.
+ * @param {number} difficulty - Depth of the room in the run, from 0
+ * @param {number} partySize - Players in the party
+ * @param {number} runSeed - Seed of the run, see shared/random
+ * @returns {Object} Room data, as sent to clients
+ */
+export function generateRoom(difficulty, partySize, runSeed) {
+    const roomType = ROOM_TYPES[Math.min(Math.floor(difficulty / 3), ROOM_TYPES.length - 1)];
+
+    // Drives the layout, props, loot rolls and boss decisions
+    const seed = deriveSeed(runSeed, 'room', difficulty);
+
+    // Clients build the room's walls and colliders from this
+    const layout = generateLayout(seed, { isBossRoom: isBossDepth(difficulty) });
+
+    let boss = null;
+    let waves = [];
+
+    if (isBossDepth(difficulty)) {
+        // Each boss room brings the next boss
+        const bossIndex = Math.min(Math.floor(difficulty / BOSS_ROOM_INTERVAL), BOSS_MOVE_SETS.length - 1);
+        const moveSet = BOSS_MOVE_SETS[bossIndex];
+        boss = {
+            name: moveSet.name,
+            health: moveSet.health,
+            maxHealth: moveSet.health,
+            id: `boss-${difficulty}`,
+            type: bossIndex,
+            position: { x: layout.bossSpawn.x, y: 1, z: layout.bossSpawn.z }
+        };
+    } else {
+        waves = getCombatWaves(difficulty, partySize);
+    }
+
+    return {
+        id: `room-${difficulty}`,
+        type: roomType.name,
+        difficulty,
+        seed,
+        layout,
+        isBossRoom: boss !== null,
+        enemies: [], // Living enemies, spawned by the server or the solo game
+        waves, // Enemy waves of a combat room, spawned one after another
+        wavesSpawned: 0,
+        boss,
+        loot: []
+    };
+}
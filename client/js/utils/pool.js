@@ -0,0 +1,34 @@
+// Pool - Keeps released objects around for reuse so short-lived entities
+// (projectiles, effects) don't allocate new meshes every time
+export default class Pool {
+    constructor(create, maxSize = 64) {
+        this.create = create; // Factory for new objects when the pool is empty
+        this.maxSize = maxSize; // Released objects beyond this are disposed
+        this.free = [];
+    }
+
+    acquire() {
+        return this.free.length > 0 ? this.free.pop() : this.create();
+    }
+
+    release(object) {
+        if (this.free.length < this.maxSize) {
+            this.free.push(object);
+        } else if (object.dispose) {
+            object.dispose();
+        }
+    }
+
+    get available() {
+        return this.free.length;
+    }
+
+    clear() {
+        for (const object of this.free) {
+            if (object.dispose) {
+                object.dispose();
+            }
+        }
+        this.free = [];
+    }
+}
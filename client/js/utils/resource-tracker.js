@@ -0,0 +1,70 @@
+// ResourceTracker - Remembers the objects something adds to the scene so they
+// can all be taken out again, and their geometries, materials and textures
+// freed on the GPU, in one go
+export default class ResourceTracker {
+    constructor(scene) {
+        this.scene = scene;
+        this.objects = new Set();
+    }
+
+    // Add an object to the scene and track it
+    add(object) {
+        this.scene.add(object);
+        return this.track(object);
+    }
+
+    // Track an object that is already in the scene, or will be added elsewhere
+    track(object) {
+        this.objects.add(object);
+        return object;
+    }
+
+    get size() {
+        return this.objects.size;
+    }
+
+    // Remove every tracked object and free what it used. Geometries and
+    // materials shared between objects are only disposed once.
+    dispose() {
+        const resources = new Set();
+
+        for (const object of this.objects) {
+            if (object.parent) {
+                object.parent.remove(object);
+            }
+
+            object.traverse(child => collectResources(child, resources));
+        }
+
+        for (const resource of resources) {
+            resource.dispose();
+        }
+
+        this.objects.clear();
+    }
+}
+
+function collectResources(object, resources) {
+    if (object.geometry) {
+        resources.add(object.geometry);
+    }
+
+    const materials = Array.isArray(object.material) ? object.material : [object.material];
+    for (const material of materials) {
+        if (!material) continue;
+
+        resources.add(material);
+
+        // Maps, normal maps and the rest
+        for (const value of Object.values(material)) {
+            if (value && value.isTexture) {
+                resources.add(value);
+            }
+        }
+    }
+
+    // Lights with shadows hold a shadow map
+    if (object.isLight) {
+        resources.add(object);
+    }
+}
@@ -0,0 +1,201 @@
+// SpatialHash - Uniform grid over the ground plane for the collision
+// broadphase, so colliders are only tested against others in the same cells.
+// Static colliders (walls, pillars, props) are hashed once when the room is
+// built; dynamic ones are cleared and inserted again every step. Nothing is
+// allocated per step once the grid has warmed up.
+
+const DEFAULT_CELL_SIZE = 4; // World units, a few times the size of an enemy
+
+// Cell coordinates packed into one number, fine for 32k cells either way
+const KEY_OFFSET = 32768;
+
+function cellKey(cellX, cellZ) {
+    return (cellX + KEY_OFFSET) * 65536 + (cellZ + KEY_OFFSET);
+}
+
+export default class SpatialHash {
+    constructor(cellSize = DEFAULT_CELL_SIZE) {
+        this.cellSize = cellSize;
+
+        this.staticCells = new Map(); // Cell key to the static entries in it
+        this.staticColliders = new Set();
+
+        // Cell arrays and entries are kept between steps and reused
+        this.dynamicCells = new Map();
+        this.usedKeys = []; // Dynamic cells filled this step
+        this.dynamicEntries = [];
+        this.dynamicCount = 0;
+    }
+
+    // Hash a collider that never moves, until clearStatic()
+    addStatic(collider) {
+        const entry = this.setEntry(createEntry(), collider, -1);
+
+        for (let cellX = entry.minX; cellX <= entry.maxX; cellX++) {
+            for (let cellZ = entry.minZ; cellZ <= entry.maxZ; cellZ++) {
+                const key = cellKey(cellX, cellZ);
+                let cell = this.staticCells.get(key);
+                if (!cell) {
+                    cell = [];
+                    this.staticCells.set(key, cell);
+                }
+                cell.push(entry);
+            }
+        }
+
+        this.staticColliders.add(collider);
+    }
+
+    isStatic(collider) {
+        return this.staticColliders.has(collider);
+    }
+
+    clearStatic() {
+        this.staticCells.clear();
+        this.staticColliders.clear();
+    }
+
+    // Forget last step's dynamic colliders, call before inserting them again
+    clearDynamic() {
+        for (let i = 0; i < this.usedKeys.length; i++) {
+            this.dynamicCells.get(this.usedKeys[i]).length = 0;
+        }
+        this.usedKeys.length = 0;
+        this.dynamicCount = 0;
+    }
+
+    // Add a moving collider for this step
+    insert(collider) {
+        let entry = this.dynamicEntries[this.dynamicCount];
+        if (!entry) {
+            entry = createEntry();
+            this.dynamicEntries.push(entry);
+        }
+        this.setEntry(entry, collider, this.dynamicCount);
+        this.dynamicCount++;
+
+        for (let cellX = entry.minX; cellX <= entry.maxX; cellX++) {
+            for (let cellZ = entry.minZ; cellZ <= entry.maxZ; cellZ++) {
+                const key = cellKey(cellX, cellZ);
+                let cell = this.dynamicCells.get(key);
+                if (!cell) {
+                    cell = [];
+                    this.dynamicCells.set(key, cell);
+                }
+                if (cell.length === 0) {
+                    this.usedKeys.push(key);
+                }
+                cell.push(entry);
+            }
+        }
+    }
+
+    /**
+     * Call back once for every pair of colliders that share a cell, with at
+     * least one of them dynamic. Pairs sharing several cells are only
+     * reported from the first of them.
+     * @param {Function} callback - Receives (dynamicCollider, otherCollider)
+     */
+    forEachPair(callback) {
+        for (let i = 0; i < this.dynamicCount; i++) {
+            const entry = this.dynamicEntries[i];
+
+            for (let cellX = entry.minX; cellX <= entry.maxX; cellX++) {
+                for (let cellZ = entry.minZ; cellZ <= entry.maxZ; cellZ++) {
+                    const key = cellKey(cellX, cellZ);
+
+                    const statics = this.staticCells.get(key);
+                    if (statics) {
+                        for (let j = 0; j < statics.length; j++) {
+                            if (isFirstSharedCell(entry, statics[j], cellX, cellZ)) {
+                                callback(entry.collider, statics[j].collider);
+                            }
+                        }
+                    }
+
+                    // Dynamic pairs come up from both sides, take the later one
+                    const dynamics = this.dynamicCells.get(key);
+                    for (let j = 0; j < dynamics.length; j++) {
+                        const other = dynamics[j];
+                        if (other.index > entry.index && isFirstSharedCell(entry, other, cellX, cellZ)) {
+                            callback(entry.collider, other.collider);
+                        }
+                    }
+                }
+            }
+        }
+    }
+
+    // Point an entry at a collider and the cells its bounds cover
+    setEntry(entry, collider, index) {
+        const size = this.cellSize;
+        entry.collider = collider;
+        entry.index = index;
+
+        if (collider.type === 'sphere') {
+            const { x, z } = collider.position;
+            entry.minX = Math.floor((x - collider.radius) / size);
+            entry.maxX = Math.floor((x + collider.radius) / size);
+            entry.minZ = Math.floor((z - collider.radius) / size);
+            entry.maxZ = Math.floor((z + collider.radius) / size);
+        } else {
+            entry.minX = Math.floor(collider.min.x / size);
+            entry.maxX = Math.floor(collider.max.x / size);
+            entry.minZ = Math.floor(collider.min.z / size);
+            entry.maxZ = Math.floor(collider.max.z / size);
+        }
+
+        return entry;
+    }
+}
+
+function createEntry() {
+    return { collider: null, index: 0, minX: 0, maxX: 0, minZ: 0, maxZ: 0 };
+}
+
+// The first cell two entries share is the low corner of their overlap
+function isFirstSharedCell(a, b, cellX, cellZ) {
+    return cellX === Math.max(a.minX, b.minX) && cellZ === Math.max(a.minZ, b.minZ);
+}
+
+/**
+ * Narrowphase for sphere and box colliders, without allocating
+ * @param {Object} a - Collider, { type: 'sphere', position, radius } or { type: 'box', min, max }
+ * @param {Object} b - Collider
+ * @returns {boolean} Whether the two overlap
+ */
+export function testCollision(a, b) {
+    // Sphere-Sphere collision
+    if (a.type === 'sphere' && b.type === 'sphere') {
+        const dx = a.position.x - b.position.x;
+        const dy = a.position.y - b.position.y;
+        const dz = a.position.z - b.position.z;
+        const radius = a.radius + b.radius;
+
+        return dx * dx + dy * dy + dz * dz < radius * radius;
+    }
+
+    // Box-Box collision (AABB)
+    if (a.type === 'box' && b.type === 'box') {
+        return (
+            a.min.x <= b.max.x && a.max.x >= b.min.x &&
+            a.min.y <= b.max.y && a.max.y >= b.min.y &&
+            a.min.z <= b.max.z && a.max.z >= b.min.z
+        );
+    }
+
+    // Sphere-Box collision, against the closest point on the box
+    if (a.type === 'sphere' || b.type === 'sphere') {
+        const sphere = a.type === 'sphere' ? a : b;
+        const box = a.type === 'sphere' ? b : a;
+        const { x, y, z } = sphere.position;
+
+        const dx = Math.max(box.min.x, Math.min(x, box.max.x)) - x;
+        const dy = Math.max(box.min.y, Math.min(y, box.max.y)) - y;
+        const dz = Math.max(box.min.z, Math.min(z, box.max.z)) - z;
+
+        return dx * dx + dy * dy + dz * dz < sphere.radius * sphere.radius;
+    }
+
+    return false;
+}
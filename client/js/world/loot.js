@@ -0,0 +1,74 @@
+import * as THREE from 'three';
+
+// Look of each loot type
+const LOOT_STYLES = {
+    health: { color: 0x33ff66, emissive: 0x116622 },
+    maxHealth: { color: 0xffcc33, emissive: 0x664400 }
+};
+
+// LootPickup - A dropped item floating in the room until a player walks into it
+export default class LootPickup {
+    constructor(lootData, game) {
+        this.id = lootData.id;
+        this.type = lootData.type;
+        this.value = lootData.value;
+        this.game = game;
+        this.mesh = null;
+        this.collider = null;
+
+        // Set when a pickup request has been sent to the server
+        this.requestedAt = 0;
+
+        // Bobbing animation
+        this.baseHeight = lootData.position.y;
+        this.elapsed = Math.random() * Math.PI * 2;
+
+        this.createMesh(lootData.position);
+    }
+
+    createMesh(position) {
+        const style = LOOT_STYLES[this.type] || LOOT_STYLES.health;
+
+        const geometry = new THREE.OctahedronGeometry(0.3);
+        const material = new THREE.MeshLambertMaterial({
+            color: style.color,
+            emissive: style.emissive
+        });
+
+        this.mesh = new THREE.Mesh(geometry, material);
+        this.mesh.position.set(position.x, position.y, position.z);
+        this.mesh.castShadow = true;
+
+        // Raised sphere so players (collider at eye height) touch it when walking over it
+        this.collider = {
+            type: 'sphere',
+            entity: this,
+            position: new THREE.Vector3(position.x, 1.0, position.z),
+            radius: 0.8,
+            active: true,
+            group: 'pickup'
+        };
+
+        return this.mesh;
+    }
+
+    update(delta) {
+        if (!this.mesh) return;
+
+        // Spin and bob so pickups stand out
+        this.elapsed += delta;
+        this.mesh.rotation.y += delta * 2;
+        this.mesh.position.y = this.baseHeight + Math.sin(this.elapsed * 3) * 0.15;
+    }
+
+    remove() {
+        if (this.collider) {
+            this.collider.active = false;
+        }
+
+        if (this.mesh) {
+            this.mesh.geometry.dispose();
+            this.mesh.material.dispose();
+        }
+    }
+}
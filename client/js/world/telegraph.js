@@ -0,0 +1,130 @@
+import * as THREE from 'three';
+
+const OUTLINE_OPACITY = 0.25;
+const FILL_OPACITY = 0.45;
+const GROUND_OFFSET = 0.05; // Just above the floor so decals don't flicker
+
+/**
+ * Flat geometry covering a move area, see getMoveArea() in shared/bosses.
+ * Built around the area's origin facing +Z, place it at (area.x, area.z)
+ * and turn it by area.yaw.
+ * @param {Object} area - { shape, radius | range, angle | length, width }
+ * @returns {THREE.BufferGeometry|null} null for shapes without an area
+ */
+export function createAreaGeometry(area) {
+    let geometry;
+    switch (area.shape) {
+        case 'circle':
+            geometry = new THREE.CircleGeometry(area.radius, 32);
+            geometry.rotateX(-Math.PI / 2);
+            break;
+        case 'cone':
+            // Sector centred on +Y, turned to point down +Z like the boss
+            geometry = new THREE.CircleGeometry(area.range, 24, Math.PI / 2 - area.angle / 2, area.angle);
+            geometry.rotateX(Math.PI / 2);
+            break;
+        case 'line':
+            geometry = new THREE.PlaneGeometry(area.width, area.length);
+            geometry.rotateX(-Math.PI / 2);
+            geometry.translate(0, 0, area.length / 2);
+            break;
+        default:
+            return null;
+    }
+
+    return geometry;
+}
+
+// Telegraph - Ground decal for a boss move winding up. Shows the exact area
+// it will hit, filling in from the boss until the move lands.
+export default class Telegraph {
+    constructor(telegraphData, color) {
+        this.id = telegraphData.id;
+        this.bossId = telegraphData.bossId;
+        this.duration = Math.max(telegraphData.duration, 0.001);
+        this.elapsed = 0;
+        this.mesh = new THREE.Group();
+        this.fills = [];
+
+        for (const area of telegraphData.areas) {
+            this.addArea(area, color);
+        }
+    }
+
+    addArea(area, color) {
+        const geometry = createAreaGeometry(area);
+        if (!geometry) return;
+
+        const decal = new THREE.Group();
+        decal.position.set(area.x, GROUND_OFFSET, area.z);
+        decal.rotation.y = area.yaw;
+
+        // Full outline of the area, the fill grows inside it
+        const outline = new THREE.Mesh(geometry, this.createMaterial(color, OUTLINE_OPACITY));
+        const fill = new THREE.Mesh(geometry, this.createMaterial(color, FILL_OPACITY));
+        fill.position.y = 0.01;
+
+        decal.add(outline);
+        decal.add(fill);
+        this.mesh.add(decal);
+
+        // Circles and cones grow outward from their origin, lines along their length
+        this.fills.push({ mesh: fill, shape: area.shape });
+        this.setFill(this.fills[this.fills.length - 1], 0);
+    }
+
+    createMaterial(color, opacity) {
+        return new THREE.MeshBasicMaterial({
+            color: color,
+            transparent: true,
+            opacity: opacity,
+            side: THREE.DoubleSide,
+            depthWrite: false
+        });
+    }
+
+    setFill(fill, progress) {
+        // Never scale to zero, three.js can't invert a degenerate matrix
+        const scale = Math.max(progress, 0.001);
+
+        if (fill.shape === 'line') {
+            fill.mesh.scale.set(1, 1, scale);
+        } else {
+            fill.mesh.scale.set(scale, 1, scale);
+        }
+    }
+
+    get progress() {
+        return Math.min(1, this.elapsed / this.duration);
+    }
+
+    // The move has landed
+    get expired() {
+        return this.elapsed >= this.duration;
+    }
+
+    update(delta) {
+        this.elapsed += delta;
+
+        const progress = this.progress;
+        for (const fill of this.fills) {
+            this.setFill(fill, progress);
+        }
+    }
+
+    remove() {
+        if (this.mesh.parent) {
+            this.mesh.parent.remove(this.mesh);
+        }
+
+        // Outline and fill share a geometry
+        this.mesh.traverse(object => {
+            if (object.isMesh) {
+                object.material.dispose();
+            }
+        });
+        for (const fill of this.fills) {
+            fill.mesh.geometry.dispose();
+        }
+    }
+}
@@ -0,0 +1,327 @@
+/**
+ * ServerBoss - Authoritative boss AI for a party's current room
+ *
+ * Mirrors the behaviour of client/js/entities/boss.js (targeting, movement,
+ * phases and attacks) using plain {x, y, z} objects so it can run in Node
+ * without three.js. Attacks are the moves of the boss type's move set in
+ * client/js/shared/bosses, run with the same helpers as the client, and
+ * phase changes can summon adds. Clients only render the snapshots it
+ * produces.
+ */
+
+const BOSS_RADIUS = 1.5; // Matches the client collider, keeps the boss off walls and pillars
+const TARGET_SWITCH_INTERVAL = 5; // Seconds between target decisions
+const TARGET_SWITCH_CHANCE = 0.2; // Chance to pick a random target instead of closest
+const PHASE_TRANSITION_DURATION = 1.0; // Matches the client flash effect (5 x 0.2s)
+
+function horizontalDistance(a, b) {
+  const dx = b.x - a.x;
+  const dz = b.z - a.z;
+  return Math.sqrt(dx * dx + dz * dz);
+}
+
+class ServerBoss {
+  // bossRules: client/js/shared/bosses.mjs, loaded by the server at startup
+  // keepInRoom: (position, radius) keeps a position inside the room layout
+  // random: the room's seeded 'boss' stream, see client/js/shared/random.mjs
+  constructor(bossData, bossRules, keepInRoom, random) {
+    // Room boss data is shared with the party state so health stays in one place
+    this.data = bossData;
+    this.id = bossData.id;
+    this.type = bossData.type || 0;
+    this.rules = bossRules;
+    this.keepInRoom = keepInRoom;
+    this.random = random;
+    this.moveSet = bossRules.getMoveSet(this.type);
+
+    const start = bossData.position || {};
+    this.position = { x: start.x || 0, y: start.y || 1.5, z: start.z || 0 };
+    this.rotation = { y: 0 };
+    this.targetPosition = { x: this.position.x, y: this.position.y, z: this.position.z };
+    this.targetId = null;
+    this.targetSwitchTimer = 0;
+    this.tauntTargetId = null;
+    this.tauntTimer = 0;
+    this.lastPathfindTime = 0;
+    this.pathfindInterval = 1.0;
+
+    if (!bossData.maxHealth) {
+      bossData.maxHealth = bossData.health;
+    }
+
+    // Phase tracking. The phase lives on the room's boss data, so a boss
+    // taken over again after everyone dropped doesn't re-summon earlier adds
+    this.phase = bossData.phase || 1;
+    bossData.phase = this.phase;
+
+    // Attacks come from the boss type's move set
+    this.moveSpeed = bossRules.getMoveSpeed(this.moveSet, this.phase);
+    this.moveState = bossRules.createMoveState();
+
+    this.phaseThresholds = this.moveSet.phaseThresholds;
+    this.phaseTransitionTimer = 0;
+
+    this.animationState = 'idle';
+
+    // Callbacks for attacks and summons, set by the party simulation
+    this.onTelegraph = null;
+    this.onAttack = null;
+    this.onRangedAttack = null;
+    this.onSummon = null;
+  }
+
+  get health() {
+    return this.data.health;
+  }
+
+  get isDead() {
+    return this.data.health <= 0;
+  }
+
+  // players: [{ id, position }] of living players with a known position
+  update(delta, players) {
+    if (this.isDead) return;
+
+    this.rules.tickCooldowns(this.moveState.cooldowns, delta);
+
+    // Taunts wear off while the boss is busy too
+    if (this.tauntTimer > 0) {
+      this.tauntTimer -= delta;
+    }
+
+    // A move plays out before anything else happens
+    if (this.moveState.move) {
+      this.updateMove(delta, players);
+      return;
+    }
+
+    this.checkPhase();
+
+    // Boss holds still while transitioning between phases
+    if (this.phaseTransitionTimer > 0) {
+      this.phaseTransitionTimer -= delta;
+      if (this.phaseTransitionTimer <= 0) {
+        this.powerUpForNewPhase();
+      }
+      return;
+    }
+
+    if (players.length === 0) {
+      this.animationState = 'idle';
+      return;
+    }
+
+    this.findTarget(delta, players);
+    this.updatePathfinding(delta);
+    this.updateMovement(delta);
+    this.attemptMove(players);
+  }
+
+  checkPhase() {
+    const healthPercent = this.data.health / this.data.maxHealth;
+
+    if (this.phase <= this.phaseThresholds.length &&
+        healthPercent <= this.phaseThresholds[this.phase - 1] &&
+        this.phaseTransitionTimer <= 0) {
+      this.phase++;
+      this.data.phase = this.phase;
+      this.phaseTransitionTimer = PHASE_TRANSITION_DURATION;
+      this.animationState = 'phaseTransition';
+      this.summonAdds();
+    }
+  }
+
+  // Call in the wave of adds for the phase just entered, if there is one
+  summonAdds() {
+    const wave = this.rules.getSummonWave(this.moveSet, this.phase);
+    if (wave.length === 0 || !this.onSummon) return;
+
+    this.onSummon({ bossId: this.id, phase: this.phase, wave });
+  }
+
+  powerUpForNewPhase() {
+    this.moveSpeed = this.rules.getMoveSpeed(this.moveSet, this.phase);
+  }
+
+  // Chase a player for a while regardless of distance, see the taunt ability
+  taunt(playerId, duration) {
+    this.tauntTargetId = playerId;
+    this.tauntTimer = duration;
+    this.targetId = playerId;
+  }
+
+  findTarget(delta, players) {
+    this.targetSwitchTimer -= delta;
+
+    if (this.tauntTimer > 0) {
+      const taunter = players.find(p => p.id === this.tauntTargetId);
+      if (taunter) {
+        this.targetId = taunter.id;
+        this.targetPosition.x = taunter.position.x;
+        this.targetPosition.y = taunter.position.y;
+        this.targetPosition.z = taunter.position.z;
+        return;
+      }
+    }
+
+    let target = players.find(p => p.id === this.targetId);
+
+    // Periodically decide between the closest player and a random one
+    if (!target || this.targetSwitchTimer <= 0) {
+      this.targetSwitchTimer = TARGET_SWITCH_INTERVAL;
+
+      if (this.random() < TARGET_SWITCH_CHANCE) {
+        target = players[Math.floor(this.random() * players.length)];
+      } else {
+        target = this.findClosestPlayer(players);
+      }
+
+      this.targetId = target.id;
+    }
+
+    this.targetPosition.x = target.position.x;
+    this.targetPosition.y = target.position.y;
+    this.targetPosition.z = target.position.z;
+  }
+
+  findClosestPlayer(players) {
+    let closestPlayer = null;
+    let closestDistance = Infinity;
+
+    for (const player of players) {
+      const distance = horizontalDistance(this.position, player.position);
+      if (distance < closestDistance) {
+        closestDistance = distance;
+        closestPlayer = player;
+      }
+    }
+
+    return closestPlayer;
+  }
+
+  updatePathfinding(delta) {
+    this.lastPathfindTime += delta;
+
+    if (this.lastPathfindTime >= this.pathfindInterval) {
+      this.lastPathfindTime = 0;
+      this.keepInRoom(this.targetPosition, BOSS_RADIUS);
+    }
+  }
+
+  updateMovement(delta) {
+    const dx = this.targetPosition.x - this.position.x;
+    const dz = this.targetPosition.z - this.position.z;
+    const distance = Math.sqrt(dx * dx + dz * dz);
+
+    if (distance > this.moveSet.engageRange) {
+      let angle = Math.atan2(dx, dz);
+
+      // Add some randomness to movement
+      if (this.random() >= 0.7) {
+        angle += (this.random() - 0.5) * Math.PI / 4;
+      }
+
+      const step = this.moveSpeed * delta;
+      this.position.x += Math.sin(angle) * step;
+      this.position.z += Math.cos(angle) * step;
+      this.keepInRoom(this.position, BOSS_RADIUS);
+
+      // Face the target, matching Object3D.lookAt for the boss mesh
+      this.rotation.y = Math.atan2(dx, dz);
+      this.animationState = 'running';
+    } else {
+      this.animationState = 'attacking';
+    }
+  }
+
+  // Start the first move the target is in range of
+  attemptMove(players) {
+    const target = players.find(p => p.id === this.targetId);
+    if (!target) return;
+
+    const distance = horizontalDistance(this.position, target.position);
+    const move = this.rules.chooseMove(this.moveSet, this.phase, this.moveState.cooldowns, distance);
+    if (!move) return;
+
+    this.rules.startMove(this.moveState, move, this.position, target.position);
+    this.rotation.y = this.moveState.area.yaw;
+    this.animationState = 'windUp';
+
+    // Show the party where the move will land while there's time to get out
+    if (this.onTelegraph) {
+      this.onTelegraph({
+        bossId: this.id,
+        moveId: move.id,
+        areas: this.rules.getMoveTelegraphAreas(this.moveState),
+        duration: this.rules.getWindUpTime(move)
+      });
+    }
+  }
+
+  updateMove(delta, players) {
+    const state = this.moveState;
+    const move = state.move;
+    const entered = this.rules.advanceMove(state, delta);
+
+    if (entered === 'done') {
+      this.animationState = 'idle';
+      return;
+    }
+
+    this.animationState = state.stage;
+
+    // Everything happens when the wind-up ends
+    if (entered !== 'active') return;
+
+    if (move.lunge) {
+      const end = this.rules.getLungeEnd(state.area);
+      this.position.x = end.x;
+      this.position.z = end.z;
+      this.keepInRoom(this.position, BOSS_RADIUS);
+    }
+
+    if (move.shape === 'projectile') {
+      if (this.onRangedAttack) {
+        this.onRangedAttack({
+          bossId: this.id,
+          moveId: move.id,
+          projectile: move.projectile,
+          damage: this.rules.getMoveDamage(move, this.phase),
+          position: { ...this.position },
+          directions: this.rules.getMoveShotDirections(state)
+        });
+      }
+      return;
+    }
+
+    // Only players still inside the telegraphed area are hit. Sent even
+    // when it misses so every client shows the move.
+    const targets = players
+      .filter(player => this.rules.isInMoveArea(state.area, player.position, this.rules.PLAYER_HIT_PADDING))
+      .map(player => player.id);
+
+    if (this.onAttack) {
+      this.onAttack({
+        bossId: this.id,
+        moveId: move.id,
+        type: move.heavy ? 'special' : 'basic',
+        targets,
+        damage: this.rules.getMoveDamage(move, this.phase),
+        area: state.area
+      });
+    }
+  }
+
+  getSnapshot() {
+    return {
+      id: this.id,
+      position: { ...this.position },
+      rotation: { y: this.rotation.y },
+      phase: this.phase,
+      animationState: this.animationState,
+      moveId: this.moveState.move ? this.moveState.move.id : null
+    };
+  }
+}
+
+module.exports = ServerBoss;
@@ -0,0 +1,98 @@
+/**
+ * Server-side damage pipeline for hits on players
+ *
+ * Every hit the party simulation lands goes through resolvePlayerHit() before
+ * a player's health changes. Hits from one attack source are deduplicated, and
+ * a player is briefly invulnerable after every hit that lands. Shields from
+ * abilities block part of the damage of hits that land.
+ */
+
+// How long a player can't be hit again after a hit, by attack type (ms)
+const INVULNERABILITY_WINDOWS = {
+  basic: 500,
+  special: 1000,
+  enemy: 400,
+  projectile: 300
+};
+
+// A source lands at most one hit of each type within this window (ms).
+// Shorter than the fastest attack cooldown (Enemy type 2, ~830ms).
+const DEDUP_WINDOW = 400;
+
+function createHitState() {
+  return {
+    invulnerableUntil: 0,
+    recentHits: {}, // `${sourceId}:${type}` -> time of the last hit
+    shield: null // { reduction, until } from a shield ability
+  };
+}
+
+// Give a player a shield, keeping a stronger one that lasts longer
+function grantShield(playerState, reduction, until) {
+  if (!playerState.hits) {
+    playerState.hits = createHitState();
+  }
+
+  const current = playerState.hits.shield;
+  if (current && current.reduction > reduction && current.until > until) return;
+
+  playerState.hits.shield = { reduction, until };
+}
+
+/**
+ * Decide whether a hit on a player lands.
+ *
+ * @param {Object} playerState - Server state of the player being hit
+ * @param {Object} hit - { sourceId, type, damage }
+ * @param {number} now - Current time in ms
+ * @returns {{ applied: boolean, reason: string|null, damage: number }}
+ */
+function resolvePlayerHit(playerState, hit, now) {
+  const result = { applied: false, reason: null, damage: 0 };
+
+  if (!playerState || playerState.health <= 0) {
+    return { ...result, reason: 'dead' };
+  }
+
+  if (!Number.isFinite(hit.damage) || hit.damage <= 0) {
+    return { ...result, reason: 'invalid' };
+  }
+
+  if (!playerState.hits) {
+    playerState.hits = createHitState();
+  }
+  const hits = playerState.hits;
+
+  // Forget hits that can no longer be duplicates
+  for (const key in hits.recentHits) {
+    if (now - hits.recentHits[key] > DEDUP_WINDOW) {
+      delete hits.recentHits[key];
+    }
+  }
+
+  // This source already hit with this type of attack
+  const key = `${hit.sourceId}:${hit.type}`;
+  if (hits.recentHits[key] !== undefined) {
+    return { ...result, reason: 'duplicate' };
+  }
+  hits.recentHits[key] = now;
+
+  if (now < hits.invulnerableUntil) {
+    return { ...result, reason: 'invulnerable' };
+  }
+
+  hits.invulnerableUntil = now + (INVULNERABILITY_WINDOWS[hit.type] || INVULNERABILITY_WINDOWS.basic);
+
+  let damage = hit.damage;
+  if (hits.shield && now < hits.shield.until) {
+    damage = Math.round(damage * (1 - hits.shield.reduction));
+  }
+
+  return { applied: true, reason: null, damage };
+}
+
+module.exports = {
+  createHitState,
+  grantShield,
+  resolvePlayerHit
+};
@@ -0,0 +1,119 @@
+/**
+ * ServerEnemy - Authoritative AI for an add in a party's current room
+ *
+ * Mirrors client/js/entities/enemy.js: chase the closest player and swing
+ * at them when in range. Stats come from client/js/shared/enemies.mjs.
+ * Clients only render the snapshots it produces.
+ */
+
+const ENEMY_RADIUS = 0.75; // Matches the client collider, keeps enemies off walls and pillars
+
+function horizontalDistance(a, b) {
+  const dx = b.x - a.x;
+  const dz = b.z - a.z;
+  return Math.sqrt(dx * dx + dz * dz);
+}
+
+class ServerEnemy {
+  // enemyRules: client/js/shared/enemies.mjs, loaded by the server at startup
+  // keepInRoom: (position, radius) keeps a position inside the room layout
+  constructor(enemyData, enemyRules, keepInRoom) {
+    // Room enemy data is shared with the party state so health stays in one place
+    this.data = enemyData;
+    this.id = enemyData.id;
+    this.stats = enemyRules.getEnemyType(enemyData.type);
+    this.keepInRoom = keepInRoom;
+
+    const start = enemyData.position || {};
+    this.position = { x: start.x || 0, y: start.y || 1, z: start.z || 0 };
+    this.rotation = { y: 0 };
+    this.attackCooldown = 0;
+    this.animationState = 'idle';
+
+    // Called with { enemyId, targetId, damage } when a swing lands
+    this.onAttack = null;
+  }
+
+  get isDead() {
+    return this.data.health <= 0;
+  }
+
+  // players: [{ id, position }] of living players with a known position
+  update(delta, players) {
+    if (this.isDead) return;
+
+    if (this.attackCooldown > 0) {
+      this.attackCooldown -= delta;
+    }
+
+    const target = this.findClosestPlayer(players);
+    if (!target) {
+      this.animationState = 'idle';
+      return;
+    }
+
+    this.updateMovement(delta, target.position);
+    this.attemptAttack(target);
+  }
+
+  findClosestPlayer(players) {
+    let closestPlayer = null;
+    let closestDistance = Infinity;
+
+    for (const player of players) {
+      const distance = horizontalDistance(this.position, player.position);
+      if (distance < closestDistance) {
+        closestDistance = distance;
+        closestPlayer = player;
+      }
+    }
+
+    return closestPlayer;
+  }
+
+  updateMovement(delta, targetPosition) {
+    const target = this.keepInRoom({ x: targetPosition.x, z: targetPosition.z }, ENEMY_RADIUS);
+    const dx = target.x - this.position.x;
+    const dz = target.z - this.position.z;
+    const distance = Math.sqrt(dx * dx + dz * dz);
+
+    if (distance > this.stats.attackRange) {
+      const step = Math.min(this.stats.moveSpeed * delta, distance);
+      this.position.x += dx / distance * step;
+      this.position.z += dz / distance * step;
+      this.keepInRoom(this.position, ENEMY_RADIUS);
+
+      // Face the target, matching Object3D.lookAt for the enemy mesh
+      this.rotation.y = Math.atan2(dx, dz);
+      this.animationState = 'running';
+    } else {
+      this.animationState = 'attacking';
+    }
+  }
+
+  attemptAttack(target) {
+    if (this.attackCooldown > 0) return;
+    if (horizontalDistance(this.position, target.position) > this.stats.attackRange) return;
+
+    this.attackCooldown = 1.0 / this.stats.attackSpeed;
+
+    if (this.onAttack) {
+      this.onAttack({
+        enemyId: this.id,
+        targetId: target.id,
+        damage: this.stats.attackDamage
+      });
+    }
+  }
+
+  getSnapshot() {
+    return {
+      id: this.id,
+      position: { ...this.position },
+      rotation: { y: this.rotation.y },
+      animationState: this.animationState
+    };
+  }
+}
+
+module.exports = ServerEnemy;
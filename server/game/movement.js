@@ -0,0 +1,112 @@
+/**
+ * Server-side player movement
+ *
+ * Replays the sequenced movement inputs sent by clients using the same math
+ * as Player.applyMovementInput() in client/js/entities/player.js, so the
+ * server can validate positions and acknowledge them for reconciliation.
+ */
+
+const PLAYER_RADIUS = 0.75; // Player collider, keeps players this far from walls
+const MAX_INPUT_DELTA = 0.25; // Longest frame a single input may cover
+const MAX_INPUT_BUDGET = 1.0; // Seconds of movement a client may bank
+const INPUT_BUDGET_SLACK = 0.1; // Extra seconds to absorb timer jitter
+const POSITION_TOLERANCE = 0.5; // Client results this close to ours need no correction
+
+// Speed multiplier a player may apply to its inputs right now, granted by the dash ability
+function getAllowedBoost(playerState, now) {
+  const boost = playerState.speedBoost;
+  return boost && now <= boost.until ? boost.multiplier : 1;
+}
+
+// Move a position by one input. Matches the client: rotate (moveX, moveZ) by
+// yaw, then keep the result inside the room
+function applyMovementInput(position, input, moveSpeed, keepInRoom) {
+  const velocityX = input.moveX * moveSpeed;
+  const velocityZ = input.moveZ * moveSpeed;
+
+  if (Math.abs(velocityX) <= 0.01 && Math.abs(velocityZ) <= 0.01) return false;
+
+  const cos = Math.cos(input.yaw);
+  const sin = Math.sin(input.yaw);
+
+  position.x += (velocityX * cos + velocityZ * sin) * input.delta;
+  position.z += (-velocityX * sin + velocityZ * cos) * input.delta;
+  keepInRoom(position, PLAYER_RADIUS);
+
+  return true;
+}
+
+function isValidInput(input) {
+  return input != null &&
+    Number.isInteger(input.seq) &&
+    Number.isFinite(input.moveX) &&
+    Number.isFinite(input.moveZ) &&
+    Number.isFinite(input.yaw) &&
+    Number.isFinite(input.delta) &&
+    input.delta >= 0;
+}
+
+/**
+ * Apply a batch of inputs to a player's authoritative position.
+ *
+ * @param {Object} playerState - Server state of the player
+ * @param {Array} inputs - [{ seq, moveX, moveZ, yaw, delta, boost }]
+ * @param {Object|null} reportedPosition - Where the client ended up after these inputs
+ * @param {number} now - Current time in ms
+ * @param {Function} keepInRoom - (position, radius) keeps a position inside the room layout
+ * @returns {boolean} Whether the client's reported position agrees with ours
+ */
+function processMovementInputs(playerState, inputs, reportedPosition, now, keepInRoom) {
+  // Refill the movement budget with the real time that has passed
+  const elapsed = playerState.lastInputTime ? (now - playerState.lastInputTime) / 1000 : 0;
+  playerState.lastInputTime = now;
+  playerState.inputBudget = Math.min(
+    MAX_INPUT_BUDGET,
+    (playerState.inputBudget || 0) + elapsed + INPUT_BUDGET_SLACK
+  );
+
+  const position = playerState.position;
+  const allowedBoost = getAllowedBoost(playerState, now);
+
+  for (const input of inputs) {
+    if (!isValidInput(input) || input.seq <= playerState.lastProcessedInput) continue;
+
+    // Clamp analog values and frame length, then spend the budget
+    const delta = Math.min(input.delta, MAX_INPUT_DELTA, playerState.inputBudget);
+    playerState.inputBudget -= delta;
+
+    // Boosted inputs are only honoured while a dash is active
+    const boost = Number.isFinite(input.boost) ? Math.max(1, Math.min(input.boost, allowedBoost)) : 1;
+
+    applyMovementInput(position, {
+      moveX: Math.max(-1, Math.min(1, input.moveX)),
+      moveZ: Math.max(-1, Math.min(1, input.moveZ)),
+      yaw: input.yaw,
+      delta
+    }, playerState.moveSpeed * boost, keepInRoom);
+
+    playerState.lastProcessedInput = input.seq;
+  }
+
+  // Our position stays the truth. Taking the client's, even when close,
+  // would let every packet add a little movement on top of moveSpeed.
+  if (reportedPosition) {
+    const dx = reportedPosition.x - position.x;
+    const dz = reportedPosition.z - position.z;
+
+    return Math.sqrt(dx * dx + dz * dz) <= POSITION_TOLERANCE;
+  }
+
+  return false;
+}
+
+// Put a player back at the room spawn point, see Player.resetPosition()
+function resetPlayerPosition(playerState, layout) {
+  playerState.position = { x: layout.playerSpawn.x, y: 1.8, z: layout.playerSpawn.z };
+}
+
+module.exports = {
+  applyMovementInput,
+  processMovementInputs,
+  resetPlayerPosition
+};
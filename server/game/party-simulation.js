@@ -0,0 +1,443 @@
+const ServerBoss = require('./boss-simulation');
+const ServerEnemy = require('./enemy-simulation');
+
+const TICK_RATE = 20; // Simulation ticks per second
+const TICK_DELTA = 1 / TICK_RATE;
+
+// Collider radii of the client entities projectiles can hit, centred on their positions
+const HIT_RADII = {
+  boss: 1.5,
+  enemy: 0.75,
+  player: 0.75
+};
+
+// Whether the path from start to end passes within radius of center. A shot
+// moves over a unit per tick, so testing only the end point would tunnel.
+function sweepHits(start, end, center, radius) {
+  const sx = end.x - start.x;
+  const sy = end.y - start.y;
+  const sz = end.z - start.z;
+  const lengthSq = sx * sx + sy * sy + sz * sz;
+
+  // Closest point on the segment to the centre
+  let t = 0;
+  if (lengthSq > 0) {
+    t = ((center.x - start.x) * sx + (center.y - start.y) * sy + (center.z - start.z) * sz) / lengthSq;
+    t = Math.max(0, Math.min(1, t));
+  }
+
+  const dx = start.x + sx * t - center.x;
+  const dy = start.y + sy * t - center.y;
+  const dz = start.z + sz * t - center.z;
+  return dx * dx + dy * dy + dz * dz < radius * radius;
+}
+
+/**
+ * PartySimulation - Fixed-rate simulation loop for a single party
+ *
+ * Owns the boss, the enemies (combat room waves and the adds the boss
+ * summons) and the projectiles of the party's current room and broadcasts
+ * snapshots of the boss and enemies every tick, plus a telegraph whenever
+ * the boss winds up a move. Damage to players is
+ * reported through onPlayerHit and damage from player shots through
+ * onTargetHit, so the server keeps a single code path for each. Also runs
+ * the bleed-out and revive timers of downed players.
+ */
+class PartySimulation {
+  // rules: the client/js/shared modules, loaded by the server at startup
+  constructor(party, emit, rules) {
+    this.party = party;
+    this.emit = emit; // (event, ...args) broadcast to the party room
+    this.rules = rules;
+    this.boss = null;
+    this.enemies = new Map(); // id -> ServerEnemy, for the living enemies of the room
+    this.enemyCount = 0; // Enemies spawned in the room, keeps their ids unique
+    this.waveTimer = 0; // Seconds until the next wave of a combat room
+    this.room = null;
+    this.projectiles = new Map(); // id -> projectile in flight
+    this.projectileCount = 0;
+    this.telegraphCount = 0;
+    this.interval = null;
+    this.tickCount = 0;
+
+    // Callbacks
+    this.onPlayerHit = null;
+    this.onTargetHit = null; // (playerId, targetId, damage) for player shots
+    this.onPlayerBledOut = null; // (playerId) when a downed player runs out of time
+  }
+
+  start() {
+    if (this.interval) return;
+    this.interval = setInterval(() => this.tick(), 1000 / TICK_RATE);
+  }
+
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+    this.boss = null;
+    this.enemies.clear();
+    this.projectiles.clear();
+  }
+
+  get running() {
+    return this.interval !== null;
+  }
+
+  getCurrentRoom() {
+    const state = this.party.state;
+    return state.rooms[state.currentRoom];
+  }
+
+  // Living, connected players that have reported at least one position
+  getLivingPlayers() {
+    const playerStates = this.party.state.playerStates;
+
+    return this.party.players
+      .filter(id => {
+        const playerState = playerStates[id];
+        return playerState && playerState.connected && playerState.health > 0 && playerState.position;
+      })
+      .map(id => ({ id, position: playerStates[id].position }));
+  }
+
+  tick() {
+    this.tickCount++;
+
+    const room = this.getCurrentRoom();
+
+    // Shots from the previous room disappear with it on the clients
+    if (room !== this.room) {
+      this.room = room;
+      this.projectiles.clear();
+      this.enemyCount = room ? room.enemies.length : 0;
+      this.waveTimer = 0;
+    }
+
+    this.updateProjectiles(TICK_DELTA, room);
+    this.updateBoss(room);
+    this.updateWaves(TICK_DELTA, room);
+    this.updateEnemies(room);
+    this.updateDowned(TICK_DELTA);
+  }
+
+  // Whether a player can currently revive someone at the given position
+  canRevive(reviverId, position) {
+    const reviver = this.party.state.playerStates[reviverId];
+    if (!reviver || !reviver.connected || reviver.health <= 0 || !reviver.position || !position) {
+      return false;
+    }
+
+    const dx = reviver.position.x - position.x;
+    const dz = reviver.position.z - position.z;
+    return Math.sqrt(dx * dx + dz * dz) <= this.rules.revive.REVIVE_RANGE;
+  }
+
+  // Revive progress while a teammate holds interact, bleed-out otherwise
+  updateDowned(delta) {
+    const { REVIVE_TIME, getReviveHealth } = this.rules.revive;
+    const playerStates = this.party.state.playerStates;
+
+    for (const playerId of this.party.players) {
+      const playerState = playerStates[playerId];
+      if (!playerState || !playerState.downed) continue;
+
+      const revive = playerState.revive;
+      if (revive && !this.canRevive(revive.reviverId, playerState.position)) {
+        playerState.revive = null;
+        this.emit('reviveProgress', { playerId, reviverId: revive.reviverId, progress: 0 });
+      }
+
+      if (playerState.revive) {
+        revive.progress += delta;
+
+        if (revive.progress >= REVIVE_TIME) {
+          playerState.downed = false;
+          playerState.revive = null;
+          playerState.health = getReviveHealth(playerState.maxHealth);
+          this.emit('playerRevived', playerId, {
+            reviverId: revive.reviverId,
+            health: playerState.health
+          });
+        } else {
+          this.emit('reviveProgress', {
+            playerId,
+            reviverId: revive.reviverId,
+            progress: revive.progress / REVIVE_TIME
+          });
+        }
+        continue;
+      }
+
+      // The clock stops while someone is reviving
+      playerState.bleedOut -= delta;
+      if (playerState.bleedOut <= 0 && this.onPlayerBledOut) {
+        this.onPlayerBledOut(playerId);
+      }
+    }
+  }
+
+  // AI keeps to the floor of the room's layout
+  getRoomBounds(room) {
+    return (position, radius) => this.rules.layouts.keepInLayout(room.layout, position, radius);
+  }
+
+  updateBoss(room) {
+    if (!room || !room.boss || room.boss.health <= 0) {
+      this.boss = null;
+      return;
+    }
+
+    // New room loaded - take over its boss
+    if (!this.boss || this.boss.data !== room.boss) {
+      const random = this.rules.random.createRandom(this.rules.random.deriveSeed(room.seed, 'boss'));
+      this.boss = new ServerBoss(room.boss, this.rules.bosses, this.getRoomBounds(room), random);
+      this.boss.onTelegraph = (telegraph) => this.handleBossTelegraph(telegraph);
+      this.boss.onAttack = (attack) => this.handleBossAttack(attack);
+      this.boss.onRangedAttack = (attack) => this.handleBossRangedAttack(attack);
+      this.boss.onSummon = (summon) => this.handleBossSummon(summon);
+    }
+
+    this.boss.update(TICK_DELTA, this.getLivingPlayers());
+
+    // Keep the room data in sync so late joiners spawn the boss in place
+    room.boss.position = { ...this.boss.position };
+
+    this.emit('bossSnapshot', this.boss.getSnapshot());
+  }
+
+  // Every client draws the decal for the same wind-up
+  handleBossTelegraph(telegraph) {
+    this.emit('bossTelegraph', {
+      id: `${telegraph.bossId}-telegraph-${this.telegraphCount++}`,
+      ...telegraph
+    });
+  }
+
+  handleBossAttack(attack) {
+    // Let every client play the attack effect
+    this.emit('bossAttack', {
+      bossId: attack.bossId,
+      moveId: attack.moveId,
+      type: attack.type,
+      targets: attack.targets,
+      area: attack.area
+    });
+
+    if (this.onPlayerHit) {
+      for (const playerId of attack.targets) {
+        this.onPlayerHit(playerId, attack.damage, attack);
+      }
+    }
+  }
+
+  handleBossRangedAttack(attack) {
+    for (const direction of attack.directions) {
+      this.spawnProjectile({
+        id: `${attack.bossId}-shot-${this.projectileCount++}`,
+        type: attack.projectile,
+        ownerId: attack.bossId,
+        ownerGroup: 'boss',
+        position: attack.position,
+        direction,
+        damage: attack.damage
+      });
+    }
+  }
+
+  handleBossSummon(summon) {
+    const room = this.getCurrentRoom();
+    if (!room) return;
+
+    this.spawnEnemies(room, summon.wave, { bossId: summon.bossId });
+  }
+
+  // Next wave of a combat room once the last one is dead
+  updateWaves(delta, room) {
+    if (!room || room.wavesSpawned >= room.waves.length || room.enemies.length > 0) return;
+
+    this.waveTimer -= delta;
+    if (this.waveTimer > 0) return;
+
+    const wave = room.waves[room.wavesSpawned];
+    room.wavesSpawned++;
+    this.waveTimer = this.rules.enemies.WAVE_INTERVAL;
+
+    this.spawnEnemies(room, wave, { wave: room.wavesSpawned, waveCount: room.waves.length });
+  }
+
+  // Add a wave to the room, the server owns the enemies' ids and health from here
+  spawnEnemies(room, wave, details) {
+    const enemies = this.rules.enemies.createWave(wave, room.id, this.enemyCount, room.layout.spawnPoints);
+    this.enemyCount += enemies.length;
+    room.enemies.push(...enemies);
+
+    this.emit('enemiesSpawned', { roomId: room.id, ...details, enemies });
+  }
+
+  // Killed enemies are removed from the room by the server, see damageTarget()
+  updateEnemies(room) {
+    const enemies = new Map();
+
+    if (room) {
+      const players = this.getLivingPlayers();
+
+      for (const enemyData of room.enemies) {
+        if (enemyData.health <= 0) continue;
+
+        let enemy = this.enemies.get(enemyData.id);
+        if (!enemy || enemy.data !== enemyData) {
+          enemy = new ServerEnemy(enemyData, this.rules.enemies, this.getRoomBounds(room));
+          enemy.onAttack = (attack) => this.handleEnemyAttack(attack);
+        }
+
+        enemy.update(TICK_DELTA, players);
+        enemies.set(enemy.id, enemy);
+
+        // Keep the room data in sync for hit checks and late joiners
+        enemyData.position = { ...enemy.position };
+      }
+    }
+
+    this.enemies = enemies;
+
+    if (enemies.size > 0) {
+      this.emit('enemySnapshots', Array.from(enemies.values(), enemy => enemy.getSnapshot()));
+    }
+  }
+
+  handleEnemyAttack(attack) {
+    if (this.onPlayerHit) {
+      this.onPlayerHit(attack.targetId, attack.damage, {
+        enemyId: attack.enemyId,
+        type: 'enemy',
+        targets: [attack.targetId],
+        damage: attack.damage
+      });
+    }
+  }
+
+  /**
+   * Launch a projectile and show it to the party
+   * @param {Object} shot - { id, type, ownerId, ownerGroup, position, direction, damage }
+   *   position is the shooter's, the shot starts at its muzzle
+   * @returns {Object|null} The projectile, or null if the id is taken or the direction is empty
+   */
+  spawnProjectile(shot) {
+    if (this.projectiles.has(shot.id)) return null;
+
+    const length = Math.sqrt(shot.direction.x ** 2 + shot.direction.y ** 2 + shot.direction.z ** 2);
+    if (!(length > 0)) return null;
+
+    const type = this.rules.projectiles.getProjectileType(shot.type);
+    const direction = {
+      x: shot.direction.x / length,
+      y: shot.direction.y / length,
+      z: shot.direction.z / length
+    };
+    const position = this.rules.projectiles.getProjectileOrigin(shot.position, direction);
+
+    const projectile = {
+      id: shot.id,
+      type,
+      ownerId: shot.ownerId,
+      ownerGroup: shot.ownerGroup,
+      damage: shot.damage,
+      position,
+      velocity: {
+        x: direction.x * type.speed,
+        y: direction.y * type.speed,
+        z: direction.z * type.speed
+      },
+      age: 0,
+      pierceLeft: type.pierce,
+      hitIds: new Set()
+    };
+
+    this.projectiles.set(projectile.id, projectile);
+
+    this.emit('projectileSpawned', {
+      id: projectile.id,
+      type: type.id,
+      ownerId: projectile.ownerId,
+      ownerGroup: projectile.ownerGroup,
+      position: { ...position },
+      direction,
+      damage: projectile.damage
+    });
+
+    return projectile;
+  }
+
+  updateProjectiles(delta, room) {
+    for (const projectile of this.projectiles.values()) {
+      const start = { ...projectile.position };
+      const flying = this.rules.projectiles.stepProjectile(projectile, projectile.type, delta, room && room.layout);
+
+      for (const target of this.getProjectileTargets(projectile, room)) {
+        if (projectile.hitIds.has(target.id)) continue;
+        if (!sweepHits(start, projectile.position, target.position, target.radius + projectile.type.radius)) continue;
+
+        projectile.hitIds.add(target.id);
+        this.handleProjectileHit(projectile, target);
+
+        if (projectile.pierceLeft > 0) {
+          projectile.pierceLeft--;
+        } else {
+          this.removeProjectile(projectile, 'hit');
+          break;
+        }
+      }
+
+      if (!flying && this.projectiles.has(projectile.id)) {
+        this.removeProjectile(projectile, 'expired');
+      }
+    }
+  }
+
+  // Player shots hit the boss and enemies, boss shots hit players
+  getProjectileTargets(projectile, room) {
+    if (projectile.ownerGroup === 'boss') {
+      return this.getLivingPlayers().map(player => ({ ...player, type: 'player', radius: HIT_RADII.player }));
+    }
+
+    const targets = [];
+
+    if (this.boss && !this.boss.isDead) {
+      targets.push({ id: this.boss.id, type: 'boss', position: this.boss.position, radius: HIT_RADII.boss });
+    }
+
+    if (room) {
+      for (const enemy of room.enemies) {
+        if (enemy.health > 0 && enemy.position) {
+          targets.push({ id: enemy.id, type: 'enemy', position: enemy.position, radius: HIT_RADII.enemy });
+        }
+      }
+    }
+
+    return targets;
+  }
+
+  handleProjectileHit(projectile, target) {
+    if (target.type === 'player') {
+      if (this.onPlayerHit) {
+        this.onPlayerHit(target.id, projectile.damage, {
+          bossId: projectile.ownerId,
+          type: 'projectile',
+          targets: [target.id],
+          damage: projectile.damage
+        });
+      }
+    } else if (this.onTargetHit) {
+      this.onTargetHit(projectile.ownerId, target.id, projectile.damage);
+    }
+  }
+
+  removeProjectile(projectile, reason) {
+    this.projectiles.delete(projectile.id);
+    this.emit('projectileRemoved', { id: projectile.id, reason });
+  }
+}
+
+module.exports = PartySimulation;
@@ -3,6 +3,28 @@ const app = express();
 const http = require('http').createServer(app);
 const io = require('socket.io')(http);
 const path = require('path');
+const crypto = require('crypto');
+const PartySimulation = require('./game/party-simulation');
+const {
+  createHitState,
+  grantShield,
+  resolvePlayerHit
+} = require('./game/damage');
+const { processMovementInputs, resetPlayerPosition } = require('./game/movement');
+const {
+  isValidVector,
+  createAttackRejections,
+  validatePlayerAttack,
+  validateAbilityUse,
+  recordAttackRejection
+} = require('./utils/validation');
+const { importShared } = require('./utils/shared');
+
+// Modules shared with the client, loaded before the server starts listening
+const shared = {};
+
+// Random streams of the server itself (run seeds, party codes), seeded at startup
+let serverRandom = null;
 
 // Serve static files from the client directory with proper path resolution
 app.use(express.static(path.join(__dirname, '../client'), {
@@ -32,50 +54,635 @@ app.get('*', (req, res) => {
 const parties = {};
 let roomCounter = 0;
 
-// Room generation config
-const roomTypes = [
-  { name: 'Dungeon Cell', difficulty: 1 },
-  { name: 'Torture Chamber', difficulty: 2 },
-  { name: 'Crypt', difficulty: 3 },
-  { name: 'Summoning Room', difficulty: 4 },
-  { name: 'Throne Room', difficulty: 5 }
-];
-
-const bossTypes = [
-  { name: 'Reanimated Executioner', health: 200, damage: 20 },
-  { name: 'Blood Acolyte', health: 300, damage: 25 },
-  { name: 'Pit Fiend', health: 400, damage: 30 },
-  { name: 'Necrotic Hierophant', health: 500, damage: 35 },
-  { name: 'Deathlord', health: 750, damage: 40 }
-];
-
-function generateRoom(difficulty) {
-  // Define room type based on difficulty
-  const roomType = roomTypes[Math.min(Math.floor(difficulty / 3), roomTypes.length - 1)];
-  
-  // Every room has a boss, with increasing difficulty
-  let boss = null;
-  
-  // Select boss type based on difficulty
-  const bossIndex = Math.min(Math.floor(difficulty / 5), bossTypes.length - 1);
-  boss = { 
-    ...bossTypes[bossIndex],
-    id: `boss-${difficulty}`,
-    type: bossIndex,
-    position: { x: 0, y: 1, z: 0 }
-  };
+// How long a dropped player's slot is held for them to reconnect
+const RECONNECT_GRACE_PERIOD = 30000;
+
+function createPlayerState(classId) {
+  const stats = shared.classes.getClassStats(classId);
   
   return {
-    id: `room-${difficulty}`,
-    type: roomType.name,
-    difficulty,
-    isBossRoom: true,
-    enemies: [], // No regular enemies
-    boss,
-    loot: []
+    classId: shared.classes.getClass(classId).id,
+    health: stats.maxHealth,
+    maxHealth: stats.maxHealth,
+    level: 1,
+    xp: 0,
+    kills: 0,
+    position: { x: 0, y: 1.8, z: 0 }, // Last known position, see resetPosition()
+    rotation: { x: 0, y: 0 },
+    moveSpeed: stats.moveSpeed, // Matches Player.moveSpeed
+    lastProcessedInput: 0,
+    lastInputTime: 0,
+    inputBudget: 0,
+    connected: true,
+    weapon: {
+      damage: stats.attackDamage,
+      range: stats.attackRange,
+      attackSpeed: stats.attackSpeed
+    },
+    lastAttackTime: 0,
+    attackRejections: createAttackRejections(),
+    hits: createHitState(),
+    energy: shared.abilities.MAX_ENERGY, // Spent on abilities, see refillEnergy()
+    energyUpdatedAt: 0,
+    abilityReadyAt: {}, // Ability id -> time its cooldown ends
+    speedBoost: null, // { multiplier, until } while dashing
+    downed: false, // At 0 health but still revivable, see downPlayer()
+    bleedOut: 0, // Seconds left before a downed player dies
+    revive: null, // { reviverId, progress } while a teammate is reviving
+    dead: false
   };
 }
 
+// Switch a player to another class while in the lobby
+function applyPlayerClass(playerState, classId) {
+  const stats = shared.classes.getClassStats(classId, playerState.level);
+  
+  playerState.classId = classId;
+  playerState.maxHealth = stats.maxHealth;
+  playerState.health = stats.maxHealth;
+  playerState.moveSpeed = stats.moveSpeed;
+  playerState.weapon = {
+    damage: stats.attackDamage,
+    range: stats.attackRange,
+    attackSpeed: stats.attackSpeed
+  };
+}
+
+// Send everyone in the party the lobby's class picks and limit
+function emitLobbyState(partyCode) {
+  const party = parties[partyCode];
+  if (!party) return;
+  
+  const classes = {};
+  for (const playerId of party.players) {
+    const playerState = party.state.playerStates[playerId];
+    if (playerState) {
+      classes[playerId] = playerState.classId;
+    }
+  }
+  
+  io.to(partyCode).emit('lobbyState', {
+    classes,
+    maxPerClass: party.maxPerClass
+  });
+}
+
+// Move the party into a freshly generated room
+function advanceRoom(party) {
+  const partyState = party.state;
+  const room = shared.rooms.generateRoom(partyState.currentRoom + 1, party.players.length, partyState.seed);
+  partyState.rooms.push(room);
+  partyState.currentRoom++;
+  
+  // Clients respawn everyone at the room entrance
+  for (const playerState of Object.values(partyState.playerStates)) {
+    resetPlayerPosition(playerState, room.layout);
+  }
+}
+
+// Collider radii used by the client entities
+const BOSS_RADIUS = 1.5;
+const ENEMY_RADIUS = 0.75;
+
+// Reach for picking up loot: player and pickup colliders plus slack for stale positions
+const LOOT_PICKUP_RANGE = 2.5;
+
+// Longest projectile id accepted from a shooter, see firePlayerProjectile()
+const MAX_PROJECTILE_ID_LENGTH = 64;
+
+// Extra reach for ability targets, positions may be a few updates old
+const ABILITY_RANGE_TOLERANCE = 1.0;
+
+// Dash inputs can arrive a little after the dash ends on the client
+const DASH_GRACE_PERIOD = 500;
+
+// Roll the drops of a defeated boss or enemy and show them to the party
+function dropLoot(partyCode, room, source, sourceData) {
+  const loot = shared.loot.rollLoot({
+    seed: room.seed,
+    sourceId: sourceData.id,
+    source,
+    difficulty: room.difficulty,
+    bossType: sourceData.type,
+    position: sourceData.position,
+    layout: room.layout
+  });
+  
+  if (loot.length === 0) return;
+  
+  room.loot.push(...loot);
+  io.to(partyCode).emit('lootSpawned', { roomId: room.id, loot });
+}
+
+// Give every party member XP for a kill and announce any level-ups
+function awardPartyExperience(partyCode, source, sourceData) {
+  const party = parties[partyCode];
+  const room = party.state.rooms[party.state.currentRoom];
+  const amount = shared.progression.getKillExperience(source, {
+    difficulty: room.difficulty,
+    type: sourceData.type
+  });
+  
+  for (const playerId of party.players) {
+    const playerState = party.state.playerStates[playerId];
+    if (!playerState) continue;
+    
+    if (!shared.progression.gainExperience(playerState, amount)) continue;
+    
+    // Stronger weapon stats also raise what attack validation accepts
+    const stats = shared.classes.getClassStats(playerState.classId, playerState.level);
+    playerState.weapon.damage = stats.attackDamage;
+    playerState.weapon.attackSpeed = stats.attackSpeed;
+    
+    io.to(partyCode).emit('playerLevelUp', playerId, {
+      level: playerState.level,
+      xp: playerState.xp,
+      maxHealth: playerState.maxHealth,
+      health: playerState.health,
+      attackDamage: stats.attackDamage,
+      attackSpeed: stats.attackSpeed
+    });
+  }
+}
+
+// A room is done once its boss, every add it summoned and all of its waves are dead
+function isRoomCleared(room) {
+  return (!room.boss || room.boss.health <= 0) &&
+    room.enemies.length === 0 &&
+    room.wavesSpawned >= room.waves.length;
+}
+
+// Mark the current room cleared and move on after players had time to grab the loot
+function completeRoom(partyCode, result) {
+  const party = parties[partyCode];
+  const partyState = party.state;
+  const room = partyState.rooms[partyState.currentRoom];
+  if (room.cleared) return;
+  
+  room.cleared = true;
+  
+  // The last boss is dead, the run is won
+  if (shared.rooms.isFinalRoom(room.difficulty)) {
+    party.ended = true;
+    if (party.simulation) {
+      party.simulation.stop();
+    }
+    
+    io.to(partyCode).emit('runCompleted', {
+      roomsCleared: partyState.currentRoom + 1,
+      playerStats: partyState.playerStates
+    });
+    return;
+  }
+  
+  io.to(partyCode).emit('roomCleared', { roomId: room.id, nextRoomIn: shared.rooms.ROOM_ADVANCE_DELAY });
+  
+  party.roomAdvanceTimer = setTimeout(() => {
+    party.roomAdvanceTimer = null;
+    
+    // Generate next room
+    advanceRoom(party);
+    
+    // Broadcast room completed
+    io.to(partyCode).emit('roomCompleted', {
+      ...result,
+      newRoom: partyState.rooms[partyState.currentRoom]
+    });
+  }, shared.rooms.ROOM_ADVANCE_DELAY);
+}
+
+// Position and size of an attack target, if the server tracks it
+function findAttackTarget(room, targetId) {
+  if (typeof targetId !== 'string' || !room) return null;
+  
+  if (room.boss && targetId === room.boss.id) {
+    return { position: room.boss.position, radius: BOSS_RADIUS };
+  }
+  
+  const enemy = room.enemies.find(e => e.id === targetId);
+  if (enemy && enemy.position) {
+    return { position: enemy.position, radius: ENEMY_RADIUS };
+  }
+  
+  return null;
+}
+
+// Apply a player's damage to the boss or an enemy of the current room and
+// handle kills. Used for validated melee hits and for projectile hits.
+function damageTarget(partyCode, attackerId, targetId, damage) {
+  const party = parties[partyCode];
+  if (!party || typeof targetId !== 'string') return;
+  
+  const partyState = party.state;
+  const currentRoom = partyState.rooms[partyState.currentRoom];
+  
+  // Handle boss hit
+  if (currentRoom.boss && targetId === currentRoom.boss.id) {
+    if (currentRoom.boss.health <= 0) return;
+    
+    currentRoom.boss.health = Math.max(0, currentRoom.boss.health - damage);
+    
+    // Broadcast boss health update
+    io.to(partyCode).emit('bossHealthUpdate', currentRoom.boss);
+    
+    // Check if boss defeated
+    if (currentRoom.boss.health <= 0) {
+      awardPartyExperience(partyCode, 'boss', currentRoom.boss);
+      dropLoot(partyCode, currentRoom, 'boss', currentRoom.boss);
+      
+      // Adds still up keep the room going
+      if (isRoomCleared(currentRoom)) {
+        completeRoom(partyCode, { defeatedBoss: currentRoom.boss });
+      }
+    }
+  } 
+  // Handle regular enemy hit
+  else if (targetId.startsWith('enemy')) {
+    // Find the enemy
+    const enemyIndex = currentRoom.enemies.findIndex(e => e.id === targetId);
+    if (enemyIndex !== -1) {
+      const enemy = currentRoom.enemies[enemyIndex];
+      enemy.health = Math.max(0, enemy.health - damage);
+      
+      // Check if enemy defeated
+      if (enemy.health <= 0) {
+        // Remove from enemies array
+        currentRoom.enemies.splice(enemyIndex, 1);
+        
+        // Update player kills
+        if (partyState.playerStates[attackerId]) {
+          partyState.playerStates[attackerId].kills++;
+        }
+        
+        // Broadcast enemy defeated
+        io.to(partyCode).emit('enemyDefeated', {
+          enemyId: enemy.id,
+          killedBy: attackerId
+        });
+        
+        awardPartyExperience(partyCode, 'enemy', enemy);
+        dropLoot(partyCode, currentRoom, 'enemy', enemy);
+        
+        // Check if room cleared
+        if (isRoomCleared(currentRoom)) {
+          completeRoom(partyCode, { defeatedBoss: currentRoom.boss, roomCleared: true });
+        }
+      } else {
+        // Broadcast enemy health update
+        io.to(partyCode).emit('enemyHealthUpdate', {
+          enemyId: enemy.id,
+          health: enemy.health
+        });
+      }
+    }
+  }
+}
+
+// Bosses and enemies inside an arc in front of a position, for strike abilities
+function findTargetsInArc(room, position, direction, range, arc) {
+  const targets = [];
+  if (!room) return targets;
+  
+  const candidates = room.enemies
+    .filter(enemy => enemy.position)
+    .map(enemy => ({ id: enemy.id, position: enemy.position, radius: ENEMY_RADIUS }));
+  if (room.boss && room.boss.health > 0) {
+    candidates.push({ id: room.boss.id, position: room.boss.position, radius: BOSS_RADIUS });
+  }
+  
+  const facing = Math.atan2(direction.x, direction.z);
+  
+  for (const target of candidates) {
+    const dx = target.position.x - position.x;
+    const dz = target.position.z - position.z;
+    const distance = Math.sqrt(dx * dx + dz * dz);
+    
+    if (distance - target.radius > range + ABILITY_RANGE_TOLERANCE) continue;
+    
+    // Widen the arc by the target's angular size, same as Game.findTargetsInArc()
+    if (distance > target.radius) {
+      let angle = Math.abs(Math.atan2(dx, dz) - facing);
+      if (angle > Math.PI) angle = Math.PI * 2 - angle;
+      if (angle > arc + Math.asin(target.radius / distance)) continue;
+    }
+    
+    targets.push(target.id);
+  }
+  
+  return targets;
+}
+
+// Players of a party within a radius of a position, living and connected
+function findPlayersInRadius(party, position, radius) {
+  return party.players.filter(id => {
+    const playerState = party.state.playerStates[id];
+    if (!playerState || !playerState.connected || playerState.health <= 0) return false;
+    
+    const dx = playerState.position.x - position.x;
+    const dz = playerState.position.z - position.z;
+    return Math.sqrt(dx * dx + dz * dz) <= radius + ABILITY_RANGE_TOLERANCE;
+  });
+}
+
+// Apply a validated ability. Returns the ids of the players, bosses and
+// enemies it affected so clients can show the effect on them.
+function applyAbility(partyCode, playerId, ability, abilityData, now) {
+  const party = parties[partyCode];
+  const partyState = party.state;
+  const playerState = partyState.playerStates[playerId];
+  const room = partyState.rooms[partyState.currentRoom];
+  const position = playerState.position;
+  
+  switch (ability.kind) {
+    case 'strike': {
+      const damage = shared.abilities.getAbilityDamage(ability, playerState.weapon.damage);
+      const targets = findTargetsInArc(room, position, abilityData.direction, ability.range, ability.arc);
+      for (const targetId of targets) {
+        damageTarget(partyCode, playerId, targetId, damage);
+      }
+      return targets;
+    }
+    
+    case 'volley': {
+      if (!party.simulation) return [];
+      
+      const damage = shared.abilities.getAbilityDamage(ability, playerState.weapon.damage);
+      const length = Math.sqrt(abilityData.direction.x ** 2 + abilityData.direction.y ** 2 + abilityData.direction.z ** 2);
+      if (!(length > 0)) return [];
+      const aim = {
+        x: abilityData.direction.x / length,
+        y: abilityData.direction.y / length,
+        z: abilityData.direction.z / length
+      };
+      
+      for (const direction of shared.abilities.getVolleyDirections(aim, ability)) {
+        party.simulation.spawnProjectile({
+          id: `${playerId}-volley-${party.simulation.projectileCount++}`,
+          type: ability.projectile,
+          ownerId: playerId,
+          ownerGroup: 'player',
+          position,
+          direction,
+          damage
+        });
+      }
+      return [];
+    }
+    
+    case 'heal': {
+      const healed = findPlayersInRadius(party, position, ability.radius);
+      for (const id of healed) {
+        const ally = partyState.playerStates[id];
+        ally.health = Math.min(ally.maxHealth, ally.health + ability.amount);
+        io.to(partyCode).emit('playerHealthUpdate', id, ally.health);
+      }
+      return healed;
+    }
+    
+    case 'shield': {
+      const shielded = findPlayersInRadius(party, position, ability.radius);
+      for (const id of shielded) {
+        grantShield(partyState.playerStates[id], ability.reduction, now + ability.duration * 1000);
+      }
+      return shielded;
+    }
+    
+    case 'dash':
+      playerState.speedBoost = {
+        multiplier: ability.speedMultiplier,
+        until: now + ability.duration * 1000 + DASH_GRACE_PERIOD
+      };
+      return [playerId];
+    
+    case 'taunt':
+      if (party.simulation && party.simulation.boss) {
+        party.simulation.boss.taunt(playerId, ability.duration);
+        return [party.simulation.boss.id];
+      }
+      return [];
+    
+    default:
+      return [];
+  }
+}
+
+// Launch a ranged class's shot from where the server last saw the player.
+// The simulation decides what it hits, with the weapon's damage.
+function firePlayerProjectile(partyCode, playerId, attackData) {
+  const party = parties[partyCode];
+  const playerState = party.state.playerStates[playerId];
+  const projectileType = shared.classes.getClass(playerState.classId).projectile;
+  
+  if (!party.simulation || attackData.projectile !== projectileType) return;
+  if (!isValidVector(attackData.direction) || !isValidVector(playerState.position)) return;
+  
+  // Keep the shooter's id so its predicted shot is replaced, not duplicated
+  const projectileId = typeof attackData.projectileId === 'string' &&
+    attackData.projectileId.length <= MAX_PROJECTILE_ID_LENGTH &&
+    attackData.projectileId.startsWith(`${playerId}-`)
+    ? attackData.projectileId
+    : `${playerId}-shot-${party.simulation.projectileCount++}`;
+  
+  party.simulation.spawnProjectile({
+    id: projectileId,
+    type: projectileType,
+    ownerId: playerId,
+    ownerGroup: 'player',
+    position: playerState.position,
+    direction: attackData.direction,
+    damage: playerState.weapon.damage
+  });
+}
+
+// Apply damage to a player and broadcast the result
+function damagePlayer(partyCode, playerId, amount) {
+  const party = parties[partyCode];
+  if (!party) return;
+  
+  const playerState = party.state.playerStates[playerId];
+  if (!playerState || playerState.health <= 0) return;
+  
+  playerState.health = Math.max(0, playerState.health - amount);
+  
+  // Broadcast updated player health
+  io.to(partyCode).emit('playerHealthUpdate', playerId, playerState.health);
+  
+  if (playerState.health <= 0) {
+    downPlayer(partyCode, playerId);
+  }
+}
+
+// Whether a player is up and connected, so able to revive teammates
+function isStanding(playerState) {
+  return playerState.connected && playerState.health > 0;
+}
+
+// Put a player at 0 health on the floor until revived or bled out
+function downPlayer(partyCode, playerId) {
+  const party = parties[partyCode];
+  const playerState = party.state.playerStates[playerId];
+  
+  playerState.downed = true;
+  playerState.bleedOut = shared.revive.BLEED_OUT_TIME;
+  playerState.revive = null;
+  
+  io.to(partyCode).emit('playerDowned', playerId, { bleedOut: playerState.bleedOut });
+  
+  // Nobody left standing to revive anyone - the downed are as good as dead
+  const anyoneStanding = party.players
+    .some(id => party.state.playerStates[id] && isStanding(party.state.playerStates[id]));
+  if (!anyoneStanding) {
+    for (const id of [...party.players]) {
+      if (party.state.playerStates[id] && party.state.playerStates[id].downed) {
+        killPlayer(partyCode, id);
+      }
+    }
+  }
+}
+
+// A downed player bled out - they stay dead for the rest of the run
+function killPlayer(partyCode, playerId) {
+  const party = parties[partyCode];
+  if (!party) return;
+  
+  const playerState = party.state.playerStates[playerId];
+  if (!playerState || playerState.dead) return;
+  
+  playerState.downed = false;
+  playerState.revive = null;
+  playerState.dead = true;
+  
+  io.to(partyCode).emit('playerDied', playerId);
+  
+  checkGameOver(partyCode);
+}
+
+// Game over once nobody connected is left alive, downed players can still
+// come back. A dropped player's held slot doesn't keep the dead waiting, but
+// with everyone dropped the run waits for someone to reconnect.
+function checkGameOver(partyCode) {
+  const party = parties[partyCode];
+  if (!party || !party.started || party.ended) return;
+  
+  const connected = party.players
+    .map(id => party.state.playerStates[id])
+    .filter(playerState => playerState && playerState.connected);
+  
+  if (connected.length === 0 || connected.some(playerState => !playerState.dead)) return;
+  
+  party.ended = true;
+  if (party.simulation) {
+    party.simulation.stop();
+  }
+  
+  io.to(partyCode).emit('gameOver', {
+    roomsCleared: party.state.currentRoom,
+    playerStats: party.state.playerStates
+  });
+}
+
+// Run a hit through the damage pipeline and apply it if it lands
+function hitPlayer(partyCode, playerId, hit) {
+  const party = parties[partyCode];
+  if (!party) return;
+  
+  const result = resolvePlayerHit(party.state.playerStates[playerId], hit, Date.now());
+  if (result.applied) {
+    damagePlayer(partyCode, playerId, result.damage);
+  }
+}
+
+// Issue a token the player can present to take their slot back after a drop
+function issueReconnectToken(party, playerId) {
+  const token = crypto.randomBytes(16).toString('hex');
+  party.reconnectTokens[token] = playerId;
+  return token;
+}
+
+// Remove a player from a party for good
+function removePlayerFromParty(partyCode, playerId) {
+  const party = parties[partyCode];
+  if (!party) return;
+  
+  const playerIndex = party.players.indexOf(playerId);
+  if (playerIndex === -1) return;
+  
+  // Remove player from party
+  party.players.splice(playerIndex, 1);
+  
+  // Remove player state and session
+  delete party.state.playerStates[playerId];
+  clearTimeout(party.disconnectTimers[playerId]);
+  delete party.disconnectTimers[playerId];
+  for (const token in party.reconnectTokens) {
+    if (party.reconnectTokens[token] === playerId) {
+      delete party.reconnectTokens[token];
+    }
+  }
+  
+  // If party is now empty, delete it
+  if (party.players.length === 0) {
+    deleteParty(partyCode);
+    return;
+  }
+  
+  // Notify remaining players
+  io.to(partyCode).emit('playerLeft', playerId);
+  
+  // If this was the host, reassign host
+  if (party.host === playerId) {
+    party.host = party.players[0];
+    io.to(partyCode).emit('newHost', party.host);
+  }
+  
+  emitLobbyState(partyCode);
+  
+  // They may have been the last one alive
+  checkGameOver(partyCode);
+}
+
+// Hold a dropped player's slot for the grace period before removing them
+function holdPlayerSlot(partyCode, playerId) {
+  const party = parties[partyCode];
+  const playerState = party.state.playerStates[playerId];
+  if (playerState) {
+    playerState.connected = false;
+  }
+  
+  io.to(partyCode).emit('playerDisconnected', playerId);
+  
+  // Nobody left to play against - pause the boss until someone is back
+  const anyoneConnected = party.players
+    .some(id => party.state.playerStates[id] && party.state.playerStates[id].connected);
+  if (!anyoneConnected && party.simulation) {
+    party.simulation.stop();
+  }
+  
+  checkGameOver(partyCode);
+  
+  party.disconnectTimers[playerId] = setTimeout(() => {
+    console.log(`Reconnect grace period expired for ${playerId}`);
+    removePlayerFromParty(partyCode, playerId);
+  }, RECONNECT_GRACE_PERIOD);
+}
+
+function deleteParty(partyCode) {
+  const party = parties[partyCode];
+  if (!party) return;
+  
+  if (party.simulation) {
+    party.simulation.stop();
+  }
+  
+  for (const timer of Object.values(party.disconnectTimers)) {
+    clearTimeout(timer);
+  }
+  clearTimeout(party.roomAdvanceTimer);
+  
+  delete parties[partyCode];
+  console.log(`Party ${partyCode} deleted (empty)`);
+}
+
 // Socket connection handling
 io.on('connection', (socket) => {
   console.log('Player connected:', socket.id);
@@ -83,27 +690,31 @@ io.on('connection', (socket) => {
   // Host a new party
   socket.on('hostParty', () => {
     const partyCode = generatePartyCode();
+    const seed = shared.random.randomSeed(serverRandom.get('runs'));
     
     parties[partyCode] = { 
       host: socket.id, 
       players: [socket.id], 
+      started: false,
+      ended: false, // Set by game over or victory, the run doesn't resume after
+      maxPerClass: null, // Players allowed per class, set by the host
+      reconnectTokens: {}, // token -> player id
+      disconnectTimers: {}, // player id -> grace period timeout
       state: {
+        seed, // Run seed, clients get it with the rest of the state at gameStarted
         currentRoom: 0,
-        rooms: [generateRoom(0)], // First room is level 0 (tutorial)
+        rooms: [shared.rooms.generateRoom(0, 1, seed)], // First room is level 0 (tutorial)
         playerStates: {}
       }
     };
     
     // Initialize host player state
-    parties[partyCode].state.playerStates[socket.id] = {
-      health: 100,
-      maxHealth: 100,
-      level: 1,
-      kills: 0
-    };
+    parties[partyCode].state.playerStates[socket.id] = createPlayerState();
+    const reconnectToken = issueReconnectToken(parties[partyCode], socket.id);
     
     socket.join(partyCode);
-    socket.emit('partyHosted', partyCode);
+    socket.emit('partyHosted', partyCode, reconnectToken);
+    emitLobbyState(partyCode);
     console.log(`Party hosted: ${partyCode} by ${socket.id}`);
   });
 
@@ -125,28 +736,87 @@ io.on('connection', (socket) => {
     parties[partyCode].players.push(socket.id);
     
     // Initialize player state
-    parties[partyCode].state.playerStates[socket.id] = {
-      health: 100,
-      maxHealth: 100,
-      level: 1,
-      kills: 0
-    };
+    parties[partyCode].state.playerStates[socket.id] = createPlayerState();
+    const reconnectToken = issueReconnectToken(parties[partyCode], socket.id);
     
     socket.join(partyCode);
     
     // Notify about successful join
-    socket.emit('joinSuccess', partyCode, parties[partyCode].players);
+    socket.emit('joinSuccess', partyCode, parties[partyCode].players, reconnectToken);
     
     // Notify others in party
     socket.to(partyCode).emit('playerJoined', socket.id);
+    emitLobbyState(partyCode);
     
     console.log(`Player ${socket.id} joined party: ${partyCode}`);
   });
 
+  // Pick a class in the lobby
+  socket.on('selectClass', (partyCode, classId) => {
+    const party = parties[partyCode];
+    if (!party || party.started || !party.players.includes(socket.id)) return;
+    if (!shared.classes.isValidClass(classId)) return;
+    
+    applyPlayerClass(party.state.playerStates[socket.id], classId);
+    emitLobbyState(partyCode);
+  });
+
+  // Host limits how many players may pick the same class
+  socket.on('setClassLimit', (partyCode, maxPerClass) => {
+    const party = parties[partyCode];
+    if (!party || party.started || party.host !== socket.id) return;
+    if (maxPerClass !== null && !(Number.isInteger(maxPerClass) && maxPerClass >= 1 && maxPerClass <= 4)) return;
+    
+    party.maxPerClass = maxPerClass;
+    emitLobbyState(partyCode);
+  });
+
   // Start the game
   socket.on('startGame', (partyCode) => {
     if (parties[partyCode] && parties[partyCode].host === socket.id) {
-      io.to(partyCode).emit('gameStarted', parties[partyCode].state);
+      const party = parties[partyCode];
+      
+      // A double click or a resent request would give everyone duplicate players
+      if (party.started) return;
+      
+      // Enforce the host's duplicate class limit
+      const classIds = party.players.map(id => party.state.playerStates[id].classId);
+      const overLimit = shared.classes.findClassLimitViolations(classIds, party.maxPerClass);
+      if (overLimit.length > 0) {
+        socket.emit('startGameError', `Too many players picked ${overLimit.join(', ')} (max ${party.maxPerClass} per class)`);
+        return;
+      }
+      
+      // Size the first room's waves for everyone who joined the lobby
+      party.state.rooms = [shared.rooms.generateRoom(0, party.players.length, party.state.seed)];
+      
+      for (const playerState of Object.values(party.state.playerStates)) {
+        resetPlayerPosition(playerState, party.state.rooms[0].layout);
+      }
+      
+      // Server owns the boss from here on
+      if (!party.simulation) {
+        party.simulation = new PartySimulation(party, (event, ...args) => {
+          io.to(partyCode).emit(event, ...args);
+        }, shared);
+        party.simulation.onPlayerHit = (playerId, damage, attack) => {
+          hitPlayer(partyCode, playerId, {
+            sourceId: attack.enemyId || attack.bossId,
+            type: attack.type,
+            damage
+          });
+        };
+        party.simulation.onTargetHit = (playerId, targetId, damage) => {
+          damageTarget(partyCode, playerId, targetId, damage);
+        };
+        party.simulation.onPlayerBledOut = (playerId) => {
+          killPlayer(partyCode, playerId);
+        };
+      }
+      
+      party.started = true;
+      io.to(partyCode).emit('gameStarted', party.state);
+      party.simulation.start();
       console.log(`Game started in party: ${partyCode}`);
     }
   });
@@ -154,114 +824,151 @@ io.on('connection', (socket) => {
   // Player input updates
   socket.on('playerInput', (partyCode, input) => {
     if (parties[partyCode] && parties[partyCode].players.includes(socket.id)) {
-      // Broadcast to all other players in the party
-      socket.to(partyCode).emit('inputUpdate', socket.id, input);
+      const playerState = parties[partyCode].state.playerStates[socket.id];
+      if (!playerState || !input) return;
+      
+      // Replay the movement inputs against our copy of the player
+      const inputs = Array.isArray(input.inputs) ? input.inputs : [];
+      const reportedPosition = isValidVector(input.position) ? input.position : null;
+      const room = parties[partyCode].state.rooms[parties[partyCode].state.currentRoom];
+      processMovementInputs(playerState, inputs, reportedPosition, Date.now(),
+        (position, radius) => shared.layouts.keepInLayout(room.layout, position, radius));
+      
+      if (input.rotation && Number.isFinite(input.rotation.y)) {
+        playerState.rotation = {
+          x: Number.isFinite(input.rotation.x) ? input.rotation.x : 0,
+          y: input.rotation.y
+        };
+      }
+      
+      // Acknowledge so the client can reconcile its prediction
+      socket.emit('movementAck', {
+        seq: playerState.lastProcessedInput,
+        position: { ...playerState.position }
+      });
+      
+      // Broadcast the authoritative state to the rest of the party, timestamped for interpolation
+      socket.to(partyCode).emit('inputUpdate', socket.id, {
+        id: socket.id,
+        position: { ...playerState.position },
+        rotation: playerState.rotation,
+        action: input.action,
+        serverTime: Date.now()
+      });
     }
   });
 
   // Player attacks
   socket.on('playerAttack', (partyCode, attackData) => {
     if (parties[partyCode] && parties[partyCode].players.includes(socket.id)) {
-      // Broadcast attack to all other players
-      socket.to(partyCode).emit('playerAttacked', socket.id, attackData);
+      const partyState = parties[partyCode].state;
+      const currentRoom = partyState.rooms[partyState.currentRoom];
+      const playerState = partyState.playerStates[socket.id];
+      
+      // Check cooldown, reach and damage against the server's view of the player
+      const target = attackData ? findAttackTarget(currentRoom, attackData.targetId) : null;
+      const validation = validatePlayerAttack(playerState, attackData, target, Date.now());
       
-      // Process hit if this was against an enemy
-      if (attackData.targetType === 'enemy' && attackData.hit) {
-        const partyState = parties[partyCode].state;
-        const currentRoom = partyState.rooms[partyState.currentRoom];
+      if (validation.reason) {
+        const rejections = recordAttackRejection(playerState, validation.reason);
         
-        // Handle boss hit
-        if (attackData.targetId.startsWith('boss') && currentRoom.boss) {
-          currentRoom.boss.health -= attackData.damage;
-          
-          // Check if boss defeated
-          if (currentRoom.boss.health <= 0) {
-            // Generate next room
-            partyState.rooms.push(generateRoom(partyState.currentRoom + 1));
-            partyState.currentRoom++;
-            
-            // Broadcast room completed
-            io.to(partyCode).emit('roomCompleted', {
-              defeatedBoss: currentRoom.boss,
-              newRoom: partyState.rooms[partyState.currentRoom]
-            });
-          } else {
-            // Broadcast boss health update
-            io.to(partyCode).emit('bossHealthUpdate', currentRoom.boss);
-          }
-        } 
-        // Handle regular enemy hit
-        else if (attackData.targetId.startsWith('enemy')) {
-          // Find the enemy
-          const enemyIndex = currentRoom.enemies.findIndex(e => e.id === attackData.targetId);
-          if (enemyIndex !== -1) {
-            const enemy = currentRoom.enemies[enemyIndex];
-            enemy.health -= attackData.damage;
-            
-            // Check if enemy defeated
-            if (enemy.health <= 0) {
-              // Remove from enemies array
-              currentRoom.enemies.splice(enemyIndex, 1);
-              
-              // Update player kills
-              partyState.playerStates[socket.id].kills++;
-              
-              // Broadcast enemy defeated
-              io.to(partyCode).emit('enemyDefeated', {
-                enemyId: enemy.id,
-                killedBy: socket.id
-              });
-              
-              // Check if room cleared
-              if (currentRoom.enemies.length === 0 && !currentRoom.boss) {
-                // Generate next room
-                partyState.rooms.push(generateRoom(partyState.currentRoom + 1));
-                partyState.currentRoom++;
-                
-                // Broadcast room completed
-                io.to(partyCode).emit('roomCompleted', {
-                  roomCleared: true,
-                  newRoom: partyState.rooms[partyState.currentRoom]
-                });
-              }
-            } else {
-              // Broadcast enemy health update
-              io.to(partyCode).emit('enemyHealthUpdate', {
-                enemyId: enemy.id,
-                health: enemy.health
-              });
-            }
-          }
-        }
+        socket.emit('attackRejected', {
+          reason: validation.reason,
+          targetId: attackData ? attackData.targetId : null,
+          clamped: validation.clamped,
+          damage: validation.damage
+        });
+        
+        console.warn(`Attack from ${socket.id} ${validation.valid ? 'clamped' : 'rejected'}: ${validation.reason} (${rejections} total)`);
+      }
+      
+      if (!validation.valid) return;
+      
+      playerState.lastAttackTime = Date.now();
+      
+      // Broadcast attack to all other players
+      socket.to(partyCode).emit('playerAttacked', socket.id, { ...attackData, damage: validation.damage });
+      
+      // Ranged classes shoot, the simulation resolves the hit
+      if (attackData.projectile) {
+        firePlayerProjectile(partyCode, socket.id, attackData);
+        return;
+      }
+      
+      // Process hit if this was against the boss or an enemy, labelled as such
+      const hitBoss = currentRoom.boss && attackData.targetId === currentRoom.boss.id;
+      if (attackData.hit && attackData.targetType === (hitBoss ? 'boss' : 'enemy')) {
+        damageTarget(partyCode, socket.id, attackData.targetId, validation.damage);
       }
     }
   });
 
-  // Player takes damage
-  socket.on('playerDamaged', (partyCode, damageData) => {
-    if (parties[partyCode] && parties[partyCode].players.includes(socket.id)) {
-      const playerState = parties[partyCode].state.playerStates[socket.id];
-      
-      // Apply damage
-      playerState.health = Math.max(0, playerState.health - damageData.amount);
+  // Class abilities - validated here, effects applied to the party and boss
+  socket.on('useAbility', (partyCode, abilityData) => {
+    const party = parties[partyCode];
+    if (!party || !party.started || !party.players.includes(socket.id)) return;
+    
+    const playerState = party.state.playerStates[socket.id];
+    if (!playerState) return;
+    
+    const now = Date.now();
+    shared.abilities.refillEnergy(playerState, now);
+    
+    const ability = abilityData ? shared.abilities.getAbility(abilityData.abilityId) : null;
+    const classAbilities = shared.classes.getClass(playerState.classId).abilities;
+    const validation = validateAbilityUse(playerState, abilityData, ability, classAbilities, now);
+    
+    if (!validation.valid) {
+      const rejections = recordAttackRejection(playerState, validation.reason);
       
-      // Broadcast updated player health
-      io.to(partyCode).emit('playerHealthUpdate', socket.id, playerState.health);
+      // Let the client put its ability bar back in step with ours
+      socket.emit('abilityRejected', {
+        abilityId: ability ? ability.id : null,
+        reason: validation.reason,
+        cooldown: validation.readyIn,
+        energy: playerState.energy
+      });
       
-      // Check if player died
-      if (playerState.health <= 0) {
-        io.to(partyCode).emit('playerDied', socket.id);
-        
-        // Check if all players are dead (game over)
-        const allPlayersDead = Object.values(parties[partyCode].state.playerStates)
-          .every(player => player.health <= 0);
-        
-        if (allPlayersDead) {
-          io.to(partyCode).emit('gameOver', {
-            roomsCleared: parties[partyCode].state.currentRoom,
-            playerStats: parties[partyCode].state.playerStates
-          });
-        }
+      console.warn(`Ability from ${socket.id} rejected: ${validation.reason} (${rejections} total)`);
+      return;
+    }
+    
+    playerState.energy = Math.max(0, playerState.energy - ability.cost);
+    playerState.abilityReadyAt[ability.id] = now + ability.cooldown * 1000;
+    
+    const affected = applyAbility(partyCode, socket.id, ability, abilityData, now);
+    
+    io.to(partyCode).emit('abilityUsed', socket.id, {
+      abilityId: ability.id,
+      affected,
+      energy: playerState.energy
+    });
+  });
+
+  // Start reviving a downed teammate - the simulation advances the revive while
+  // the reviver stays in range and cancels it otherwise
+  socket.on('startRevive', (partyCode, targetId) => {
+    const party = parties[partyCode];
+    if (!party || !party.started || !party.simulation || !party.players.includes(socket.id)) return;
+    if (targetId === socket.id || !party.players.includes(targetId)) return;
+    
+    const target = party.state.playerStates[targetId];
+    if (!target || !target.downed || target.revive) return;
+    if (!party.simulation.canRevive(socket.id, target.position)) return;
+    
+    target.revive = { reviverId: socket.id, progress: 0 };
+  });
+
+  // Reviver let go of interact
+  socket.on('stopRevive', (partyCode) => {
+    const party = parties[partyCode];
+    if (!party || !party.players.includes(socket.id)) return;
+    
+    for (const playerId of party.players) {
+      const playerState = party.state.playerStates[playerId];
+      if (playerState && playerState.revive && playerState.revive.reviverId === socket.id) {
+        playerState.revive = null;
+        io.to(partyCode).emit('reviveProgress', { playerId, reviverId: socket.id, progress: 0 });
       }
     }
   });
@@ -271,14 +978,20 @@ io.on('connection', (socket) => {
     if (parties[partyCode] && parties[partyCode].players.includes(socket.id)) {
       const currentRoom = parties[partyCode].state.rooms[parties[partyCode].state.currentRoom];
       
-      // Find and remove the loot
+      const playerState = parties[partyCode].state.playerStates[socket.id];
+      if (!playerState || playerState.health <= 0) return;
+      
+      // Find and remove the loot, if the player is standing at it
       const lootIndex = currentRoom.loot.findIndex(l => l.id === lootId);
       if (lootIndex !== -1) {
-        const loot = currentRoom.loot.splice(lootIndex, 1)[0];
+        const loot = currentRoom.loot[lootIndex];
+        const dx = loot.position.x - playerState.position.x;
+        const dz = loot.position.z - playerState.position.z;
+        if (Math.sqrt(dx * dx + dz * dz) > LOOT_PICKUP_RANGE) return;
         
-        // Apply loot effects to player
-        const playerState = parties[partyCode].state.playerStates[socket.id];
+        currentRoom.loot.splice(lootIndex, 1);
         
+        // Apply loot effects to player
         if (loot.type === 'health') {
           playerState.health = Math.min(playerState.maxHealth, playerState.health + loot.value);
           io.to(partyCode).emit('playerHealthUpdate', socket.id, playerState.health);
@@ -297,42 +1010,66 @@ io.on('connection', (socket) => {
     }
   });
 
+  // Take back a slot held after a dropped connection
+  socket.on('resumeSession', (partyCode, token) => {
+    const party = parties[partyCode];
+    const previousId = party && typeof token === 'string' ? party.reconnectTokens[token] : null;
+    
+    if (!previousId || !party.players.includes(previousId)) {
+      socket.emit('resumeFailed', 'Session expired');
+      return;
+    }
+    
+    clearTimeout(party.disconnectTimers[previousId]);
+    delete party.disconnectTimers[previousId];
+    
+    // Move the player's slot, state and host status over to the new socket
+    party.players[party.players.indexOf(previousId)] = socket.id;
+    party.state.playerStates[socket.id] = party.state.playerStates[previousId];
+    delete party.state.playerStates[previousId];
+    party.reconnectTokens[token] = socket.id;
+    if (party.host === previousId) {
+      party.host = socket.id;
+    }
+    
+    const playerState = party.state.playerStates[socket.id];
+    playerState.connected = true;
+    
+    socket.join(partyCode);
+    
+    // Resume the boss if everyone had dropped
+    if (party.started && !party.ended && party.simulation && !party.simulation.running) {
+      party.simulation.start();
+    }
+    
+    socket.emit('sessionResumed', {
+      partyCode,
+      playerId: socket.id,
+      previousId,
+      isHost: party.host === socket.id,
+      players: party.players,
+      started: party.started,
+      state: party.state
+    });
+    
+    socket.to(partyCode).emit('playerReconnected', previousId, socket.id);
+    emitLobbyState(partyCode);
+    
+    console.log(`Player ${previousId} resumed as ${socket.id} in party: ${partyCode}`);
+  });
+
   // Handle disconnects
-  socket.on('disconnect', () => {
-    console.log('Player disconnected:', socket.id);
+  socket.on('disconnect', (reason) => {
+    console.log('Player disconnected:', socket.id, reason);
     
     // Find any parties this player belongs to
     for (const partyCode in parties) {
-      const party = parties[partyCode];
-      const playerIndex = party.players.indexOf(socket.id);
-      
-      if (playerIndex !== -1) {
-        // Remove player from party
-        party.players.splice(playerIndex, 1);
-        
-        // Notify remaining players
-        io.to(partyCode).emit('playerLeft', socket.id);
-        
-        // If this was the host, reassign host or delete party if empty
-        if (party.host === socket.id) {
-          if (party.players.length > 0) {
-            party.host = party.players[0];
-            io.to(partyCode).emit('newHost', party.host);
-          } else {
-            delete parties[partyCode];
-            console.log(`Party ${partyCode} deleted (empty)`);
-          }
-        }
-        
-        // If party is now empty, delete it
-        if (party.players.length === 0) {
-          delete parties[partyCode];
-          console.log(`Party ${partyCode} deleted (empty)`);
-        }
-        
-        // Remove player state
-        if (party.state && party.state.playerStates) {
-          delete party.state.playerStates[socket.id];
+      if (parties[partyCode].players.includes(socket.id)) {
+        // Leaving on purpose frees the slot, anything else holds it for a while
+        if (reason === 'client namespace disconnect') {
+          removePlayerFromParty(partyCode, socket.id);
+        } else {
+          holdPlayerSlot(partyCode, socket.id);
         }
         
         break;
@@ -344,11 +1081,12 @@ io.on('connection', (socket) => {
 // Generate a random party code
 function generatePartyCode() {
   const characters = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // Omit similar looking characters
+  const random = serverRandom.get('partyCodes');
   let code = '';
   
   // Generate a 6-character code
   for (let i = 0; i < 6; i++) {
-    const randomIndex = Math.floor(Math.random() * characters.length);
+    const randomIndex = Math.floor(random() * characters.length);
     code += characters.charAt(randomIndex);
   }
   
@@ -377,6 +1115,28 @@ process.on('unhandledRejection', (reason, promise) => {
   // Keep the process running
 });
 
-// Start the server
+// Start the server once the shared modules are loaded
 const PORT = process.env.PORT || 3000;
-http.listen(PORT, () => console.log(`Server running on port ${PORT}`));
\ No newline at end of file
+
+async function startServer() {
+  shared.loot = await importShared('loot.mjs');
+  shared.progression = await importShared('progression.mjs');
+  shared.classes = await importShared('classes.mjs');
+  shared.projectiles = await importShared('projectiles.mjs');
+  shared.abilities = await importShared('abilities.mjs');
+  shared.revive = await importShared('revive.mjs');
+  shared.bosses = await importShared('bosses.mjs');
+  shared.enemies = await importShared('enemies.mjs');
+  shared.layouts = await importShared('layouts.mjs');
+  shared.random = await importShared('random.mjs');
+  shared.rooms = await importShared('rooms.mjs');
+  
+  serverRandom = shared.random.createStreams(crypto.randomBytes(4).readUInt32LE(0));
+  
+  http.listen(PORT, () => console.log(`Server running on port ${PORT}`));
+}
+
+startServer().catch((err) => {
+  console.error('Failed to start server:', err);
+  process.exit(1);
+});
\ No newline at end of file
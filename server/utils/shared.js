@@ -0,0 +1,11 @@
+// Loads the ES modules in client/js/shared that the server and client both use
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const SHARED_DIR = path.join(__dirname, '../../client/js/shared');
+
+function importShared(fileName) {
+  return import(pathToFileURL(path.join(SHARED_DIR, fileName)).href);
+}
+
+module.exports = { importShared };
@@ -0,0 +1,148 @@
+// Input validation for client-reported game events
+
+// Weapon stats match the Player defaults in client/js/entities/player.js
+const DEFAULT_WEAPON = {
+  damage: 10,
+  range: 2.5,
+  attackSpeed: 1.0 // Attacks per second
+};
+
+const RANGE_TOLERANCE = 1.0; // Extra reach to cover position updates in flight
+const COOLDOWN_TOLERANCE = 0.8; // Accept attacks slightly early to absorb network jitter
+const ENERGY_TOLERANCE = 5; // Client and server regenerate energy on slightly different clocks
+
+function isValidVector(vector) {
+  return vector != null &&
+    Number.isFinite(vector.x) &&
+    Number.isFinite(vector.y) &&
+    Number.isFinite(vector.z);
+}
+
+function horizontalDistance(a, b) {
+  const dx = b.x - a.x;
+  const dz = b.z - a.z;
+  return Math.sqrt(dx * dx + dz * dz);
+}
+
+function createAttackRejections() {
+  return {
+    total: 0,
+    invalid: 0,
+    cooldown: 0,
+    range: 0,
+    damage: 0,
+    energy: 0
+  };
+}
+
+/**
+ * Validate a playerAttack against the attacker's weapon and last known position.
+ *
+ * @param {Object} playerState - Server state of the attacking player
+ * @param {Object} attackData - Attack data sent by the client
+ * @param {Object|null} target - { position, radius } of the target if the server knows it
+ * @param {number} now - Current time in ms
+ * @returns {{ valid: boolean, reason: string|null, damage: number, clamped: boolean }}
+ */
+function validatePlayerAttack(playerState, attackData, target, now) {
+  const weapon = playerState.weapon || DEFAULT_WEAPON;
+  const result = { valid: true, reason: null, damage: 0, clamped: false };
+
+  // Downed and dead players can't fight
+  if (!attackData || typeof attackData !== 'object' || playerState.health <= 0) {
+    return { ...result, valid: false, reason: 'invalid' };
+  }
+
+  // Attacks without a hit only need the rate limit
+  if (attackData.hit) {
+    if (typeof attackData.targetId !== 'string' ||
+        !Number.isFinite(attackData.damage) ||
+        attackData.damage < 0) {
+      return { ...result, valid: false, reason: 'invalid' };
+    }
+  }
+
+  // Too frequent for the weapon's attack speed
+  const minInterval = (1000 / weapon.attackSpeed) * COOLDOWN_TOLERANCE;
+  if (playerState.lastAttackTime && now - playerState.lastAttackTime < minInterval) {
+    return { ...result, valid: false, reason: 'cooldown' };
+  }
+
+  if (!attackData.hit) {
+    return result;
+  }
+
+  // Out of reach from where the server last saw the attacker
+  if (target && isValidVector(target.position) && isValidVector(playerState.position)) {
+    const reach = weapon.range + (target.radius || 0) + RANGE_TOLERANCE;
+    if (horizontalDistance(playerState.position, target.position) > reach) {
+      return { ...result, valid: false, reason: 'range' };
+    }
+  }
+
+  // Too strong - clamp to the weapon's damage
+  result.damage = attackData.damage;
+  if (attackData.damage > weapon.damage) {
+    result.damage = weapon.damage;
+    result.clamped = true;
+    result.reason = 'damage';
+  }
+
+  return result;
+}
+
+/**
+ * Validate a useAbility against the player's class, cooldowns and energy.
+ *
+ * @param {Object} playerState - Server state of the player, energy already refilled
+ * @param {Object} abilityData - { abilityId, position, direction } sent by the client
+ * @param {Object|null} ability - Definition from client/js/shared/abilities.mjs
+ * @param {Array} classAbilities - Ability ids of the player's class
+ * @param {number} now - Current time in ms
+ * @returns {{ valid: boolean, reason: string|null, readyIn: number }}
+ */
+function validateAbilityUse(playerState, abilityData, ability, classAbilities, now) {
+  const result = { valid: true, reason: null, readyIn: 0 };
+
+  if (!ability || !classAbilities.includes(ability.id) ||
+      !abilityData || !isValidVector(abilityData.direction) ||
+      playerState.health <= 0) {
+    return { ...result, valid: false, reason: 'invalid' };
+  }
+
+  // Cooldowns get the same jitter allowance as attacks
+  const readyAt = (playerState.abilityReadyAt && playerState.abilityReadyAt[ability.id]) || 0;
+  const earlyBy = ability.cooldown * 1000 * (1 - COOLDOWN_TOLERANCE);
+  if (now < readyAt - earlyBy) {
+    return { ...result, valid: false, reason: 'cooldown', readyIn: (readyAt - now) / 1000 };
+  }
+
+  if (playerState.energy + ENERGY_TOLERANCE < ability.cost) {
+    return { ...result, valid: false, reason: 'energy' };
+  }
+
+  return result;
+}
+
+// Count a rejected or clamped attack against the player
+function recordAttackRejection(playerState, reason) {
+  if (!playerState.attackRejections) {
+    playerState.attackRejections = createAttackRejections();
+  }
+
+  playerState.attackRejections.total++;
+  if (playerState.attackRejections[reason] !== undefined) {
+    playerState.attackRejections[reason]++;
+  }
+
+  return playerState.attackRejections.total;
+}
+
+module.exports = {
+  DEFAULT_WEAPON,
+  isValidVector,
+  createAttackRejections,
+  validatePlayerAttack,
+  validateAbilityUse,
+  recordAttackRejection
+};
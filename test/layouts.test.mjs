@@ -0,0 +1,126 @@
+// Layout tests - Every floor of every room shape can be walked to from where
+// players enter, with keepInLayout() applied after each step like movement.
+//
+//   npm test
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { generateLayout, keepInLayout } from '../client/js/shared/layouts.mjs';
+
+const PLAYER_RADIUS = 0.75; // server/game/movement.js
+const STEP = 5 / 60; // Walk speed at the fixed step
+const MAX_STEPS = 2000;
+const LAYOUTS_PER_SHAPE = 10;
+const SHAPES = ['box', 'lShape', 'cross', 'chambers', 'arena'];
+
+// The first few layouts of each shape, by trying seeds in turn
+function layoutsByShape() {
+    const layouts = Object.fromEntries(SHAPES.map(shape => [shape, []]));
+
+    for (let seed = 1; SHAPES.some(shape => layouts[shape].length < LAYOUTS_PER_SHAPE); seed++) {
+        for (const layout of [generateLayout(seed), generateLayout(seed, { isBossRoom: true })]) {
+            if (layouts[layout.shape].length < LAYOUTS_PER_SHAPE) {
+                layouts[layout.shape].push(layout);
+            }
+        }
+    }
+
+    return layouts;
+}
+
+function center(floor) {
+    return { x: (floor.minX + floor.maxX) / 2, z: (floor.minZ + floor.maxZ) / 2 };
+}
+
+function contains(floor, point) {
+    return point.x >= floor.minX && point.x <= floor.maxX && point.z >= floor.minZ && point.z <= floor.maxZ;
+}
+
+// Middle of the edge two floors share, or null if they don't touch
+function doorway(a, b) {
+    const minX = Math.max(a.minX, b.minX);
+    const maxX = Math.min(a.maxX, b.maxX);
+    const minZ = Math.max(a.minZ, b.minZ);
+    const maxZ = Math.min(a.maxZ, b.maxZ);
+    const sharesX = minX === maxX && minZ < maxZ;
+    const sharesZ = minZ === maxZ && minX < maxX;
+
+    return sharesX || sharesZ ? { x: (minX + maxX) / 2, z: (minZ + maxZ) / 2 } : null;
+}
+
+// Doorways and floor centres from the start floor to the goal floor, breadth first
+function route(floors, start, goal) {
+    const previous = new Map([[start, null]]);
+    const queue = [start];
+
+    while (queue.length > 0) {
+        const floor = queue.shift();
+        if (floor === goal) break;
+
+        for (const next of floors) {
+            if (!previous.has(next) && doorway(floor, next)) {
+                previous.set(next, floor);
+                queue.push(next);
+            }
+        }
+    }
+
+    assert.ok(previous.has(goal), 'floor not joined to the others');
+
+    const waypoints = [];
+    for (let floor = goal; previous.get(floor); floor = previous.get(floor)) {
+        waypoints.unshift(doorway(previous.get(floor), floor), center(floor));
+    }
+    return waypoints;
+}
+
+function distanceToWall(wall, position) {
+    const dx = Math.max(Math.abs(position.x - wall.x) - wall.width / 2, 0);
+    const dz = Math.max(Math.abs(position.z - wall.z) - wall.depth / 2, 0);
+    return Math.sqrt(dx * dx + dz * dz);
+}
+
+// Step towards each waypoint in turn, returns where the walk ended
+function walk(layout, from, waypoints) {
+    const position = { x: from.x, z: from.z };
+
+    for (const waypoint of waypoints) {
+        for (let i = 0; i < MAX_STEPS; i++) {
+            const dx = waypoint.x - position.x;
+            const dz = waypoint.z - position.z;
+            const distance = Math.sqrt(dx * dx + dz * dz);
+            if (distance < 1e-6) break;
+
+            const step = Math.min(STEP, distance);
+            position.x += dx / distance * step;
+            position.z += dz / distance * step;
+            keepInLayout(layout, position, PLAYER_RADIUS);
+
+            for (const wall of layout.walls) {
+                assert.ok(distanceToWall(wall, position) >= PLAYER_RADIUS - 1e-9, 'walked into a wall');
+            }
+        }
+    }
+
+    return position;
+}
+
+for (const [shape, layouts] of Object.entries(layoutsByShape())) {
+    test(`every floor of ${shape} rooms can be reached from the player spawn`, () => {
+        for (const layout of layouts) {
+            // Only the floors and walls are under test, obstacles can sit on a centre
+            const open = { ...layout, pillars: [], cover: [] };
+            const start = layout.floors.find(floor => contains(floor, layout.playerSpawn));
+            assert.ok(start, 'player spawn is off the floor');
+
+            for (const floor of layout.floors) {
+                const goal = center(floor);
+                const end = walk(open, layout.playerSpawn, [center(start), ...route(layout.floors, start, floor)]);
+
+                assert.ok(Math.abs(end.x - goal.x) < 1e-6 && Math.abs(end.z - goal.z) < 1e-6,
+                    `${shape} room stopped at ${end.x.toFixed(2)}, ${end.z.toFixed(2)} ` +
+                    `on the way to ${goal.x}, ${goal.z}`);
+            }
+        }
+    });
+}